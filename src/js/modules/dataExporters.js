@@ -0,0 +1,323 @@
+// Serializers that turn the parsed tree model into data other tools can
+// read: JSON in several conventions, YAML and Graphviz DOT
+
+import { getNodeText, getNodeLabel } from './treeUtils.js';
+
+/**
+ * JSON conventions: "tree" is this app's { name, attributes, children, text }
+ * shape, "badgerfish" keeps attributes ("@name") and text ("$"), "parker"
+ * keeps only element names and typed text values
+ */
+export const JSON_CONVENTIONS = ['tree', 'badgerfish', 'parker'];
+
+// Fill colors of styles.css, so DOT renders look like the diagram
+const DOT_STYLES = {
+  element: 'shape=box, style="rounded,filled", fillcolor="#6366f1"',
+  text: 'shape=box, style="rounded,filled", fillcolor="#0e7490"',
+  cdata: 'shape=box, style="rounded,filled,dashed", fillcolor="#155e75"',
+  comment: 'shape=note, style="filled,dashed", fillcolor="#334155"',
+  pi: 'shape=box, style="rounded,filled", fillcolor="#6d28d9"',
+  placeholder: 'shape=box, style="rounded,dashed", fontcolor="#4f46e5"',
+  error: 'shape=box, style="rounded,filled", fillcolor="#dc2626"',
+};
+
+/**
+ * Converts the document element to a JSON-compatible value. Comments and
+ * processing instructions are left out; only elements and their text are
+ * data in these conventions.
+ * @param {Object[]} roots - tree roots, as in XMLTreeVisualizer.treeData
+ * @param {string} [convention] - one of JSON_CONVENTIONS
+ * @returns {*}
+ * @throws {Error} when there is no root element or the convention is unknown
+ */
+export function toJsonValue(roots, convention = 'tree') {
+  const root = getDocumentElement(roots);
+
+  switch (convention) {
+    case 'tree':
+      return toTreeObject(root);
+    case 'badgerfish': {
+      const value = createRecord();
+      value[root.name] = toBadgerFish(root);
+      return value;
+    }
+    case 'parker':
+      return toParker(root);
+    default:
+      throw new Error(`Unknown JSON convention "${convention}"`);
+  }
+}
+
+/**
+ * @param {Object[]} roots - tree roots
+ * @param {string} [convention] - one of JSON_CONVENTIONS
+ * @returns {string} indented JSON
+ */
+export function toJson(roots, convention = 'tree') {
+  return JSON.stringify(toJsonValue(roots, convention), null, 2) + '\n';
+}
+
+/**
+ * Same structure as toJson, written as YAML
+ * @param {Object[]} roots - tree roots
+ * @param {string} [convention] - one of JSON_CONVENTIONS
+ * @returns {string}
+ */
+export function toYaml(roots, convention = 'tree') {
+  return formatYaml(toJsonValue(roots, convention));
+}
+
+/**
+ * Writes a JSON-compatible value as block-style YAML
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatYaml(value) {
+  if (!isCollection(value) || isEmptyCollection(value)) {
+    return formatYamlInline(value) + '\n';
+  }
+
+  const lines = [];
+  writeYamlBlock(value, '', lines);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Graphviz digraph of the tree, one graph node per tree node, with the
+ * labels and colors of the diagram
+ * @param {Object[]} roots - tree roots
+ * @param {Object} [options]
+ * @param {string} [options.rankdir] - "TB" (top-down) or "LR"
+ * @returns {string}
+ */
+export function toDot(roots, options = {}) {
+  const lines = [
+    'digraph tree {',
+    `  graph [rankdir=${options.rankdir === 'LR' ? 'LR' : 'TB'}];`,
+    '  node [fontname="Helvetica", fontcolor="white", color="#f8fafc"];',
+    '  edge [arrowhead=none];',
+  ];
+
+  // Iterative walk, ids in document order
+  let nextId = 0;
+  const stack = roots
+    .filter((node) => node.type !== 'declaration')
+    .map((node) => [node, null])
+    .reverse();
+
+  while (stack.length > 0) {
+    const [node, parentId] = stack.pop();
+    const id = `n${nextId++}`;
+
+    lines.push(
+      `  ${id} [label=${quoteDot(getDotLabel(node))}, ${
+        DOT_STYLES[node.type] || DOT_STYLES.element
+      }];`
+    );
+    if (parentId) {
+      lines.push(`  ${parentId} -> ${id};`);
+    }
+
+    for (let i = node.children.length - 1; i >= 0; i--) {
+      stack.push([node.children[i], id]);
+    }
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function getDocumentElement(roots) {
+  const root = roots.find((node) => node.type === 'element');
+  if (!root) {
+    throw new Error('No root element to export');
+  }
+  return root;
+}
+
+// Element names are keys, and one named "__proto__" must stay a plain key
+function createRecord() {
+  return Object.create(null);
+}
+
+// Repeated names turn the property into an array, in document order
+function addProperty(record, name, value) {
+  if (!(name in record)) {
+    record[name] = value;
+  } else if (Array.isArray(record[name])) {
+    record[name].push(value);
+  } else {
+    record[name] = [record[name], value];
+  }
+}
+
+function hasText(element) {
+  return element.children.some(
+    (child) => child.type === 'text' || child.type === 'cdata'
+  );
+}
+
+function getChildElements(element) {
+  return element.children.filter((child) => child.type === 'element');
+}
+
+// Namespace declarations are kept apart from the attributes in the model
+function getNamespaceDeclarations(element) {
+  const declarations = {};
+  Object.entries(element.namespaces || {}).forEach(([prefix, uri]) => {
+    declarations[prefix ? `xmlns:${prefix}` : 'xmlns'] = uri;
+  });
+  return declarations;
+}
+
+function toTreeObject(element) {
+  return {
+    name: element.name,
+    attributes: {
+      ...getNamespaceDeclarations(element),
+      ...element.attributes,
+    },
+    children: getChildElements(element).map(toTreeObject),
+    text: hasText(element) ? getNodeText(element) : null,
+  };
+}
+
+function toBadgerFish(element) {
+  const value = createRecord();
+
+  const namespaces = Object.entries(element.namespaces || {});
+  if (namespaces.length > 0) {
+    value['@xmlns'] = createRecord();
+    namespaces.forEach(([prefix, uri]) => {
+      value['@xmlns'][prefix || '$'] = uri;
+    });
+  }
+
+  Object.entries(element.attributes).forEach(([name, attributeValue]) => {
+    value[`@${name}`] = attributeValue;
+  });
+
+  if (hasText(element)) {
+    value.$ = getNodeText(element);
+  }
+
+  getChildElements(element).forEach((child) => {
+    addProperty(value, child.name, toBadgerFish(child));
+  });
+  return value;
+}
+
+// Parker drops attributes and the root name; an element whose children all
+// share one name becomes an array
+function toParker(element) {
+  const children = getChildElements(element);
+
+  if (children.length === 0) {
+    return hasText(element) ? parseParkerValue(getNodeText(element)) : null;
+  }
+
+  if (
+    children.length > 1 &&
+    children.every((child) => child.name === children[0].name)
+  ) {
+    return children.map(toParker);
+  }
+
+  const value = createRecord();
+  children.forEach((child) => {
+    addProperty(value, child.name, toParker(child));
+  });
+  return value;
+}
+
+function parseParkerValue(text) {
+  if (text === 'true' || text === 'false') {
+    return text === 'true';
+  }
+  if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  return text;
+}
+
+function isCollection(value) {
+  return typeof value === 'object' && value !== null;
+}
+
+function isEmptyCollection(value) {
+  return Array.isArray(value)
+    ? value.length === 0
+    : Object.keys(value).length === 0;
+}
+
+function writeYamlBlock(value, indent, lines) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => {
+      if (!isCollection(item) || isEmptyCollection(item)) {
+        lines.push(`${indent}- ${formatYamlInline(item)}`);
+        return;
+      }
+
+      // The first line of a nested block goes after the dash
+      const start = lines.length;
+      writeYamlBlock(item, indent + '  ', lines);
+      lines[start] = `${indent}- ${lines[start].slice(indent.length + 2)}`;
+    });
+    return;
+  }
+
+  Object.keys(value).forEach((key) => {
+    const item = value[key];
+    if (!isCollection(item) || isEmptyCollection(item)) {
+      lines.push(
+        `${indent}${formatYamlString(key)}: ${formatYamlInline(item)}`
+      );
+      return;
+    }
+
+    lines.push(`${indent}${formatYamlString(key)}:`);
+    writeYamlBlock(item, indent + '  ', lines);
+  });
+}
+
+function formatYamlInline(value) {
+  if (Array.isArray(value)) return '[]';
+  if (isCollection(value)) return '{}';
+  if (value === null) return 'null';
+  if (typeof value === 'string') return formatYamlString(value);
+  return String(value);
+}
+
+// Plain when it cannot be read as anything else, otherwise double quoted;
+// JSON string escapes are valid YAML
+function formatYamlString(text) {
+  const needsQuotes =
+    text === '' ||
+    /^\s|\s$/.test(text) ||
+    /[:#\n\r\t"'{}[\],&*!|>%@`\\]/.test(text) ||
+    /^[-?]/.test(text) ||
+    /^(true|false|yes|no|on|off|null|~)$/i.test(text) ||
+    /^[-+]?(\.?\d|\.inf|\.nan)/i.test(text);
+
+  return needsQuotes ? JSON.stringify(text) : text;
+}
+
+function getDotLabel(node) {
+  if (node.type !== 'element') {
+    return getNodeLabel(node);
+  }
+
+  // Attributes go on their own lines under the element name
+  const lines = [node.name];
+  Object.entries(node.attributes).forEach(([name, value]) => {
+    lines.push(`${name}="${value}"`);
+  });
+  return lines.join('\n');
+}
+
+function quoteDot(text) {
+  return `"${text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\r?\n/g, '\\n')}"`;
+}
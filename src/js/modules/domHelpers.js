@@ -28,3 +28,114 @@ export function createDiv(id, className, parent) {
   parent.appendChild(div);
   return div;
 }
+
+/**
+ * Copies text to the clipboard, falling back to a hidden textarea when the
+ * async Clipboard API is not available (e.g. pages served over file://)
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+export function copyToClipboard(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    return navigator.clipboard.writeText(text);
+  }
+
+  return new Promise((resolve, reject) => {
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand('copy');
+    document.body.removeChild(textarea);
+    copied ? resolve() : reject(new Error('Copy command was rejected'));
+  });
+}
+
+/**
+ * Saves a Blob as a file through a temporary download link
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Styles that decide where a textarea wraps its lines
+const TEXTAREA_TEXT_STYLES = [
+  'fontFamily',
+  'fontSize',
+  'fontWeight',
+  'fontStyle',
+  'letterSpacing',
+  'wordSpacing',
+  'lineHeight',
+  'tabSize',
+  'textTransform',
+  'paddingTop',
+  'paddingRight',
+  'paddingLeft',
+];
+
+/**
+ * Measures where the lines holding a range of characters are drawn in a
+ * textarea, including the rows they wrap onto. Textareas don't expose this,
+ * so the text up to the lines is laid out in a hidden copy of the textarea.
+ * @param {HTMLTextAreaElement} textarea
+ * @param {number} offset - start of the range
+ * @param {number} [endOffset] - end of the range, offset for a single line
+ * @returns {{top: number, height: number, start: number, end: number}} top
+ *   and height in pixels from the top of the padding box, unscrolled, and
+ *   the offsets of the first line's start and of the last line's end
+ */
+export function getTextareaLineBox(textarea, offset, endOffset = offset) {
+  const text = textarea.value;
+  const start = text.lastIndexOf('\n', offset - 1) + 1;
+  const newline = text.indexOf('\n', Math.max(endOffset, offset));
+  const end = newline === -1 ? text.length : newline;
+
+  const style = window.getComputedStyle(textarea);
+  const mirror = document.createElement('div');
+  TEXTAREA_TEXT_STYLES.forEach((property) => {
+    mirror.style[property] = style[property];
+  });
+  Object.assign(mirror.style, {
+    position: 'absolute',
+    top: '0',
+    left: '-9999px',
+    visibility: 'hidden',
+    boxSizing: 'border-box',
+    width: `${textarea.clientWidth}px`,
+    border: '0',
+    whiteSpace: 'pre-wrap',
+    overflowWrap: 'break-word',
+  });
+
+  mirror.textContent = text.slice(0, start);
+  const line = document.createElement('span');
+  // An empty line still takes a row
+  line.textContent = text.slice(start, end) || ' ';
+  mirror.appendChild(line);
+  document.body.appendChild(mirror);
+
+  const mirrorRect = mirror.getBoundingClientRect();
+  const lineRect = line.getBoundingClientRect();
+  mirror.remove();
+
+  return {
+    top: lineRect.top - mirrorRect.top,
+    height: lineRect.height || parseFloat(style.lineHeight) || 0,
+    start,
+    end,
+  };
+}
@@ -0,0 +1,268 @@
+// Input formats besides XML. JSON, YAML and HTML are converted into the
+// plain document objects xmlParser.js produces, so the tree builder turns
+// every format into the same node model.
+
+import {
+  parseXml,
+  findXmlErrors,
+  getOffset,
+  getLineColumn,
+  XmlParseError,
+} from './xmlParser.js';
+import { parseYaml } from './yamlParser.js';
+
+export const INPUT_FORMATS = ['xml', 'json', 'yaml', 'html'];
+
+export const INPUT_FORMAT_LABELS = {
+  xml: 'XML',
+  json: 'JSON',
+  yaml: 'YAML',
+  html: 'HTML',
+};
+
+// Positions in parser messages: "line 3 column 5" (JSON in Firefox),
+// "error on line 3 at column 5" (DOMParser in Chrome), "Line Number 3,
+// Column 5" (DOMParser in Firefox), "3:5:" (jsdom)
+const LINE_COLUMN_PATTERNS = [
+  /\bline(?: number)?\s+(\d+),?\s+(?:at\s+)?column\s+(\d+)/i,
+  /^\s*(\d+):(\d+):/,
+];
+
+// "at position 42" (JSON in V8)
+const POSITION_PATTERN = /\bat position (\d+)/;
+
+// Element name of array entries, which have no key
+const ARRAY_ITEM_NAME = 'item';
+
+// Element name of the top-level JSON or YAML value
+const ROOT_NAME = 'root';
+
+/**
+ * Guesses the format of a document from its first characters
+ * @param {string} text
+ * @returns {string} one of INPUT_FORMATS
+ */
+export function detectInputFormat(text) {
+  // Only the start matters, and documents can be very large
+  const head = text.slice(0, 4096).trimStart();
+
+  if (head.startsWith('<')) {
+    // Comments may come before the doctype
+    const start = head.replace(/^(<!--[\s\S]*?-->\s*)+/, '');
+    return /^(<!doctype\s+html\b|<html[\s>])/i.test(start) ? 'html' : 'xml';
+  }
+  if (head.startsWith('{') || head.startsWith('[')) {
+    return 'json';
+  }
+  return 'yaml';
+}
+
+/**
+ * Parses a document of any input format into a document-like tree of plain
+ * objects. HTML needs DOMParser, so it cannot be parsed in a worker.
+ * @param {string} text
+ * @param {string} format - one of INPUT_FORMATS
+ * @returns {Object} document node with childNodes
+ * @throws {Error} when the document is malformed (XmlParseError,
+ *   YamlParseError or the SyntaxError of JSON.parse)
+ */
+export function parseInputDocument(text, format) {
+  switch (format) {
+    case 'json':
+      return valueToDocument(JSON.parse(text));
+    case 'yaml':
+      return valueToDocument(parseYaml(text));
+    case 'html':
+      return htmlToDocument(new DOMParser().parseFromString(text, 'text/html'));
+    default:
+      return parseXml(text);
+  }
+}
+
+function createElement(name) {
+  return {
+    nodeType: 1,
+    tagName: name,
+    prefix: null,
+    localName: name,
+    namespaceURI: null,
+    attributes: [],
+    childNodes: [],
+    childElementCount: 0,
+  };
+}
+
+function appendElement(parent, element) {
+  parent.childNodes.push(element);
+  parent.childElementCount++;
+}
+
+/**
+ * Converts a JSON value into a document: objects and arrays become elements
+ * with a child per entry, named by key ("item" in arrays), and scalars
+ * become text. null and empty strings leave the element empty.
+ * @param {*} value
+ * @returns {Object} document node
+ */
+export function valueToDocument(value) {
+  const root = createElement(ROOT_NAME);
+  const stack = [[root, value]];
+
+  while (stack.length > 0) {
+    const [element, current] = stack.pop();
+
+    if (Array.isArray(current)) {
+      current.forEach((item) => {
+        const child = createElement(ARRAY_ITEM_NAME);
+        appendElement(element, child);
+        stack.push([child, item]);
+      });
+    } else if (current !== null && typeof current === 'object') {
+      Object.keys(current).forEach((key) => {
+        const child = createElement(key);
+        appendElement(element, child);
+        stack.push([child, current[key]]);
+      });
+    } else if (current !== null && current !== '') {
+      element.childNodes.push({ nodeType: 3, nodeValue: String(current) });
+    }
+  }
+
+  return { nodeType: 9, childNodes: [root] };
+}
+
+/**
+ * Copies an HTML document into plain objects with lowercase element names
+ * and no XHTML namespace, so it looks like any other document in the tree
+ * @param {Document} htmlDoc - parsed as text/html
+ * @returns {Object} document node
+ */
+export function htmlToDocument(htmlDoc) {
+  const document = { nodeType: 9, childNodes: [] };
+  const stack = [[htmlDoc, document]];
+
+  while (stack.length > 0) {
+    const [source, target] = stack.pop();
+    const children = source.childNodes;
+
+    for (let i = 0; i < children.length; i++) {
+      const child = children[i];
+      switch (child.nodeType) {
+        case 1: {
+          const element = createElement(child.localName);
+          element.attributes = Array.from(child.attributes, (attr) => ({
+            name: attr.name,
+            value: attr.value,
+            prefix: null,
+            localName: attr.name,
+            namespaceURI: null,
+          }));
+          if (target === document) {
+            document.childNodes.push(element);
+          } else {
+            appendElement(target, element);
+          }
+          // Template contents live in a separate fragment
+          stack.push([child.content || child, element]);
+          break;
+        }
+        case 3:
+        case 4:
+        case 8:
+          target.childNodes.push({
+            nodeType: child.nodeType,
+            nodeValue: child.nodeValue,
+          });
+          break;
+        default:
+          // The doctype is not part of the tree
+          break;
+      }
+    }
+  }
+
+  return document;
+}
+
+/**
+ * Turns the text of a DOMParser <parsererror> into an XmlParseError at the
+ * position it names. Browsers word these differently, so when no position
+ * can be read the result is a plain Error with the whole text.
+ * @param {string} text - the document
+ * @param {string} message - textContent of the parsererror element
+ * @returns {Error}
+ */
+export function createDomParseError(text, message) {
+  const offset = getMessageOffset(text, message);
+  if (offset === -1) {
+    return new Error(`Invalid XML format: ${message.trim()}`);
+  }
+
+  // Chrome and jsdom give the reason after the position, Firefox before it
+  const reason =
+    /column \d+:\s*([^\n]+)/i.exec(message) ||
+    /^\s*\d+:\d+:\s*([^\n]+)/.exec(message) ||
+    /XML Parsing Error:\s*([^\n]+)/.exec(message);
+  return new XmlParseError(
+    reason ? reason[1].trim() : message.trim().split('\n')[0],
+    text,
+    offset
+  );
+}
+
+/**
+ * Lists the problems of a document that failed to parse, with their
+ * positions. XML is scanned again to find every error; the other formats
+ * only know where their parser stopped.
+ * @param {string} text
+ * @param {string} format - one of INPUT_FORMATS
+ * @param {Error} [error] - what parsing threw
+ * @returns {Object[]} { message, offset, line, column } in document order,
+ *   empty when no position is known
+ */
+export function findInputProblems(text, format, error = null) {
+  if (format === 'xml') {
+    const errors = findXmlErrors(text);
+    if (errors.length > 0) {
+      return errors.map(toProblem);
+    }
+  }
+  if (!error) return [];
+
+  // XmlParseError and YamlParseError have a position of their own
+  if (typeof error.offset === 'number') {
+    return [toProblem(error)];
+  }
+
+  const offset = getMessageOffset(text, error.message);
+  if (offset === -1) return [];
+  return [
+    {
+      message: error.message,
+      offset,
+      ...getLineColumn(text, offset),
+    },
+  ];
+}
+
+function toProblem(error) {
+  return {
+    message: error.reason,
+    offset: error.offset,
+    line: error.line,
+    column: error.column,
+  };
+}
+
+// Character offset of the position named in a parser message, or -1
+function getMessageOffset(text, message) {
+  for (const pattern of LINE_COLUMN_PATTERNS) {
+    const match = pattern.exec(message);
+    if (match) {
+      return getOffset(text, Number(match[1]), Number(match[2]));
+    }
+  }
+
+  const position = POSITION_PATTERN.exec(message);
+  return position ? Math.min(Number(position[1]), text.length) : -1;
+}
@@ -0,0 +1,602 @@
+// Node measuring and tree positioning, shared by the visualizer and the
+// parse worker
+
+import { measureTextWidth, wrapText } from './utils.js';
+import { getNodeLabel } from './treeUtils.js';
+
+/**
+ * Returns the attribute rows drawn inside a node box
+ * @param {Object} node - tree node
+ * @param {Object} settings - layout settings
+ * @returns {string[]}
+ */
+export function getAttributeRows(node, settings) {
+  if (!settings.showAttributes) return [];
+
+  const max = settings.maxAttributesPerNode;
+  const names = Object.keys(node.attributes || {});
+  const changes = node.attributeChanges || {};
+  const rows = names.slice(0, max).map((name) => {
+    const row = `${name}="${node.attributes[name]}"`;
+    // Compared nodes show the value a changed attribute had before
+    return changes[name] === 'changed'
+      ? `${row} (was "${node.previousAttributes[name]}")`
+      : row;
+  });
+
+  // Add a "+N more" row when capped
+  if (names.length > max) {
+    rows.push(`+${names.length - max} more`);
+  }
+  return rows;
+}
+
+// Font of the labels styles.css draws in a code font
+const MONO_LABEL_FONT = 'normal 16px "JetBrains Mono", "Fira Code", monospace';
+
+/**
+ * Returns the font styles.css draws a node label in
+ * @param {Object} node - tree node
+ * @param {string} labelFont - CSS font of element labels
+ * @returns {string}
+ */
+export function getLabelFont(node, labelFont) {
+  switch (node.type) {
+    case 'cdata':
+    case 'pi':
+    case 'declaration':
+      return MONO_LABEL_FONT;
+    case 'comment':
+      return labelFont.replace('bold', 'italic normal');
+    default:
+      return labelFont;
+  }
+}
+
+/**
+ * Diff status of each attribute row of a compared node, in the order of
+ * getAttributeRows: "added", "removed", "changed" or null
+ * @param {Object} node - tree node
+ * @param {Object} settings - layout settings
+ * @returns {Array<string|null>}
+ */
+export function getAttributeRowStatuses(node, settings) {
+  const changes = node.attributeChanges || {};
+  const names = Object.keys(node.attributes || {});
+  return getAttributeRows(node, settings).map((row, i) =>
+    i < settings.maxAttributesPerNode ? changes[names[i]] || null : null
+  );
+}
+
+/**
+ * Sets width, label lines and height of a node
+ * @param {Object} node - tree node
+ * @param {Object} settings - layout settings
+ */
+export function measureNode(node, settings) {
+  const hasIndicator =
+    (node.children && node.children.length > 0) ||
+    (node.type === 'placeholder' && node.source);
+  const attributeRows = getAttributeRows(node, settings);
+  const label = getNodeLabel(node, {
+    localNamesOnly: settings.localNamesOnly,
+  });
+
+  if (settings.fitNodesToLabel) {
+    const labelFont = getLabelFont(node, settings.labelFont);
+    // Keep the label clear of the expand indicator on the right
+    const padding = hasIndicator ? 56 : 28;
+    const maxWidth =
+      settings.maxNodeWidth > 0 ? settings.maxNodeWidth : Infinity;
+
+    node.labelLines =
+      maxWidth === Infinity
+        ? [label]
+        : wrapText(label, maxWidth - padding, labelFont);
+
+    const labelWidth = Math.max(
+      ...node.labelLines.map((line) => measureTextWidth(line, labelFont))
+    );
+    const attributesWidth = Math.max(
+      0,
+      ...attributeRows.map((row) =>
+        measureTextWidth(row, settings.attributeFont)
+      )
+    );
+
+    node.width = Math.min(
+      Math.max(
+        labelWidth + padding,
+        attributesWidth + 12,
+        settings.minNodeWidth
+      ),
+      maxWidth
+    );
+  } else {
+    // Fixed box: labels are truncated instead
+    const maxLength = node.type === 'placeholder' ? 40 : 10; // Allow longer text for placeholders
+    node.labelLines = [
+      label.length > maxLength ? label.substring(0, maxLength) + '...' : label,
+    ];
+    node.width = settings.nodeWidth;
+  }
+
+  node.labelHeight = Math.max(
+    settings.nodeHeight,
+    node.labelLines.length * settings.labelLineHeight + 16
+  );
+  node.height =
+    attributeRows.length > 0
+      ? node.labelHeight +
+        attributeRows.length * settings.attributeRowHeight +
+        6
+      : node.labelHeight;
+}
+
+/** Layout modes accepted by layoutTree */
+export const LAYOUT_MODES = [
+  'vertical',
+  'tidy',
+  'horizontal',
+  'radial',
+  'indented',
+];
+
+// Horizontal offset of each level in the indented outline
+const INDENT_STEP = 32;
+
+/**
+ * Positions every visible node with the layout of settings.layoutMode.
+ * Sets x, y and the size of each node.
+ * @param {Object[]} roots - tree roots
+ * @param {Set<string>} collapsedNodes - ids whose children are hidden
+ * @param {Object} settings - layout settings
+ */
+export function layoutTree(roots, collapsedNodes, settings) {
+  if (!roots || roots.length === 0) return;
+
+  switch (settings.layoutMode) {
+    case 'horizontal':
+      layoutLayered(roots, collapsedNodes, settings, true);
+      break;
+    case 'radial':
+      layoutRadial(roots, collapsedNodes, settings);
+      break;
+    case 'indented':
+      layoutIndented(roots, collapsedNodes, settings);
+      break;
+    case 'tidy':
+      layoutTidy(roots, collapsedNodes, settings);
+      break;
+    default:
+      layoutLayered(roots, collapsedNodes, settings, false);
+  }
+}
+
+/**
+ * Points of the connector between a parent and one of its children, for
+ * the given layout mode
+ * @param {Object[]} edge - [parent, child]
+ * @param {string} [mode] - layout mode, vertical by default
+ * @returns {number[]} polyline as x0, y0, x1, y1, ...
+ */
+export function getConnectorPoints([parent, child], mode) {
+  switch (mode) {
+    case 'horizontal': {
+      // Right side of the parent, across at mid gap, left side of the child
+      const startX = parent.x + parent.width;
+      const startY = parent.y + parent.height / 2;
+      const endX = child.x;
+      const endY = child.y + child.height / 2;
+      const midX = startX + (endX - startX) / 2;
+      return [startX, startY, midX, startY, midX, endY, endX, endY];
+    }
+    case 'radial':
+      // Straight spoke between the centers, drawn under the nodes
+      return [
+        parent.x + parent.width / 2,
+        parent.y + parent.height / 2,
+        child.x + child.width / 2,
+        child.y + child.height / 2,
+      ];
+    case 'indented': {
+      // Down from under the parent, then right into the child
+      const lineX = parent.x + INDENT_STEP / 2;
+      const endY = child.y + child.height / 2;
+      return [lineX, parent.y + parent.height, lineX, endY, child.x, endY];
+    }
+    default: {
+      // Down from the parent, across at mid height, down into the child
+      const startX = parent.x + parent.width / 2;
+      const startY = parent.y + parent.height;
+      const endX = child.x + child.width / 2;
+      const endY = child.y;
+      const midY = startY + (endY - startY) / 2;
+      return [startX, startY, startX, midY, endX, midY, endX, endY];
+    }
+  }
+}
+
+function isExpanded(node, collapsedNodes) {
+  return (
+    node.children && node.children.length > 0 && !collapsedNodes.has(node.id)
+  );
+}
+
+/**
+ * Layered layout: parents centered on their children, each level past the
+ * largest node of the level before. Top-down, or left to right when
+ * horizontal is set.
+ */
+function layoutLayered(roots, collapsedNodes, settings, horizontal) {
+  const spacing = settings.nodeSpacing;
+
+  // Tamaño del nodo a lo largo de su nivel, y en la dirección de los niveles
+  const breadth = (node) => (horizontal ? node.height : node.width);
+  const extent = (node) => (horizontal ? node.width : node.height);
+
+  // Tamaño máximo de los nodos visibles en cada nivel
+  const levelExtents = [];
+
+  // ----- Paso 1: calcular el ancho de cada subárbol -----
+  const calculateBreadth = (node) => {
+    measureNode(node, settings);
+    levelExtents[node.depth] = Math.max(
+      levelExtents[node.depth] || 0,
+      extent(node)
+    );
+
+    if (!isExpanded(node, collapsedNodes)) {
+      node.subtreeBreadth = breadth(node);
+      return node.subtreeBreadth;
+    }
+
+    let total = 0;
+    for (let i = 0; i < node.children.length; i++) {
+      total += calculateBreadth(node.children[i]);
+      if (i < node.children.length - 1) {
+        total += spacing;
+      }
+    }
+
+    node.subtreeBreadth = Math.max(breadth(node), total);
+    return node.subtreeBreadth;
+  };
+
+  roots.forEach(calculateBreadth);
+
+  // Calcular el ancho total de todas las raíces
+  let totalRootBreadth = 0;
+  for (let i = 0; i < roots.length; i++) {
+    totalRootBreadth += roots[i].subtreeBreadth;
+    if (i < roots.length - 1) {
+      totalRootBreadth += spacing;
+    }
+  }
+
+  let start = -totalRootBreadth / 2;
+
+  const levelOffsets = getLevelOffsets(levelExtents, settings);
+
+  // ----- Paso 2: asignar posiciones basadas en el ancho calculado -----
+  const setPositions = (node, depth, offset) => {
+    const along = offset + (node.subtreeBreadth - breadth(node)) / 2;
+    node.x = horizontal ? levelOffsets[depth] : along;
+    node.y = horizontal ? along : levelOffsets[depth];
+
+    if (isExpanded(node, collapsedNodes)) {
+      let childOffset = offset;
+      for (let i = 0; i < node.children.length; i++) {
+        const child = node.children[i];
+        setPositions(child, depth + 1, childOffset);
+        childOffset += child.subtreeBreadth + spacing;
+      }
+    }
+  };
+
+  for (let i = 0; i < roots.length; i++) {
+    const root = roots[i];
+    setPositions(root, 0, start);
+    start += root.subtreeBreadth + spacing;
+  }
+}
+
+// Cada nivel empieza después del nodo más grande del nivel anterior,
+// with fixed heights this is the same as depth * levelHeight
+function getLevelOffsets(levelExtents, settings) {
+  const levelGap = settings.levelHeight - settings.nodeHeight;
+  const levelOffsets = [0];
+  for (let d = 1; d < levelExtents.length; d++) {
+    levelOffsets[d] =
+      levelOffsets[d - 1] + (levelExtents[d - 1] || 0) + levelGap;
+  }
+  return levelOffsets;
+}
+
+/**
+ * Tidy top-down layout (Walker's algorithm, in the linear time version of
+ * Buchheim, Jünger and Leipert). Subtrees are pushed together until their
+ * contours, not their bounding boxes, are nodeSpacing apart, so narrow deep
+ * branches tuck in under wide shallow ones.
+ */
+function layoutTidy(roots, collapsedNodes, settings) {
+  const spacing = settings.nodeSpacing;
+  const levelExtents = [];
+
+  // Working record per node; the virtual root holds all tree roots
+  const wrap = (node, parent, number) => {
+    measureNode(node, settings);
+    levelExtents[node.depth] = Math.max(
+      levelExtents[node.depth] || 0,
+      node.height
+    );
+
+    const record = {
+      node,
+      width: node.width,
+      parent,
+      number,
+      children: [],
+      prelim: 0,
+      mod: 0,
+      shift: 0,
+      change: 0,
+      thread: null,
+      ancestor: null,
+    };
+    record.ancestor = record;
+    if (isExpanded(node, collapsedNodes)) {
+      record.children = node.children.map((child, i) => wrap(child, record, i));
+    }
+    return record;
+  };
+
+  const virtualRoot = {
+    node: null,
+    width: 0,
+    parent: null,
+    number: 0,
+    prelim: 0,
+    mod: 0,
+    shift: 0,
+    change: 0,
+    thread: null,
+  };
+  virtualRoot.ancestor = virtualRoot;
+  virtualRoot.children = roots.map((root, i) => wrap(root, virtualRoot, i));
+
+  // Distance between the centers of two neighbours on the same level
+  const separation = (left, right) => (left.width + right.width) / 2 + spacing;
+  const leftSibling = (v) =>
+    v.number > 0 ? v.parent.children[v.number - 1] : null;
+  const nextLeft = (v) => (v.children.length > 0 ? v.children[0] : v.thread);
+  const nextRight = (v) =>
+    v.children.length > 0 ? v.children[v.children.length - 1] : v.thread;
+
+  const moveSubtree = (wl, wr, shift) => {
+    const subtrees = wr.number - wl.number;
+    wr.change -= shift / subtrees;
+    wr.shift += shift;
+    wl.change += shift / subtrees;
+    wr.prelim += shift;
+    wr.mod += shift;
+  };
+
+  const executeShifts = (v) => {
+    let shift = 0;
+    let change = 0;
+    for (let i = v.children.length - 1; i >= 0; i--) {
+      const w = v.children[i];
+      w.prelim += shift;
+      w.mod += shift;
+      change += w.change;
+      shift += w.shift + change;
+    }
+  };
+
+  // Pushes the subtree of v right until it clears the subtrees to its left
+  const apportion = (v, defaultAncestor) => {
+    const w = leftSibling(v);
+    if (!w) return defaultAncestor;
+
+    let vip = v; // Inner right contour
+    let vop = v; // Outer right contour
+    let vim = w; // Inner left contour
+    let vom = v.parent.children[0]; // Outer left contour
+    let sip = vip.mod;
+    let sop = vop.mod;
+    let sim = vim.mod;
+    let som = vom.mod;
+
+    while (nextRight(vim) && nextLeft(vip)) {
+      vim = nextRight(vim);
+      vip = nextLeft(vip);
+      vom = nextLeft(vom);
+      vop = nextRight(vop);
+      vop.ancestor = v;
+
+      const shift =
+        vim.prelim + sim - (vip.prelim + sip) + separation(vim, vip);
+      if (shift > 0) {
+        const ancestor =
+          vim.ancestor.parent === v.parent ? vim.ancestor : defaultAncestor;
+        moveSubtree(ancestor, v, shift);
+        sip += shift;
+        sop += shift;
+      }
+      sim += vim.mod;
+      sip += vip.mod;
+      som += vom.mod;
+      sop += vop.mod;
+    }
+
+    if (nextRight(vim) && !nextRight(vop)) {
+      vop.thread = nextRight(vim);
+      vop.mod += sim - sop;
+    }
+    if (nextLeft(vip) && !nextLeft(vom)) {
+      vom.thread = nextLeft(vip);
+      vom.mod += sip - som;
+      return v;
+    }
+    return defaultAncestor;
+  };
+
+  // ----- Paso 1: posiciones preliminares, de las hojas hacia arriba -----
+  const firstWalk = (v) => {
+    const w = leftSibling(v);
+    if (v.children.length === 0) {
+      v.prelim = w ? w.prelim + separation(w, v) : 0;
+      return;
+    }
+
+    let defaultAncestor = v.children[0];
+    v.children.forEach((child) => {
+      firstWalk(child);
+      defaultAncestor = apportion(child, defaultAncestor);
+    });
+    executeShifts(v);
+
+    const midpoint =
+      (v.children[0].prelim + v.children[v.children.length - 1].prelim) / 2;
+    if (w) {
+      v.prelim = w.prelim + separation(w, v);
+      v.mod = v.prelim - midpoint;
+    } else {
+      v.prelim = midpoint;
+    }
+  };
+
+  // ----- Paso 2: posiciones finales, sumando los desplazamientos -----
+  const levelOffsets = getLevelOffsets(levelExtents, settings);
+  const secondWalk = (v, offset) => {
+    v.node.x = v.prelim + offset - v.width / 2;
+    v.node.y = levelOffsets[v.node.depth];
+    v.children.forEach((child) => secondWalk(child, offset + v.mod));
+  };
+
+  firstWalk(virtualRoot);
+  virtualRoot.children.forEach((root) =>
+    secondWalk(root, virtualRoot.mod - virtualRoot.prelim)
+  );
+}
+
+/**
+ * Radial layout: the root element in the center and each level on a ring
+ * around it. Every subtree gets an angle proportional to the width of its
+ * leaves, and rings grow until each node fits in its angle. The XML
+ * declaration and other top-level nodes go in a row above.
+ */
+function layoutRadial(roots, collapsedNodes, settings) {
+  const spacing = settings.nodeSpacing;
+  const levelGap = settings.levelHeight - settings.nodeHeight;
+  const center = roots.find((node) => node.type === 'element') || roots[0];
+
+  // ----- Paso 1: ancho de arco de cada subárbol y tamaño de cada anillo -----
+  const levelExtents = [];
+  const calculateArc = (node, level) => {
+    measureNode(node, settings);
+    levelExtents[level] = Math.max(
+      levelExtents[level] || 0,
+      node.width,
+      node.height
+    );
+
+    let total = 0;
+    if (isExpanded(node, collapsedNodes)) {
+      for (let i = 0; i < node.children.length; i++) {
+        total += calculateArc(node.children[i], level + 1);
+      }
+    }
+
+    node.subtreeBreadth = Math.max(node.width + spacing, total);
+    return node.subtreeBreadth;
+  };
+  calculateArc(center, 0);
+
+  // ----- Paso 2: repartir los ángulos, empezando arriba -----
+  const placed = []; // [node, level, angle]
+  const minRadius = []; // Radius at which every node of a level fits its angle
+  const assignAngles = (node, level, start, span) => {
+    placed.push([node, level, start + span / 2]);
+    if (level > 0) {
+      minRadius[level] = Math.max(
+        minRadius[level] || 0,
+        (node.width + spacing) / span
+      );
+    }
+
+    if (!isExpanded(node, collapsedNodes)) return;
+
+    let childrenArc = 0;
+    node.children.forEach((child) => {
+      childrenArc += child.subtreeBreadth;
+    });
+
+    let childStart = start;
+    node.children.forEach((child) => {
+      const childSpan = (span * child.subtreeBreadth) / childrenArc;
+      assignAngles(child, level + 1, childStart, childSpan);
+      childStart += childSpan;
+    });
+  };
+  assignAngles(center, 0, -Math.PI / 2, 2 * Math.PI);
+
+  const radii = [0];
+  for (let level = 1; level < levelExtents.length; level++) {
+    radii[level] = Math.max(
+      radii[level - 1] +
+        (levelExtents[level - 1] + levelExtents[level]) / 2 +
+        levelGap,
+      minRadius[level] || 0
+    );
+  }
+
+  // ----- Paso 3: posiciones, centradas en el punto del anillo -----
+  let minY = Infinity;
+  placed.forEach(([node, level, angle]) => {
+    node.x = radii[level] * Math.cos(angle) - node.width / 2;
+    node.y = radii[level] * Math.sin(angle) - node.height / 2;
+    minY = Math.min(minY, node.y);
+  });
+
+  const others = roots.filter((node) => node !== center);
+  if (others.length === 0) return;
+
+  let rowWidth = -spacing;
+  let rowHeight = 0;
+  others.forEach((node) => {
+    measureNode(node, settings);
+    rowWidth += node.width + spacing;
+    rowHeight = Math.max(rowHeight, node.height);
+  });
+
+  let x = -rowWidth / 2;
+  others.forEach((node) => {
+    node.x = x;
+    node.y = minY - levelGap - rowHeight;
+    x += node.width + spacing;
+  });
+}
+
+/**
+ * Indented outline, like a file explorer: one node per row, each level
+ * shifted to the right of its parent
+ */
+function layoutIndented(roots, collapsedNodes, settings) {
+  const rowGap = settings.nodeSpacing / 2;
+  let y = 0;
+
+  const place = (node, level) => {
+    measureNode(node, settings);
+    node.x = level * INDENT_STEP;
+    node.y = y;
+    y += node.height + rowGap;
+
+    if (isExpanded(node, collapsedNodes)) {
+      node.children.forEach((child) => place(child, level + 1));
+    }
+  };
+
+  roots.forEach((root) => place(root, 0));
+}
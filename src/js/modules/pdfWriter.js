@@ -0,0 +1,292 @@
+// Minimal single-page PDF writer for vector diagrams: filled and stroked
+// paths, clipping, and text in the standard Type 1 fonts, which every
+// viewer has, so nothing needs to be embedded
+
+import { parseColor } from './utils.js';
+
+// Standard fonts used, by resource name
+const FONTS = {
+  F1: 'Helvetica',
+  F2: 'Helvetica-Bold',
+  F3: 'Helvetica-Oblique',
+  F4: 'Helvetica-BoldOblique',
+  F5: 'Courier',
+  F6: 'Courier-Bold',
+};
+
+// WinAnsiEncoding codes of characters outside Latin-1
+const WIN_ANSI = {
+  '€': 0x80,
+  '‚': 0x82,
+  '„': 0x84,
+  '…': 0x85,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+  '™': 0x99,
+  '−': 0x2d,
+};
+
+// Control point distance of a quarter circle drawn with one Bézier curve
+const KAPPA = 0.5523;
+
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(3);
+}
+
+/**
+ * Encodes text as a PDF literal string in WinAnsiEncoding; characters the
+ * standard fonts cannot show become "?"
+ * @param {string} text
+ * @returns {string}
+ */
+function encodeText(text) {
+  let encoded = '';
+  for (const char of text) {
+    let code = char.codePointAt(0);
+    if (WIN_ANSI[char] !== undefined) {
+      code = WIN_ANSI[char];
+    } else if (code > 255 || (code < 32 && code !== 9)) {
+      code = 63; // "?"
+    }
+
+    if (code === 40 || code === 41 || code === 92) {
+      encoded += '\\' + String.fromCharCode(code);
+    } else if (code > 126) {
+      encoded += '\\' + code.toString(8).padStart(3, '0');
+    } else {
+      encoded += String.fromCharCode(code);
+    }
+  }
+  return `(${encoded})`;
+}
+
+/**
+ * One page PDF drawn with a top-left origin and y pointing down, like the
+ * canvas and SVG
+ */
+export class PdfDocument {
+  /**
+   * @param {number} width - page width in points
+   * @param {number} height - page height in points
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.alphaStates = new Map(); // "fill:0.5" -> resource name
+    // Flip the y axis so drawing code can use screen coordinates
+    this.operations = [`1 0 0 -1 0 ${formatNumber(height)} cm`];
+  }
+
+  /**
+   * Appends a transform to the current one
+   * @param {number} scale
+   * @param {number} x - translation after scaling
+   * @param {number} y
+   */
+  transform(scale, x, y) {
+    this.operations.push(
+      `${formatNumber(scale)} 0 0 ${formatNumber(scale)} ${formatNumber(
+        x
+      )} ${formatNumber(y)} cm`
+    );
+  }
+
+  save() {
+    this.operations.push('q');
+  }
+
+  restore() {
+    this.operations.push('Q');
+  }
+
+  /**
+   * Restricts drawing to a rectangle until the matching restore()
+   */
+  clipRect(x, y, width, height) {
+    this.operations.push(
+      `${formatNumber(x)} ${formatNumber(y)} ${formatNumber(
+        width
+      )} ${formatNumber(height)} re W n`
+    );
+  }
+
+  setFillColor(color) {
+    this.setColor(color, 'rg', 'fill');
+  }
+
+  setStrokeColor(color) {
+    this.setColor(color, 'RG', 'stroke');
+  }
+
+  setColor(color, operator, kind) {
+    const rgb = parseColor(color) || { r: 0, g: 0, b: 0, a: 1 };
+    this.operations.push(
+      `${formatNumber(rgb.r / 255)} ${formatNumber(rgb.g / 255)} ${formatNumber(
+        rgb.b / 255
+      )} ${operator}`
+    );
+
+    // Transparency goes through a graphics state resource
+    const key = `${kind}:${rgb.a}`;
+    if (!this.alphaStates.has(key)) {
+      this.alphaStates.set(key, `GS${this.alphaStates.size}`);
+    }
+    this.operations.push(`/${this.alphaStates.get(key)} gs`);
+  }
+
+  setLineWidth(width) {
+    this.operations.push(`${formatNumber(width)} w`);
+  }
+
+  /**
+   * @param {number[]|null} dash - lengths of dashes and gaps, null for solid
+   */
+  setDash(dash) {
+    const pattern = dash ? dash.map(formatNumber).join(' ') : '';
+    this.operations.push(`[${pattern}] 0 d`);
+  }
+
+  setLineJoinRound() {
+    this.operations.push('1 j 1 J');
+  }
+
+  moveTo(x, y) {
+    this.operations.push(`${formatNumber(x)} ${formatNumber(y)} m`);
+  }
+
+  lineTo(x, y) {
+    this.operations.push(`${formatNumber(x)} ${formatNumber(y)} l`);
+  }
+
+  rect(x, y, width, height) {
+    this.operations.push(
+      `${formatNumber(x)} ${formatNumber(y)} ${formatNumber(
+        width
+      )} ${formatNumber(height)} re`
+    );
+  }
+
+  roundedRect(x, y, width, height, radius) {
+    const r = Math.min(radius, width / 2, height / 2);
+    const k = r * KAPPA;
+    const curve = (x1, y1, x2, y2, x3, y3) =>
+      this.operations.push(
+        [x1, y1, x2, y2, x3, y3].map(formatNumber).join(' ') + ' c'
+      );
+
+    this.moveTo(x + r, y);
+    this.lineTo(x + width - r, y);
+    curve(x + width - r + k, y, x + width, y + r - k, x + width, y + r);
+    this.lineTo(x + width, y + height - r);
+    curve(
+      x + width,
+      y + height - r + k,
+      x + width - r + k,
+      y + height,
+      x + width - r,
+      y + height
+    );
+    this.lineTo(x + r, y + height);
+    curve(x + r - k, y + height, x, y + height - r + k, x, y + height - r);
+    this.lineTo(x, y + r);
+    curve(x, y + r - k, x + r - k, y, x + r, y);
+    this.operations.push('h');
+  }
+
+  fill() {
+    this.operations.push('f');
+  }
+
+  stroke() {
+    this.operations.push('S');
+  }
+
+  fillAndStroke() {
+    this.operations.push('B');
+  }
+
+  /**
+   * Draws one line of text with its baseline at y
+   * @param {string} text
+   * @param {number} x - left edge
+   * @param {number} y - baseline
+   * @param {Object} font - { bold, italic, mono, size }
+   */
+  text(text, x, y, font) {
+    const name = PdfDocument.getFontResource(font);
+    // Undo the flipped y axis for the glyphs
+    this.operations.push(
+      `BT /${name} ${formatNumber(font.size)} Tf 1 0 0 -1 ${formatNumber(
+        x
+      )} ${formatNumber(y)} Tm ${encodeText(text)} Tj ET`
+    );
+  }
+
+  /**
+   * Resource name of the standard font closest to a font description
+   * @param {Object} font - { bold, italic, mono }
+   * @returns {string}
+   */
+  static getFontResource(font) {
+    if (font.mono) return font.bold ? 'F6' : 'F5';
+    if (font.bold) return font.italic ? 'F4' : 'F2';
+    return font.italic ? 'F3' : 'F1';
+  }
+
+  /**
+   * Serializes the document
+   * @returns {Blob}
+   */
+  toBlob() {
+    const content = this.operations.join('\n');
+
+    const fontEntries = Object.keys(FONTS)
+      .map((name, i) => `/${name} ${5 + i} 0 R`)
+      .join(' ');
+    const alphaEntries = Array.from(this.alphaStates)
+      .map(([key, name]) => {
+        const [kind, alpha] = key.split(':');
+        return `/${name} << /${kind === 'fill' ? 'ca' : 'CA'} ${alpha} >>`;
+      })
+      .join(' ');
+
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(
+        this.width
+      )} ${formatNumber(
+        this.height
+      )}] /Resources << /Font << ${fontEntries} >> /ExtGState << ${alphaEntries} >> >> /Contents 4 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+      ...Object.values(FONTS).map(
+        (baseFont) =>
+          `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`
+      ),
+    ];
+
+    // Everything written is ASCII, so string lengths are byte offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((object, i) => {
+      offsets.push(pdf.length);
+      pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    });
+
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach((offset) => {
+      pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    pdf += `trailer\n<< /Size ${
+      objects.length + 1
+    } /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return new Blob([pdf], { type: 'application/pdf' });
+  }
+}
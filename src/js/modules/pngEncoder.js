@@ -0,0 +1,140 @@
+// PNG encoding for images larger than the biggest canvas a browser allows:
+// the image is drawn in tiles and its rows are deflated as they are produced
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Tiles stay well under every browser's canvas limits; Safari caps the area
+const MAX_TILE_SIZE = 4096;
+const MAX_CANVAS_SIDE = 8192;
+const MAX_CANVAS_AREA = 16777216;
+
+// Uncompressed rows held at once
+const MAX_STRIP_BYTES = 32 * 1024 * 1024;
+
+let crcTable = null;
+
+function crc32(bytes, crc = 0xffffffff) {
+  if (crcTable === null) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return crc >>> 0;
+}
+
+// Length, type, data and CRC of one PNG chunk
+function createChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(
+    8 + data.length,
+    crc32(chunk.subarray(4, 8 + data.length)) ^ 0xffffffff
+  );
+  return chunk;
+}
+
+/**
+ * Tells whether an image can be drawn on a single canvas
+ * @param {number} width - pixels
+ * @param {number} height - pixels
+ * @returns {boolean}
+ */
+export function fitsInCanvas(width, height) {
+  return (
+    width <= MAX_CANVAS_SIDE &&
+    height <= MAX_CANVAS_SIDE &&
+    width * height <= MAX_CANVAS_AREA
+  );
+}
+
+/**
+ * Encodes an RGBA PNG of any size by drawing it one tile at a time
+ * @param {number} width - pixels
+ * @param {number} height - pixels
+ * @param {Function} drawTile - (ctx, x, y, width, height) draws that region
+ *   of the image, with the tile's top left corner at the context origin
+ * @param {Object} [options]
+ * @param {number} [options.dpi] - resolution stored in the file
+ * @returns {Promise<Blob>}
+ * @throws {Error} when the browser has no CompressionStream
+ */
+export async function encodeTiledPng(width, height, drawTile, options = {}) {
+  if (typeof CompressionStream === 'undefined') {
+    throw new Error('This browser cannot encode images this large');
+  }
+
+  const rowBytes = width * 4 + 1;
+  const stripHeight = Math.max(
+    1,
+    Math.min(MAX_TILE_SIZE, Math.floor(MAX_STRIP_BYTES / rowBytes))
+  );
+
+  // The zlib stream is read while it is written, or the writes would stall
+  const deflate = new CompressionStream('deflate');
+  const compressed = new Response(deflate.readable).arrayBuffer();
+  const writer = deflate.writable.getWriter();
+
+  const canvas = document.createElement('canvas');
+  for (let y = 0; y < height; y += stripHeight) {
+    const tileHeight = Math.min(stripHeight, height - y);
+    // Each row starts with filter type 0 (none), already zeroed
+    const strip = new Uint8Array(rowBytes * tileHeight);
+
+    for (let x = 0; x < width; x += MAX_TILE_SIZE) {
+      const tileWidth = Math.min(MAX_TILE_SIZE, width - x);
+      // Resizing also clears the canvas
+      canvas.width = tileWidth;
+      canvas.height = tileHeight;
+      const ctx = canvas.getContext('2d', { willReadFrequently: true });
+      drawTile(ctx, x, y, tileWidth, tileHeight);
+
+      const pixels = ctx.getImageData(0, 0, tileWidth, tileHeight).data;
+      for (let row = 0; row < tileHeight; row++) {
+        strip.set(
+          pixels.subarray(row * tileWidth * 4, (row + 1) * tileWidth * 4),
+          row * rowBytes + 1 + x * 4
+        );
+      }
+    }
+
+    await writer.write(strip);
+  }
+  await writer.close();
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = 8; // Bits per channel
+  header[9] = 6; // RGBA
+
+  const parts = [new Uint8Array(PNG_SIGNATURE), createChunk('IHDR', header)];
+
+  if (options.dpi) {
+    const physical = new Uint8Array(9);
+    const physicalView = new DataView(physical.buffer);
+    const pixelsPerMeter = Math.round(options.dpi / 0.0254);
+    physicalView.setUint32(0, pixelsPerMeter);
+    physicalView.setUint32(4, pixelsPerMeter);
+    physical[8] = 1; // Unit: meter
+    parts.push(createChunk('pHYs', physical));
+  }
+
+  parts.push(createChunk('IDAT', new Uint8Array(await compressed)));
+  parts.push(createChunk('IEND', new Uint8Array(0)));
+  return new Blob(parts, { type: 'image/png' });
+}
@@ -0,0 +1,80 @@
+// Search helpers for finding nodes across the whole parsed tree
+
+/**
+ * Builds a predicate that tests a string against the query
+ * @param {string} query
+ * @param {'text'|'ignore-case'|'regex'} mode
+ * @returns {(value: string) => boolean}
+ * @throws {SyntaxError} when mode is 'regex' and the pattern is invalid
+ */
+export function createMatcher(query, mode) {
+  if (mode === 'regex') {
+    const pattern = new RegExp(query);
+    return (value) => pattern.test(value);
+  }
+
+  if (mode === 'ignore-case') {
+    const needle = query.toLowerCase();
+    return (value) => value.toLowerCase().includes(needle);
+  }
+
+  return (value) => value.includes(query);
+}
+
+/**
+ * Tests a single node: tag name, attribute names and values, or text
+ * @param {Object} node - tree node
+ * @param {(value: string) => boolean} matches
+ * @returns {boolean}
+ */
+export function nodeMatches(node, matches) {
+  if (node.type === 'placeholder') {
+    return false;
+  }
+
+  if (node.type !== 'element' && matches(node.textContent || '')) {
+    return true;
+  }
+
+  if (
+    node.type === 'text' ||
+    node.type === 'cdata' ||
+    node.type === 'comment'
+  ) {
+    return false;
+  }
+
+  if (matches(node.name)) {
+    return true;
+  }
+
+  const attributes = node.attributes || {};
+  return Object.keys(attributes).some(
+    (name) => matches(name) || matches(attributes[name])
+  );
+}
+
+/**
+ * Collects the ids of all matching nodes in document order, collapsed
+ * branches included
+ * @param {Object[]} roots - tree roots
+ * @param {(value: string) => boolean} matches
+ * @returns {string[]}
+ */
+export function searchTree(roots, matches) {
+  const result = [];
+  // Iterative walk so deep documents don't overflow the stack
+  const stack = [...roots].reverse();
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (nodeMatches(node, matches)) {
+      result.push(node.id);
+    }
+    for (let i = node.children.length - 1; i >= 0; i--) {
+      stack.push(node.children[i]);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,170 @@
+// Saved session and named documents, kept in IndexedDB so they survive a
+// reload. Documents can be many megabytes, more than localStorage holds.
+
+const DB_NAME = 'xml-tree-visualizer';
+const DB_VERSION = 1;
+
+// Session: the view and settings under "current", the input text under
+// "text", so saving a camera move doesn't write the whole document again
+const SESSION_STORE = 'session';
+const SESSION_KEY = 'current';
+const SESSION_TEXT_KEY = 'text';
+
+// Named documents, and their metadata for the recent list without their text
+const DOCUMENT_STORE = 'documents';
+const RECENT_STORE = 'recent';
+
+/**
+ * Promise-based access to the saved session and documents
+ */
+export class SessionStore {
+  /**
+   * Opens the database, creating its stores the first time
+   * @returns {Promise<SessionStore>}
+   * @throws {Error} when IndexedDB is not available or access is denied
+   */
+  static open() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(SESSION_STORE);
+        db.createObjectStore(DOCUMENT_STORE, { keyPath: 'name' });
+        db.createObjectStore(RECENT_STORE, { keyPath: 'name' });
+      };
+      request.onsuccess = () => resolve(new SessionStore(request.result));
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * @param {IDBDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} the saved session with its text, or null
+   */
+  loadSession() {
+    return this.run([SESSION_STORE], 'readonly', (transaction) => {
+      const store = transaction.objectStore(SESSION_STORE);
+      return [store.get(SESSION_KEY), store.get(SESSION_TEXT_KEY)];
+    }).then(([session, text]) =>
+      session ? { ...session, text: text || '' } : null
+    );
+  }
+
+  /**
+   * Replaces the saved session
+   * @param {Object} session - view and settings; text, when present, replaces
+   *   the saved input text
+   * @returns {Promise<void>}
+   */
+  saveSession(session) {
+    const { text, ...rest } = session;
+    return this.run([SESSION_STORE], 'readwrite', (transaction) => {
+      const store = transaction.objectStore(SESSION_STORE);
+      store.put(rest, SESSION_KEY);
+      if (text !== undefined) {
+        store.put(text, SESSION_TEXT_KEY);
+      }
+    });
+  }
+
+  /**
+   * Saved documents, most recently opened or saved first
+   * @returns {Promise<Object[]>} { name, format, size, savedAt, openedAt }
+   */
+  listDocuments() {
+    return this.run([RECENT_STORE], 'readonly', (transaction) =>
+      transaction.objectStore(RECENT_STORE).getAll()
+    ).then((entries) => entries.sort((a, b) => b.openedAt - a.openedAt));
+  }
+
+  /**
+   * Reads a saved document and moves it to the top of the recent list
+   * @param {string} name
+   * @returns {Promise<Object|null>} { name, text, format, view, savedAt }
+   */
+  openDocument(name) {
+    return this.run(
+      [DOCUMENT_STORE, RECENT_STORE],
+      'readwrite',
+      (transaction) => {
+        const recent = transaction.objectStore(RECENT_STORE);
+        const request = recent.get(name);
+        request.onsuccess = () => {
+          if (request.result) {
+            recent.put({ ...request.result, openedAt: Date.now() });
+          }
+        };
+        return transaction.objectStore(DOCUMENT_STORE).get(name);
+      }
+    ).then((record) => record || null);
+  }
+
+  /**
+   * Saves a document under its name, replacing any with the same name
+   * @param {Object} record - { name, text, format, view }
+   * @returns {Promise<void>}
+   */
+  saveDocument(record) {
+    const now = Date.now();
+    const saved = { ...record, savedAt: now };
+    return this.run(
+      [DOCUMENT_STORE, RECENT_STORE],
+      'readwrite',
+      (transaction) => {
+        transaction.objectStore(DOCUMENT_STORE).put(saved);
+        transaction.objectStore(RECENT_STORE).put({
+          name: record.name,
+          format: record.format,
+          size: record.text.length,
+          savedAt: now,
+          openedAt: now,
+        });
+      }
+    );
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  deleteDocument(name) {
+    return this.run(
+      [DOCUMENT_STORE, RECENT_STORE],
+      'readwrite',
+      (transaction) => {
+        transaction.objectStore(DOCUMENT_STORE).delete(name);
+        transaction.objectStore(RECENT_STORE).delete(name);
+      }
+    );
+  }
+
+  // Runs requests in one transaction and resolves, once it commits, with the
+  // result of the request (or list of requests) the callback returns
+  run(storeNames, mode, callback) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeNames, mode);
+      const requests = callback(transaction);
+
+      transaction.oncomplete = () =>
+        resolve(
+          Array.isArray(requests)
+            ? requests.map((request) => request.result)
+            : requests && requests.result
+        );
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () =>
+        reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+}
@@ -0,0 +1,144 @@
+// Shareable links: the document, or the name it is saved under, and a view
+// of its tree, packed into the URL hash so a link opens straight to a node.
+
+const HASH_KEY = 'share';
+const VERSION = 1;
+
+// First character of the packed state: how the JSON after it is stored
+const DEFLATED = 'z';
+const PLAIN = 'j';
+
+/**
+ * Packs a shared state into a URL hash
+ * @param {Object} state - { text, view } or { saved } (the saved document
+ *   name, opened with its own view), and { settings, selectedNodeId }
+ * @returns {Promise<string>} hash, without the "#"
+ */
+export async function encodeShareState(state) {
+  const json = JSON.stringify({ ...state, version: VERSION });
+  let bytes = new TextEncoder().encode(json);
+  let kind = PLAIN;
+
+  if (typeof CompressionStream !== 'undefined') {
+    bytes = await transform(bytes, new CompressionStream('deflate-raw'));
+    kind = DEFLATED;
+  }
+  return `${HASH_KEY}=${kind}${toBase64Url(bytes)}`;
+}
+
+/**
+ * Unpacks the shared state of a URL hash
+ * @param {string} hash - location.hash, with or without the "#"
+ * @returns {Promise<Object|null>} the state given to encodeShareState, null
+ *   when the hash has none
+ * @throws {Error} when the link is damaged or from another version
+ */
+export async function decodeShareState(hash) {
+  const packed = new URLSearchParams(hash.replace(/^#/, '')).get(HASH_KEY);
+  if (!packed) return null;
+
+  let state;
+  try {
+    let bytes = fromBase64Url(packed.slice(1));
+    if (packed[0] === DEFLATED) {
+      if (typeof DecompressionStream === 'undefined') {
+        throw new Error('this browser cannot read compressed links');
+      }
+      bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+    } else if (packed[0] !== PLAIN) {
+      throw new Error('unknown encoding');
+    }
+    state = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new Error(`The link is damaged: ${error.message}`, { cause: error });
+  }
+
+  if (!isObject(state) || !Number.isInteger(state.version)) {
+    throw new Error('The link is damaged');
+  }
+  if (state.version > VERSION) {
+    throw new Error('The link was made by a newer version of the visualizer');
+  }
+  if (state.version < VERSION) {
+    throw new Error('The link was made by an older version of the visualizer');
+  }
+  checkState(state);
+  return state;
+}
+
+// Links can be edited by hand or cut short: everything the page reads from
+// them must have the right type
+function checkState(state) {
+  const damaged = (what) => new Error(`The link is damaged: ${what}`);
+
+  if (typeof state.text === 'string') {
+    checkView(state.view, damaged);
+  } else if (typeof state.saved !== 'string') {
+    throw damaged('it has no document');
+  }
+  if (state.settings !== undefined && !isObject(state.settings)) {
+    throw damaged('its settings are not valid');
+  }
+  if (
+    state.selectedNodeId !== undefined &&
+    state.selectedNodeId !== null &&
+    typeof state.selectedNodeId !== 'string'
+  ) {
+    throw damaged('its selected node is not valid');
+  }
+}
+
+function checkView(view, damaged) {
+  if (!isObject(view)) {
+    throw damaged('it has no view');
+  }
+  // Either list, as script.js reads expandedPaths first when it is there
+  const { expandedPaths, collapsedPaths } = view;
+  if (
+    expandedPaths !== undefined
+      ? !isPathList(expandedPaths)
+      : !isPathList(collapsedPaths)
+  ) {
+    throw damaged('its open nodes are not valid');
+  }
+  ['panOffsetX', 'panOffsetY', 'currentZoom'].forEach((name) => {
+    if (!Number.isFinite(view[name])) {
+      throw damaged('its camera is not valid');
+    }
+  });
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isPathList(value) {
+  return Array.isArray(value) && value.every((id) => typeof id === 'string');
+}
+
+async function transform(bytes, stream) {
+  const output = new Response(stream.readable).arrayBuffer();
+  const writer = stream.writable.getWriter();
+  // Errors of damaged data reject output too, which is awaited
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+  return new Uint8Array(await output);
+}
+
+// Base64 without the characters that need escaping in URLs
+function toBase64Url(bytes) {
+  let binary = '';
+  // String.fromCharCode takes its bytes as arguments: stay below the limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
@@ -0,0 +1,117 @@
+// Where each tree node is written in the XML source. DOMParser doesn't keep
+// positions, so the source is read again with xmlParser.js, whose nodes do,
+// and paired with the tree nodes in document order.
+
+import { parseXml } from './xmlParser.js';
+
+// Same declaration TreeBuilder.parseXmlDeclaration reads
+const DECLARATION_PATTERN = /^\s*(<\?xml\s+[^?]*\?>)/;
+
+/**
+ * Maps tree nodes to their character ranges in the source. Placeholders
+ * span the children they stand for, and text is trimmed like its label.
+ * @param {Object[]} roots - tree roots built from text
+ * @param {string} text - XML source of the tree
+ * @param {TreeBuilder} builder - tells which document nodes are in the tree
+ * @returns {Map<string, {start: number, end: number}>} node id -> range
+ * @throws {XmlParseError} when the text is not well-formed
+ */
+export function mapSourceRanges(roots, text, builder) {
+  const ranges = new Map();
+  const document = parseXml(text);
+
+  const declaration = roots.find((node) => node.type === 'declaration');
+  const match = declaration && DECLARATION_PATTERN.exec(text);
+  if (match) {
+    const start = match[0].length - match[1].length;
+    ranges.set(declaration.id, { start, end: match[0].length });
+  }
+
+  const stack = [
+    [document, roots.filter((node) => node.type !== 'declaration')],
+  ];
+
+  while (stack.length > 0) {
+    const [parent, treeChildren] = stack.pop();
+    const isMixed = parent.childElementCount > 0;
+    const children = parent.childNodes;
+    let treeIndex = 0;
+
+    for (let i = 0; i < children.length; i++) {
+      const child = children[i];
+      if (!builder.isVisibleChildNode(child, isMixed)) continue;
+
+      const treeNode = treeChildren[treeIndex++];
+      if (!treeNode) break;
+
+      if (treeNode.type === 'placeholder') {
+        let end = i;
+        for (let remaining = treeNode.hiddenCount; remaining > 0; end++) {
+          if (builder.isVisibleChildNode(children[end], isMixed)) {
+            remaining--;
+          }
+        }
+        ranges.set(treeNode.id, {
+          start: child.start,
+          end: children[end - 1].end,
+        });
+        i = end - 1;
+        continue;
+      }
+
+      ranges.set(
+        treeNode.id,
+        child.nodeType === 3
+          ? trimRange(text, child.start, child.end)
+          : { start: child.start, end: child.end }
+      );
+      if (treeNode.type === 'element') {
+        stack.push([child, treeNode.children]);
+      }
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Innermost tree node whose source contains an offset. A caret right after
+ * a node, with nothing else starting there, still counts as in it.
+ * @param {Object[]} roots - tree roots
+ * @param {Map<string, {start: number, end: number}>} ranges - from
+ *   mapSourceRanges
+ * @param {number} offset
+ * @returns {Object|null}
+ */
+export function findNodeAtOffset(roots, ranges, offset) {
+  let found = null;
+  let children = roots;
+
+  while (children.length > 0) {
+    let next = null;
+    for (let i = 0; i < children.length; i++) {
+      const range = ranges.get(children[i].id);
+      if (!range) continue;
+      if (range.start <= offset && offset < range.end) {
+        next = children[i];
+        break;
+      }
+      if (offset === range.end) {
+        next = children[i];
+      }
+    }
+    if (!next) break;
+
+    found = next;
+    children = next.children;
+  }
+
+  return found;
+}
+
+function trimRange(text, start, end) {
+  const raw = text.slice(start, end);
+  const leading = raw.length - raw.trimStart().length;
+  const trailing = raw.length - raw.trimEnd().length;
+  return { start: start + leading, end: Math.max(end - trailing, start) };
+}
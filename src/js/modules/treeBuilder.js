@@ -0,0 +1,484 @@
+// Builds the tree model drawn by XMLTreeVisualizer from a parsed document.
+// Works on DOM documents and on the plain objects produced by xmlParser.js,
+// so it can run on the main thread or inside the parse worker.
+//
+// Node ids are document paths like /catalogo[1]/producto[2]/precio[1], so
+// parsing the same document again, on either thread, gives the same ids.
+
+// DOM nodeType values; the Node global does not exist in workers
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const CDATA_SECTION_NODE = 4;
+const PROCESSING_INSTRUCTION_NODE = 7;
+const COMMENT_NODE = 8;
+
+export const NAMESPACE_COLORS = [
+  '#2563eb',
+  '#db2777',
+  '#059669',
+  '#d97706',
+  '#7c3aed',
+  '#dc2626',
+  '#0891b2',
+  '#65a30d',
+  '#c026d3',
+  '#ea580c',
+];
+
+/**
+ * Converts document nodes into tree nodes, keeping the id index, the
+ * namespace registry and the node count of the current document
+ */
+export class TreeBuilder {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.childPageSize] - children parsed per page
+   * @param {Object<string, boolean>} [options.nodeTypeVisibility] - shared,
+   *   so changes made by the caller apply to the next build
+   * @param {string[]} [options.idKeyAttributes] - attributes that identify an
+   *   element among its siblings in its id, first present one wins
+   */
+  constructor(options = {}) {
+    this.childPageSize = options.childPageSize || 1000;
+    this.idKeyAttributes = options.idKeyAttributes || [];
+    this.nodeTypeVisibility = options.nodeTypeVisibility || {
+      comment: true,
+      cdata: true,
+      pi: true,
+      declaration: true,
+      mixedText: true,
+    };
+
+    this.nodeIndex = new Map(); // Lookup from node id to tree node
+    this.domNodeIds = new WeakMap(); // Document node -> node id
+    this.renamedIds = new Map(); // Old id -> new id, of the last build
+    this.namespaceRegistry = new Map(); // URI -> { prefixes, color }
+    this.totalNodeCount = 0;
+  }
+
+  /**
+   * Forgets everything about the current document, including the ids kept
+   * for rebuilds
+   */
+  reset() {
+    this.nodeIndex.clear();
+    this.domNodeIds = new WeakMap();
+    this.renamedIds = new Map();
+    this.namespaceRegistry.clear();
+    this.totalNodeCount = 0;
+  }
+
+  /**
+   * Builds the root list of the tree: XML declaration, top-level comments
+   * and processing instructions, and the root element. Document nodes
+   * parsed before whose path changed are listed in renamedIds.
+   * @param {Document|Object} xmlDoc
+   * @param {string} [xmlText] - source, read for the XML declaration
+   * @returns {Object[]}
+   * @throws {Error} when the document has no root element
+   */
+  buildTree(xmlDoc, xmlText = '') {
+    const childNodes = Array.from(xmlDoc.childNodes);
+    if (!childNodes.some((node) => node.nodeType === ELEMENT_NODE)) {
+      throw new Error('No root element found in XML');
+    }
+
+    this.nodeIndex.clear();
+    this.renamedIds = new Map();
+    this.namespaceRegistry.clear();
+    this.totalNodeCount = 0;
+
+    // DOMParser doesn't expose the XML declaration, so read it from the source
+    const result = [];
+    const declaration = this.nodeTypeVisibility.declaration
+      ? this.parseXmlDeclaration(xmlText)
+      : null;
+    if (declaration) {
+      result.push(declaration);
+    }
+
+    // Top-level comments and processing instructions sit next to the root
+    const nextPath = this.createPathCounter('', childNodes, 0);
+    childNodes.forEach((child) => {
+      const node = this.parseChildNode(child, 0, null, false, nextPath(child));
+      if (node) result.push(node);
+    });
+
+    return result;
+  }
+
+  /**
+   * Node with a path; node ids are their paths
+   * @param {string} path - e.g. /catalogo[1]/producto[2]/precio[1]
+   * @returns {Object|null} null when no loaded node has that path
+   */
+  getNodeByPath(path) {
+    return this.nodeIndex.get(path) || null;
+  }
+
+  /**
+   * Adds already built nodes (e.g. received from the worker) to the index
+   * @param {Object[]} roots
+   */
+  indexTree(roots) {
+    const stack = roots.slice();
+    while (stack.length > 0) {
+      const node = stack.pop();
+      this.registerNode(node);
+      for (let i = 0; i < node.children.length; i++) {
+        stack.push(node.children[i]);
+      }
+    }
+  }
+
+  registerNode(node) {
+    this.nodeIndex.set(node.id, node);
+    return node;
+  }
+
+  parseXmlDeclaration(xmlText) {
+    const match = /^\s*<\?xml\s+([^?]*)\?>/.exec(xmlText);
+    if (!match) return null;
+
+    const attributes = {};
+    const attrPattern = /([\w:-]+)\s*=\s*(["'])(.*?)\2/g;
+    let attrMatch;
+    while ((attrMatch = attrPattern.exec(match[1])) !== null) {
+      attributes[attrMatch[1]] = attrMatch[3];
+    }
+
+    return this.registerNode({
+      id: '#declaration',
+      name: 'xml',
+      type: 'declaration',
+      depth: 0,
+      children: [],
+      attributes,
+      textContent: match[0].trim(),
+      parentId: null,
+    });
+  }
+
+  /**
+   * Converts a child document node into a tree node
+   * @param {string} path - path of the node, its id
+   * @returns {Object|null} null when the node is not shown
+   */
+  parseChildNode(domNode, depth, parentId, isMixed, path) {
+    if (!this.isVisibleChildNode(domNode, isMixed)) return null;
+
+    let type;
+    let name;
+    let textContent;
+
+    switch (domNode.nodeType) {
+      case ELEMENT_NODE:
+        return this.parseElement(domNode, depth, parentId, path);
+      case TEXT_NODE:
+        textContent = domNode.nodeValue.trim();
+        type = 'text';
+        name =
+          textContent.length > 50
+            ? textContent.substring(0, 47) + '...'
+            : textContent;
+        break;
+      case CDATA_SECTION_NODE:
+        type = 'cdata';
+        name = '#cdata-section';
+        textContent = domNode.nodeValue;
+        break;
+      case COMMENT_NODE:
+        type = 'comment';
+        name = '#comment';
+        textContent = domNode.nodeValue.trim();
+        break;
+      case PROCESSING_INSTRUCTION_NODE:
+        type = 'pi';
+        name = domNode.target;
+        textContent = domNode.data;
+        break;
+      default:
+        return null;
+    }
+
+    this.totalNodeCount++;
+
+    return this.registerNode({
+      id: this.setDomNodeId(domNode, path),
+      name,
+      type,
+      depth,
+      children: [],
+      attributes: {},
+      textContent,
+      parentId,
+    });
+  }
+
+  // A document node parsed before under another path was moved, or had
+  // siblings inserted before it: renamedIds lets its view state follow it
+  setDomNodeId(domNode, id) {
+    const previous = this.domNodeIds.get(domNode);
+    if (previous && previous !== id) {
+      this.renamedIds.set(previous, id);
+    }
+    this.domNodeIds.set(domNode, id);
+    return id;
+  }
+
+  /**
+   * Gives the paths of child nodes in document order. Steps count the
+   * siblings with the same node test, as XPath positions do, whether they
+   * are shown or not; an element with a key attribute is named by its value
+   * instead, unless a sibling before it has the same one.
+   * @param {string} parentPath - id of the parent, '' for the document
+   * @param {NodeList|Object[]} childNodes - all the children of the parent
+   * @param {number} domStart - index of the first child that will be asked
+   * @returns {Function} (childNode) => path, or null for nodes without one
+   */
+  createPathCounter(parentPath, childNodes, domStart) {
+    const positions = new Map(); // Node test or key step -> siblings seen
+
+    const nextStep = (domNode) => {
+      const test = getNodeTest(domNode);
+      if (!test) return null;
+
+      const position = (positions.get(test) || 0) + 1;
+      positions.set(test, position);
+
+      const keyStep = this.getKeyStep(domNode);
+      if (keyStep && !positions.has(keyStep)) {
+        positions.set(keyStep, 1);
+        return keyStep;
+      }
+      return `${test}[${position}]`;
+    };
+
+    for (let i = 0; i < domStart; i++) {
+      nextStep(childNodes[i]);
+    }
+    return (domNode) => {
+      const step = nextStep(domNode);
+      return step && `${parentPath}/${step}`;
+    };
+  }
+
+  getKeyStep(domNode) {
+    if (domNode.nodeType !== ELEMENT_NODE) return null;
+
+    for (let i = 0; i < this.idKeyAttributes.length; i++) {
+      const key = this.idKeyAttributes[i];
+      const attr = Array.from(domNode.attributes || []).find(
+        (attribute) => attribute.name === key
+      );
+      if (!attr) continue;
+
+      // XPath literals can't escape their quote
+      const quote = attr.value.includes("'") ? '"' : "'";
+      if (attr.value.includes(quote)) return null;
+      return `${domNode.tagName}[@${key}=${quote}${attr.value}${quote}]`;
+    }
+    return null;
+  }
+
+  parseElement(element, depth, parentId, path) {
+    // Check for processing limitations
+    if (depth > 100) {
+      return this.registerNode({
+        id: path,
+        name: 'Depth limit exceeded',
+        type: 'error',
+        depth: depth,
+        children: [],
+        attributes: {},
+        textContent: null,
+        parentId: parentId,
+      });
+    }
+
+    // Count nodes for performance tracking
+    this.totalNodeCount++;
+
+    const id = this.setDomNodeId(element, path);
+    const node = {
+      id,
+      name: element.tagName,
+      type: 'element',
+      depth: depth,
+      children: [],
+      attributes: {},
+      namespaces: {},
+      namespaceURI: element.namespaceURI,
+      prefix: element.prefix,
+      localName: element.localName,
+      textContent: null,
+      parentId: parentId,
+    };
+    this.registerNode(node);
+
+    if (element.attributes && element.attributes.length > 0) {
+      const attrs = {};
+      const bindings = {};
+      for (let i = 0; i < element.attributes.length; i++) {
+        const attr = element.attributes[i];
+        // xmlns declarations are namespace bindings, not data
+        if (attr.name === 'xmlns' || attr.prefix === 'xmlns') {
+          const prefix = attr.prefix ? attr.localName : '';
+          bindings[prefix] = attr.value;
+          this.registerNamespace(attr.value, prefix);
+          continue;
+        }
+        attrs[attr.name] = attr.value;
+      }
+      node.attributes = attrs;
+      node.namespaces = bindings;
+    }
+
+    if (element.namespaceURI) {
+      this.registerNamespace(element.namespaceURI, element.prefix || '');
+    }
+
+    // If there are too many children, limit them for initial rendering
+    node.children = this.parseChildRange(
+      element,
+      node,
+      0,
+      element.childNodes.length,
+      this.childPageSize,
+      1
+    );
+    return node;
+  }
+
+  /**
+   * Parses the child nodes in [domStart, domEnd) up to a limit; the rest is
+   * left behind a placeholder that can be loaded later
+   * @returns {Object[]}
+   */
+  parseChildRange(element, parent, domStart, domEnd, limit, firstPosition) {
+    // Text next to child elements is mixed content
+    const isMixed = element.childElementCount > 0;
+    const children = element.childNodes;
+    const nodes = [];
+    const nextPath = this.createPathCounter(parent.id, children, domStart);
+    let index = domStart;
+
+    // Use for loop instead of map for better performance with large collections
+    for (; index < domEnd && nodes.length < limit; index++) {
+      const child = this.parseChildNode(
+        children[index],
+        parent.depth + 1,
+        parent.id,
+        isMixed,
+        nextPath(children[index])
+      );
+      if (child) nodes.push(child);
+    }
+
+    if (index < domEnd) {
+      const gap = this.createGapPlaceholder(
+        element,
+        parent,
+        index,
+        domEnd,
+        firstPosition + nodes.length
+      );
+      if (gap) nodes.push(gap);
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Placeholder for children that are not parsed yet. It keeps the element
+   * and the range of childNodes it stands for, so it can be expanded on click
+   * @returns {Object|null} null when the range has nothing to show
+   */
+  createGapPlaceholder(element, parent, domStart, domEnd, firstPosition) {
+    const isMixed = element.childElementCount > 0;
+    let hiddenCount = 0;
+    for (let i = domStart; i < domEnd; i++) {
+      if (this.isVisibleChildNode(element.childNodes[i], isMixed)) {
+        hiddenCount++;
+      }
+    }
+    if (hiddenCount === 0) return null;
+
+    const lastPosition = firstPosition + hiddenCount - 1;
+    return this.registerNode({
+      id: `${parent.id}/#more[${firstPosition}]`,
+      name: `... ${hiddenCount} more items (${firstPosition}-${lastPosition})`,
+      type: 'placeholder',
+      depth: parent.depth + 1,
+      children: [],
+      attributes: {},
+      textContent: null,
+      parentId: parent.id,
+      hiddenCount,
+      firstPosition,
+      source: { element, domStart, domEnd },
+    });
+  }
+
+  /**
+   * Tells whether a child node is shown with the current visibility settings
+   * @returns {boolean}
+   */
+  isVisibleChildNode(domNode, isMixed) {
+    const visibility = this.nodeTypeVisibility;
+
+    switch (domNode.nodeType) {
+      case ELEMENT_NODE:
+        return true;
+      case TEXT_NODE:
+        return (
+          domNode.nodeValue.trim() !== '' && (!isMixed || visibility.mixedText)
+        );
+      case CDATA_SECTION_NODE:
+        return visibility.cdata;
+      case COMMENT_NODE:
+        return visibility.comment;
+      case PROCESSING_INSTRUCTION_NODE:
+        return visibility.pi;
+      default:
+        return false;
+    }
+  }
+
+  registerNamespace(uri, prefix) {
+    if (!uri) return;
+
+    let entry = this.namespaceRegistry.get(uri);
+    if (!entry) {
+      // Colors are handed out in order of first appearance
+      entry = {
+        prefixes: new Set(),
+        color:
+          NAMESPACE_COLORS[
+            this.namespaceRegistry.size % NAMESPACE_COLORS.length
+          ],
+      };
+      this.namespaceRegistry.set(uri, entry);
+    }
+    entry.prefixes.add(prefix);
+  }
+}
+
+// Node test of a child in its path step, null for nodes without a step
+// (whitespace-only text, doctype). CDATA counts as text, as in XPath.
+function getNodeTest(domNode) {
+  switch (domNode.nodeType) {
+    case ELEMENT_NODE:
+      return domNode.tagName;
+    case TEXT_NODE:
+      return domNode.nodeValue.trim() ? 'text()' : null;
+    case CDATA_SECTION_NODE:
+      return 'text()';
+    case COMMENT_NODE:
+      return 'comment()';
+    case PROCESSING_INSTRUCTION_NODE:
+      return `processing-instruction('${domNode.target}')`;
+    default:
+      return null;
+  }
+}
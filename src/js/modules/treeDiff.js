@@ -0,0 +1,181 @@
+// Structural comparison of two trees. Nodes are matched by their path (name
+// and position among siblings of the same name), or by a key attribute such
+// as id when they have one, and merged into a single tree whose nodes say
+// whether they were added, removed or changed.
+
+export const DIFF_STATUSES = ['added', 'removed', 'changed', 'unchanged'];
+
+export const DEFAULT_KEY_ATTRIBUTES = ['id'];
+
+/**
+ * Merges two trees into one. Every merged node is a copy, with the id of
+ * its node in the modified tree, or "removed:" and its original id when it
+ * was removed, and these extra properties:
+ * - diff: one of DIFF_STATUSES
+ * - hasChanges: the node or one of its descendants is not unchanged
+ * - attributeChanges: attribute name -> "added", "removed" or "changed", on
+ *   matched elements; removed attributes stay in attributes with their old
+ *   value
+ * - previousAttributes: old values of the changed and removed attributes
+ * - previousText: old textContent of changed text, comments and the like
+ * @param {Object[]} oldRoots - tree roots of the original document
+ * @param {Object[]} newRoots - tree roots of the modified document
+ * @param {Object} [options]
+ * @param {string[]} [options.keyAttributes] - attributes that identify an
+ *   element among its siblings, first present one wins
+ * @returns {Object} { roots, counts } where counts has a number per status
+ */
+export function diffTrees(oldRoots, newRoots, options = {}) {
+  const context = {
+    keyAttributes: options.keyAttributes || DEFAULT_KEY_ATTRIBUTES,
+    counts: { added: 0, removed: 0, changed: 0, unchanged: 0 },
+  };
+
+  return {
+    roots: mergeChildren(oldRoots, newRoots, 0, null, context),
+    counts: context.counts,
+  };
+}
+
+/**
+ * Key that pairs a node with its counterpart among the siblings of the
+ * other tree; nodes sharing a key are paired in document order
+ * @param {Object} node
+ * @param {string[]} keyAttributes
+ * @returns {string}
+ */
+export function getMatchKey(node, keyAttributes = DEFAULT_KEY_ATTRIBUTES) {
+  switch (node.type) {
+    case 'element': {
+      const name = `{${node.namespaceURI || ''}}${node.localName || node.name}`;
+      const key = keyAttributes.find((attribute) =>
+        Object.prototype.hasOwnProperty.call(node.attributes, attribute)
+      );
+      return key ? `${name}[@${key}=${node.attributes[key]}]` : name;
+    }
+    case 'pi':
+      return `?${node.name}`;
+    default:
+      // Text, CDATA, comments and the declaration pair up by position
+      return `#${node.type}`;
+  }
+}
+
+function mergeChildren(oldChildren, newChildren, depth, parentId, context) {
+  // Old nodes waiting for a partner, per key, in document order
+  const candidates = new Map();
+  oldChildren.forEach((node, index) => {
+    const key = getMatchKey(node, context.keyAttributes);
+    if (!candidates.has(key)) candidates.set(key, []);
+    candidates.get(key).push(index);
+  });
+
+  const partners = newChildren.map((node) => {
+    const queue = candidates.get(getMatchKey(node, context.keyAttributes));
+    return queue && queue.length > 0 ? queue.shift() : -1;
+  });
+  const matched = new Set(partners);
+
+  // Removed nodes go before the first new node matched after them
+  const merged = [];
+  let oldIndex = 0;
+  const flushRemoved = (end) => {
+    for (; oldIndex < end; oldIndex++) {
+      if (!matched.has(oldIndex)) {
+        merged.push(
+          copySubtree(
+            oldChildren[oldIndex],
+            'removed',
+            depth,
+            parentId,
+            context
+          )
+        );
+      }
+    }
+  };
+
+  newChildren.forEach((node, i) => {
+    const partner = partners[i];
+    if (partner === -1) {
+      merged.push(copySubtree(node, 'added', depth, parentId, context));
+      return;
+    }
+    flushRemoved(partner);
+    oldIndex = Math.max(oldIndex, partner + 1);
+    merged.push(
+      mergeNode(oldChildren[partner], node, depth, parentId, context)
+    );
+  });
+  flushRemoved(oldChildren.length);
+
+  return merged;
+}
+
+function createMergedNode(source, status, depth, parentId) {
+  return {
+    ...source,
+    // Both trees have path ids, so removed nodes need their own
+    id: status === 'removed' ? `removed:${source.id}` : source.id,
+    depth,
+    parentId,
+    children: [],
+    attributes: { ...source.attributes },
+  };
+}
+
+function mergeNode(oldNode, newNode, depth, parentId, context) {
+  const node = createMergedNode(newNode, 'unchanged', depth, parentId);
+  const attributeChanges = {};
+  const previousAttributes = {};
+
+  Object.keys(oldNode.attributes).forEach((name) => {
+    if (!Object.prototype.hasOwnProperty.call(newNode.attributes, name)) {
+      attributeChanges[name] = 'removed';
+      previousAttributes[name] = oldNode.attributes[name];
+      node.attributes[name] = oldNode.attributes[name];
+    } else if (newNode.attributes[name] !== oldNode.attributes[name]) {
+      attributeChanges[name] = 'changed';
+      previousAttributes[name] = oldNode.attributes[name];
+    }
+  });
+  Object.keys(newNode.attributes).forEach((name) => {
+    if (!Object.prototype.hasOwnProperty.call(oldNode.attributes, name)) {
+      attributeChanges[name] = 'added';
+    }
+  });
+
+  const textChanged = oldNode.textContent !== newNode.textContent;
+  const changed = textChanged || Object.keys(attributeChanges).length > 0;
+
+  node.diff = changed ? 'changed' : 'unchanged';
+  node.attributeChanges = attributeChanges;
+  node.previousAttributes = previousAttributes;
+  if (textChanged) {
+    node.previousText = oldNode.textContent;
+  }
+  context.counts[node.diff]++;
+
+  // Trees are at most a hundred levels deep (see TreeBuilder.parseElement)
+  node.children = mergeChildren(
+    oldNode.children,
+    newNode.children,
+    depth + 1,
+    node.id,
+    context
+  );
+  node.hasChanges = changed || node.children.some((child) => child.hasChanges);
+  return node;
+}
+
+function copySubtree(source, status, depth, parentId, context) {
+  const node = createMergedNode(source, status, depth, parentId);
+  node.diff = status;
+  node.hasChanges = true;
+  context.counts[status]++;
+
+  node.children = source.children.map((child) =>
+    copySubtree(child, status, depth + 1, node.id, context)
+  );
+  return node;
+}
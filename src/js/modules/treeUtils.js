@@ -0,0 +1,111 @@
+// Helpers for querying the parsed tree model built by XMLTreeVisualizer
+
+/**
+ * Gives the absolute XPath of a node. Node ids are document paths made of
+ * XPath steps (see TreeBuilder.createPathCounter), so their positions count
+ * the siblings that are not loaded in the tree too.
+ * @param {Object} node - tree node
+ * @returns {string|null} null for nodes outside the XPath data model
+ */
+export function getAbsoluteXPath(node) {
+  // Removed nodes of a diff are named by their path in the original document
+  const path = node.id.replace(/^removed:/, '');
+
+  // The XML declaration and child placeholders are not document nodes
+  if (!path.startsWith('/') || path.includes('/#')) {
+    return null;
+  }
+  return path;
+}
+
+/**
+ * Builds the label drawn inside a node box
+ * @param {Object} node - tree node
+ * @param {Object} [options]
+ * @param {boolean} [options.localNamesOnly] - drop namespace prefixes
+ * @returns {string}
+ */
+export function getNodeLabel(node, options = {}) {
+  switch (node.type) {
+    case 'comment':
+      return `<!-- ${truncate(node.textContent)} -->`;
+    case 'cdata':
+      return `<![CDATA[${truncate(node.textContent)}]]>`;
+    case 'pi':
+      return node.textContent
+        ? `<?${node.name} ${truncate(node.textContent)}?>`
+        : `<?${node.name}?>`;
+    case 'declaration':
+      return truncate(node.textContent);
+    case 'element':
+      return options.localNamesOnly && node.localName
+        ? node.localName
+        : node.name;
+    default:
+      return node.name || '';
+  }
+}
+
+function truncate(text, maxLength = 50) {
+  const value = (text || '').replace(/\s+/g, ' ').trim();
+  return value.length > maxLength
+    ? value.substring(0, maxLength - 3) + '...'
+    : value;
+}
+
+/**
+ * Returns the full text of a node: its own content for text, CDATA,
+ * comments and processing instructions, or the joined text children for
+ * elements
+ * @param {Object} node - tree node
+ * @returns {string}
+ */
+export function getNodeText(node) {
+  if (node.type !== 'element') {
+    return node.textContent || '';
+  }
+  return node.children
+    .filter((child) => child.type === 'text' || child.type === 'cdata')
+    .map((child) => child.textContent)
+    .join(' ');
+}
+
+/**
+ * Counts the real children of a node, including the ones hidden behind a
+ * placeholder
+ * @param {Object} node - tree node
+ * @returns {number}
+ */
+export function getChildCount(node) {
+  return node.children.reduce(
+    (count, child) =>
+      count + (child.type === 'placeholder' ? child.hiddenCount || 0 : 1),
+    0
+  );
+}
+
+/**
+ * Collects the ids of nodes with children at or below a depth, i.e. the
+ * nodes to collapse so only the first levels are shown
+ * @param {Object[]} roots - tree roots
+ * @param {number} maxVisibleDepth
+ * @returns {Set<string>}
+ */
+export function getDeepNodeIds(roots, maxVisibleDepth) {
+  const ids = new Set();
+  const stack = roots.map((node) => [node, 0]);
+
+  while (stack.length > 0) {
+    const [node, depth] = stack.pop();
+    if (node.children && node.children.length > 0) {
+      if (depth >= maxVisibleDepth) {
+        ids.add(node.id);
+      }
+      for (let i = 0; i < node.children.length; i++) {
+        stack.push([node.children[i], depth + 1]);
+      }
+    }
+  }
+
+  return ids;
+}
@@ -1,13 +1,5 @@
 // Utility functions used across the XML Tree Visualizer
 
-/**
- * Generates a unique ID string for tree nodes
- * @returns {string}
- */
-export function generateId() {
-  return 'node_' + Math.random().toString(36).substr(2, 9);
-}
-
 /**
  * Debounces a function so it's not called too frequently
  * @param {Function} fn - original function
@@ -21,3 +13,141 @@ export function debounce(fn, delay) {
     timeout = setTimeout(() => fn.apply(this, args), delay);
   };
 }
+
+let measureContext = null;
+const measureCache = new Map();
+
+/**
+ * Measures the rendered width of a string with a canvas 2D context,
+ * falling back to an estimate where canvas is not available
+ * @param {string} text
+ * @param {string} font - CSS font shorthand, e.g. "bold 16px sans-serif"
+ * @returns {number}
+ */
+export function measureTextWidth(text, font) {
+  const key = `${font}|${text}`;
+  if (measureCache.has(key)) {
+    return measureCache.get(key);
+  }
+
+  if (measureContext === null) {
+    // Workers have no document, but may have OffscreenCanvas
+    let canvas = null;
+    if (typeof document !== 'undefined') {
+      canvas = document.createElement('canvas');
+    } else if (typeof OffscreenCanvas !== 'undefined') {
+      canvas = new OffscreenCanvas(1, 1);
+    }
+    measureContext =
+      (canvas && canvas.getContext && canvas.getContext('2d')) || false;
+  }
+
+  let width;
+  if (measureContext) {
+    measureContext.font = font;
+    width = measureContext.measureText(text).width;
+  } else {
+    const size = parseFloat((font.match(/(\d+(?:\.\d+)?)px/) || [])[1]) || 16;
+    width = text.length * size * 0.6;
+  }
+
+  // Tag names repeat a lot, but keep the cache bounded on huge documents
+  if (measureCache.size > 50000) {
+    measureCache.clear();
+  }
+  measureCache.set(key, width);
+  return width;
+}
+
+/**
+ * Splits text into lines no wider than maxWidth, breaking on whitespace
+ * and hard-breaking words that are longer than a whole line
+ * @param {string} text
+ * @param {number} maxWidth - pixels
+ * @param {string} font - CSS font shorthand
+ * @returns {string[]}
+ */
+export function wrapText(text, maxWidth, font) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+
+  words.forEach((word) => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (measureTextWidth(candidate, font) <= maxWidth) {
+      line = candidate;
+      return;
+    }
+
+    if (line) {
+      lines.push(line);
+    }
+
+    // Break the word itself if it doesn't fit on an empty line
+    let chunk = '';
+    for (const char of word) {
+      if (chunk && measureTextWidth(chunk + char, font) > maxWidth) {
+        lines.push(chunk);
+        chunk = '';
+      }
+      chunk += char;
+    }
+    line = chunk;
+  });
+
+  if (line) {
+    lines.push(line);
+  }
+
+  return lines.length > 0 ? lines : [''];
+}
+
+/**
+ * Escapes text for use in XML content and attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Parses a #rgb, #rrggbb or rgb()/rgba() color
+ * @param {string} color
+ * @returns {{r: number, g: number, b: number, a: number}|null} channels
+ *   0-255 and alpha 0-1, null when the color is not understood
+ */
+export function parseColor(color) {
+  const value = String(color).trim();
+
+  let match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value);
+  if (match) {
+    const hex =
+      match[1].length === 3 ? match[1].replace(/./g, (c) => c + c) : match[1];
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16),
+      a: 1,
+    };
+  }
+
+  match =
+    /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i.exec(
+      value
+    );
+  if (match) {
+    return {
+      r: Number(match[1]),
+      g: Number(match[2]),
+      b: Number(match[3]),
+      a: match[4] === undefined ? 1 : Number(match[4]),
+    };
+  }
+  return null;
+}
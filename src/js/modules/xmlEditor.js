@@ -0,0 +1,322 @@
+// Structural edits of a parsed XML document (DOMParser output), made from
+// the diagram and written back to the source. Edits keep the indentation of
+// pretty-printed documents, so the serialized text stays readable.
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const CDATA_SECTION_NODE = 4;
+const PROCESSING_INSTRUCTION_NODE = 7;
+const COMMENT_NODE = 8;
+const DOCUMENT_NODE = 9;
+
+// Same name characters as xmlParser.js, at most one colon between parts
+const QNAME_PATTERN =
+  /^(?:[A-Za-z_À-˿Ͱ-￿][\w.\-·À-˿̀-￿]*:)?[A-Za-z_À-˿Ͱ-￿][\w.\-·À-˿̀-￿]*$/;
+
+/**
+ * Error thrown for edits that would make the document malformed
+ */
+export class XmlEditError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'XmlEditError';
+  }
+}
+
+/**
+ * Tells whether a name can be used for an element or attribute
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isQualifiedName(name) {
+  return QNAME_PATTERN.test(name);
+}
+
+/**
+ * Renames an element. The DOM can't rename nodes, so its attributes and
+ * children move to a new element that takes its place.
+ * @param {Element} element
+ * @param {string} name - qualified name; a prefix must be declared
+ * @returns {Element} the new element
+ * @throws {XmlEditError}
+ */
+export function renameElement(element, name) {
+  const prefix = getPrefix(checkName(name));
+  const namespaceURI =
+    prefix === element.prefix
+      ? element.namespaceURI
+      : resolveNamespace(element, prefix);
+
+  const renamed = element.ownerDocument.createElementNS(namespaceURI, name);
+  Array.from(element.attributes).forEach((attr) => {
+    renamed.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+  });
+  while (element.firstChild) {
+    renamed.appendChild(element.firstChild);
+  }
+
+  element.parentNode.replaceChild(renamed, element);
+  return renamed;
+}
+
+/**
+ * Adds an attribute, or changes its value when the element already has it
+ * @param {Element} element
+ * @param {string} name - qualified name; xmlns and xmlns:prefix declare
+ *   namespaces
+ * @param {string} value
+ * @throws {XmlEditError}
+ */
+export function setAttribute(element, name, value) {
+  checkName(name);
+
+  const existing = element.getAttributeNode(name);
+  if (existing) {
+    existing.value = value;
+    return;
+  }
+
+  const prefix = getPrefix(name);
+  if (name === 'xmlns' || prefix === 'xmlns') {
+    element.setAttributeNS(XMLNS_NAMESPACE, name, value);
+  } else if (prefix) {
+    element.setAttributeNS(resolveNamespace(element, prefix), name, value);
+  } else {
+    element.setAttribute(name, value);
+  }
+}
+
+/**
+ * @param {Element} element
+ * @param {string} name - qualified name
+ */
+export function removeAttribute(element, name) {
+  element.removeAttribute(name);
+}
+
+/**
+ * Changes the text of a text node, CDATA section, comment or processing
+ * instruction. Text nodes and comments keep the whitespace around their
+ * text, which the tree doesn't show.
+ * @param {Node} node
+ * @param {string} text
+ * @throws {XmlEditError} when the text can't be written in that node
+ */
+export function setNodeText(node, text) {
+  switch (node.nodeType) {
+    case TEXT_NODE:
+      node.nodeValue = keepSpacing(node.nodeValue, text);
+      break;
+    case CDATA_SECTION_NODE:
+      if (text.includes(']]>')) {
+        throw new XmlEditError('CDATA sections cannot contain "]]>"');
+      }
+      node.nodeValue = text;
+      break;
+    case COMMENT_NODE:
+      if (text.includes('--') || text.endsWith('-')) {
+        throw new XmlEditError('Comments cannot contain "--" or end in "-"');
+      }
+      node.nodeValue = keepSpacing(node.nodeValue, text);
+      break;
+    case PROCESSING_INSTRUCTION_NODE:
+      if (text.includes('?>')) {
+        throw new XmlEditError('Processing instructions cannot contain "?>"');
+      }
+      node.data = text;
+      break;
+    default:
+      throw new XmlEditError('Only text, comments and instructions have text');
+  }
+}
+
+/**
+ * Creates an element to insert under parent, in the default namespace in
+ * scope there unless the name has a prefix
+ * @param {Element} parent
+ * @param {string} name - qualified name
+ * @returns {Element}
+ * @throws {XmlEditError}
+ */
+export function createElement(parent, name) {
+  const namespaceURI = resolveNamespace(parent, getPrefix(checkName(name)));
+  return parent.ownerDocument.createElementNS(namespaceURI, name);
+}
+
+/**
+ * Inserts a node, indented like its new siblings when the parent's
+ * children are each on their own line
+ * @param {Element|Document} parent
+ * @param {Node} node
+ * @param {Node|null} [before] - child to insert before, null to append
+ * @returns {Node} node
+ * @throws {XmlEditError} when the document would get a second root
+ *   element, or text outside the root
+ */
+export function insertNode(parent, node, before = null) {
+  checkParent(parent, node);
+
+  const indent = getChildIndent(parent);
+  if (indent === null) {
+    parent.insertBefore(node, before);
+    return node;
+  }
+
+  const document = parent.ownerDocument;
+  if (!parent.firstChild) {
+    // <a/> becomes <a>, the node on its own line, and </a>
+    parent.appendChild(document.createTextNode(indent));
+    parent.appendChild(node);
+    parent.appendChild(document.createTextNode(getLineIndent(parent)));
+    return node;
+  }
+
+  // Whitespace before the closing tag stays last
+  if (before === null && isWhitespace(parent.lastChild)) {
+    before = parent.lastChild;
+  }
+  if (before === null || isWhitespace(before)) {
+    parent.insertBefore(document.createTextNode(indent), before);
+    parent.insertBefore(node, before);
+  } else {
+    parent.insertBefore(node, before);
+    parent.insertBefore(document.createTextNode(indent), before);
+  }
+  return node;
+}
+
+/**
+ * Removes a node with the indentation in front of it. An element left
+ * with only whitespace inside becomes empty, written as <a/>.
+ * @param {Node} node
+ */
+export function removeNode(node) {
+  const parent = node.parentNode;
+  const previous = node.previousSibling;
+  if (isWhitespace(previous) && previous.nodeValue.includes('\n')) {
+    previous.remove();
+  }
+  parent.removeChild(node);
+
+  if (
+    parent.nodeType === ELEMENT_NODE &&
+    Array.from(parent.childNodes).every(isWhitespace)
+  ) {
+    parent.textContent = '';
+  }
+}
+
+/**
+ * Moves a node to another place in the document
+ * @param {Node} node
+ * @param {Element|Document} parent
+ * @param {Node|null} [before] - child of parent to move before, null to
+ *   move to the end
+ * @throws {XmlEditError} when parent is the node or inside it, or the move
+ *   would make the document malformed
+ */
+export function moveNode(node, parent, before = null) {
+  if (before === node) return;
+  if (node === parent || node.contains(parent)) {
+    throw new XmlEditError('A node cannot be moved into itself');
+  }
+  checkParent(parent, node);
+
+  removeNode(node);
+  insertNode(parent, node, before);
+}
+
+/**
+ * Writes a document back to text, each top-level node on its own line
+ * @param {Document} document
+ * @param {string} [declaration] - XML declaration to keep; the DOM drops it
+ * @returns {string}
+ */
+export function serializeXml(document, declaration = '') {
+  const serializer = new XMLSerializer();
+  const parts = Array.from(document.childNodes, (node) =>
+    serializer.serializeToString(node)
+  );
+  if (declaration) {
+    parts.unshift(declaration);
+  }
+  return parts.join('\n');
+}
+
+function checkName(name) {
+  if (!isQualifiedName(name)) {
+    throw new XmlEditError(`"${name}" is not a valid XML name`);
+  }
+  return name;
+}
+
+function getPrefix(name) {
+  const colon = name.indexOf(':');
+  return colon === -1 ? null : name.slice(0, colon);
+}
+
+// Namespace bound to prefix (or the default namespace) where node is
+function resolveNamespace(node, prefix) {
+  if (prefix === 'xml') return XML_NAMESPACE;
+
+  const namespaceURI =
+    node.nodeType === DOCUMENT_NODE ? null : node.lookupNamespaceURI(prefix);
+  if (prefix && !namespaceURI) {
+    throw new XmlEditError(`Undefined namespace prefix "${prefix}"`);
+  }
+  return namespaceURI || null;
+}
+
+function checkParent(parent, node) {
+  if (parent.nodeType !== DOCUMENT_NODE) return;
+
+  if (node.nodeType === ELEMENT_NODE && parent.documentElement) {
+    throw new XmlEditError('A document can only have one root element');
+  }
+  if (node.nodeType === TEXT_NODE || node.nodeType === CDATA_SECTION_NODE) {
+    throw new XmlEditError('Text must be inside the root element');
+  }
+}
+
+// Replaces the trimmed part of value with text
+function keepSpacing(value, text) {
+  if (!value.trim()) return text;
+  const leading = value.slice(0, value.length - value.trimStart().length);
+  return leading + text + value.slice(value.trimEnd().length);
+}
+
+function isWhitespace(node) {
+  return Boolean(node) && node.nodeType === TEXT_NODE && !node.nodeValue.trim();
+}
+
+// Whitespace that puts a child of parent on its own line, or null when its
+// children are not laid out that way
+function getChildIndent(parent) {
+  for (let child = parent.firstChild; child; child = child.nextSibling) {
+    if (
+      isWhitespace(child) &&
+      child.nextSibling &&
+      child.nodeValue.includes('\n')
+    ) {
+      return child.nodeValue;
+    }
+  }
+  if (parent.firstChild || !hasLineIndent(parent)) return null;
+
+  const indent = getLineIndent(parent);
+  return indent + (indent.includes('\t') ? '\t' : '  ');
+}
+
+function hasLineIndent(node) {
+  const previous = node.previousSibling;
+  return isWhitespace(previous) && previous.nodeValue.includes('\n');
+}
+
+// A newline and the indentation of the line node starts on
+function getLineIndent(node) {
+  const value = node.previousSibling.nodeValue;
+  return '\n' + value.slice(value.lastIndexOf('\n') + 1);
+}
@@ -0,0 +1,574 @@
+// Non-validating XML parser that works without the DOM (e.g. inside a Web
+// Worker). It produces plain objects shaped like the subset of DOM nodes the
+// tree builder reads (nodeType, childNodes, attributes, ...), so its output
+// can be posted between threads.
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+const PREDEFINED_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: "'",
+};
+
+const NAME_PATTERN = /[A-Za-z_:À-˿Ͱ-￿][\w.\-:·À-˿̀-￿]*/y;
+const WHITESPACE_PATTERN = /[ \t\r\n]*/y;
+const ENTITY_DECLARATION_PATTERN =
+  /<!ENTITY\s+([^\s%]+)\s+(["'])([\s\S]*?)\2\s*>/g;
+const UNQUOTED_VALUE_PATTERN = /[^\s/>]*/y;
+
+// Thrown to end a scan that has collected enough errors, or that cannot
+// recover from the last one
+const STOP_SCAN = Symbol('stop scan');
+
+/**
+ * Error thrown for malformed documents, with the position of the problem
+ */
+export class XmlParseError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} text - the whole document
+   * @param {number} offset - character offset of the problem
+   */
+  constructor(message, text, offset) {
+    const { line, column } = getLineColumn(text, offset);
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'XmlParseError';
+    this.reason = message;
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Converts a character offset into a 1-based line and column
+ * @param {string} text
+ * @param {number} offset
+ * @returns {{line: number, column: number}}
+ */
+export function getLineColumn(text, offset) {
+  let line = 1;
+  let lineStart = 0;
+  let index = text.indexOf('\n');
+
+  while (index !== -1 && index < offset) {
+    line++;
+    lineStart = index + 1;
+    index = text.indexOf('\n', lineStart);
+  }
+
+  return { line, column: offset - lineStart + 1 };
+}
+
+/**
+ * Converts a 1-based line and column into a character offset, clamped to
+ * the text
+ * @param {string} text
+ * @param {number} line
+ * @param {number} column
+ * @returns {number}
+ */
+export function getOffset(text, line, column) {
+  let lineStart = 0;
+  for (let i = 1; i < line; i++) {
+    const index = text.indexOf('\n', lineStart);
+    if (index === -1) return text.length;
+    lineStart = index + 1;
+  }
+
+  const lineEnd = text.indexOf('\n', lineStart);
+  const max = lineEnd === -1 ? text.length : lineEnd;
+  return Math.min(lineStart + Math.max(column - 1, 0), max);
+}
+
+/**
+ * Parses an XML string into a document-like tree of plain objects
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {(loaded: number, total: number) => void} [options.onProgress] -
+ *   called every progressInterval characters
+ * @param {number} [options.progressInterval]
+ * @returns {Object} document node with childNodes
+ * @throws {XmlParseError} when the document is not well-formed
+ */
+export function parseXml(text, options = {}) {
+  return parse(text, options, null);
+}
+
+/**
+ * Lists the well-formedness errors of a document. Unlike parseXml it goes on
+ * after each error, so one scan finds, for example, an unclosed tag, an
+ * undefined entity and a duplicate attribute. It stops early at errors it
+ * cannot recover from, such as an unterminated comment.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.maxErrors]
+ * @returns {XmlParseError[]} in document order, empty when well-formed
+ */
+export function findXmlErrors(text, options = {}) {
+  const { maxErrors = 100 } = options;
+  const errors = [];
+
+  try {
+    parse(text, { maxErrors }, errors);
+  } catch (error) {
+    if (error !== STOP_SCAN) throw error;
+  }
+
+  return errors.sort((a, b) => a.offset - b.offset);
+}
+
+// errors is null to throw at the first error, or an array to collect them in
+function parse(text, options, errors) {
+  const {
+    onProgress = null,
+    progressInterval = 1 << 16,
+    maxErrors = Infinity,
+  } = options;
+
+  const document = { nodeType: 9, childNodes: [] };
+  const stack = [];
+  const rootScope = Object.create(null);
+  rootScope.xml = XML_NAMESPACE;
+  rootScope.xmlns = XMLNS_NAMESPACE;
+  const scopes = [rootScope];
+  const entities = Object.assign(Object.create(null), PREDEFINED_ENTITIES);
+
+  let pos = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  const contentStart = pos;
+  let nextProgress = progressInterval;
+  let rootClosed = false;
+
+  // When collecting, report returns and the caller recovers; fail is for
+  // errors after which the rest of the document cannot be read
+  const report = (message, at = pos) => {
+    const error = new XmlParseError(message, text, at);
+    if (!errors) throw error;
+    errors.push(error);
+    if (errors.length >= maxErrors) throw STOP_SCAN;
+  };
+
+  const fail = (message, at = pos) => {
+    report(message, at);
+    throw STOP_SCAN;
+  };
+
+  // Skips a broken tag: up to its ">", or to the next tag if it has none
+  const skipTag = () => {
+    const gt = text.indexOf('>', pos);
+    const lt = text.indexOf('<', pos);
+    if (gt !== -1 && (lt === -1 || gt < lt)) {
+      pos = gt + 1;
+    } else {
+      pos = lt === -1 ? text.length : lt;
+    }
+  };
+
+  const current = () => (stack.length > 0 ? stack[stack.length - 1] : null);
+
+  const append = (node) => {
+    const parent = current();
+    if (parent) {
+      parent.childNodes.push(node);
+      if (node.nodeType === 1) parent.childElementCount++;
+    } else {
+      document.childNodes.push(node);
+    }
+  };
+
+  const readName = () => {
+    NAME_PATTERN.lastIndex = pos;
+    const match = NAME_PATTERN.exec(text);
+    if (!match) return null;
+    pos += match[0].length;
+    return match[0];
+  };
+
+  const skipWhitespace = () => {
+    WHITESPACE_PATTERN.lastIndex = pos;
+    WHITESPACE_PATTERN.exec(text);
+    const skipped = WHITESPACE_PATTERN.lastIndex - pos;
+    pos = WHITESPACE_PATTERN.lastIndex;
+    return skipped;
+  };
+
+  // Line ends are read as "\n", and whitespace in attribute values as
+  // spaces, as in DOMParser. Characters written as references are kept.
+  const normalize = (raw, isAttribute) => {
+    if (isAttribute) return raw.replace(/\r\n?|[\t\n]/g, ' ');
+    return raw.indexOf('\r') === -1 ? raw : raw.replace(/\r\n?/g, '\n');
+  };
+
+  const decode = (raw, offset, isAttribute = false) => {
+    if (raw.indexOf('&') === -1) return normalize(raw, isAttribute);
+
+    let result = '';
+    let last = 0;
+    let amp = raw.indexOf('&');
+    while (amp !== -1) {
+      const semicolon = raw.indexOf(';', amp);
+      if (semicolon === -1) {
+        report('Unterminated entity reference', offset + amp);
+        break;
+      }
+      const name = raw.slice(amp + 1, semicolon);
+      // Broken references are kept as they are written
+      let value = `&${name};`;
+      if (name[0] === '#') {
+        const code =
+          name[1] === 'x'
+            ? parseInt(name.slice(2), 16)
+            : parseInt(name.slice(1), 10);
+        if (Number.isNaN(code) || code > 0x10ffff) {
+          report(`Invalid character reference "&${name};"`, offset + amp);
+        } else {
+          value = String.fromCodePoint(code);
+        }
+      } else if (name in entities) {
+        value = entities[name];
+      } else {
+        report(`Undefined entity "&${name};"`, offset + amp);
+      }
+      result += normalize(raw.slice(last, amp), isAttribute) + value;
+      last = semicolon + 1;
+      amp = raw.indexOf('&', last);
+    }
+
+    return result + normalize(raw.slice(last), isAttribute);
+  };
+
+  const resolvePrefix = (prefix, scope, at) => {
+    const uri = scope[prefix];
+    if (uri === undefined) {
+      report(`Undefined namespace prefix "${prefix}"`, at);
+      return null;
+    }
+    return uri;
+  };
+
+  while (pos < text.length) {
+    if (onProgress && pos >= nextProgress) {
+      onProgress(pos, text.length);
+      nextProgress = pos + progressInterval;
+    }
+
+    const lt = text.indexOf('<', pos);
+
+    // Character data up to the next tag
+    if (lt !== pos) {
+      const end = lt === -1 ? text.length : lt;
+      const raw = text.slice(pos, end);
+      if (current()) {
+        append({ nodeType: 3, nodeValue: decode(raw, pos), start: pos, end });
+      } else if (raw.trim()) {
+        report(
+          rootClosed
+            ? 'Extra content after the root element'
+            : 'Text is not allowed outside the root element',
+          pos + raw.search(/\S/)
+        );
+      }
+      pos = end;
+      continue;
+    }
+
+    const start = pos;
+
+    if (text.startsWith('<!--', pos)) {
+      const end = text.indexOf('-->', pos + 4);
+      if (end === -1) fail('Unterminated comment');
+      const value = normalize(text.slice(pos + 4, end), false);
+      append({ nodeType: 8, nodeValue: value, start, end: end + 3 });
+      pos = end + 3;
+    } else if (text.startsWith('<![CDATA[', pos)) {
+      if (!current()) report('CDATA section outside the root element');
+      const end = text.indexOf(']]>', pos + 9);
+      if (end === -1) fail('Unterminated CDATA section');
+      const value = normalize(text.slice(pos + 9, end), false);
+      append({ nodeType: 4, nodeValue: value, start, end: end + 3 });
+      pos = end + 3;
+    } else if (text.startsWith('<!DOCTYPE', pos)) {
+      if (current() || rootClosed) {
+        report('DOCTYPE must come before the root element');
+      }
+      // Skip to the closing ">", past an optional [internal subset]
+      let end = pos + 9;
+      let subsetEnd = -1;
+      while (end < text.length && text[end] !== '>') {
+        if (text[end] === '[') {
+          subsetEnd = text.indexOf(']', end);
+          if (subsetEnd === -1) fail('Unterminated DOCTYPE internal subset');
+          end = subsetEnd;
+        } else if (text[end] === '"' || text[end] === "'") {
+          end = text.indexOf(text[end], end + 1);
+          if (end === -1) fail('Unterminated DOCTYPE');
+        }
+        end++;
+      }
+      if (end >= text.length) fail('Unterminated DOCTYPE');
+
+      const declaration = text.slice(pos, end + 1);
+      let match;
+      ENTITY_DECLARATION_PATTERN.lastIndex = 0;
+      while ((match = ENTITY_DECLARATION_PATTERN.exec(declaration)) !== null) {
+        if (!(match[1] in PREDEFINED_ENTITIES)) {
+          entities[match[1]] = match[3];
+        }
+      }
+
+      pos += 9;
+      skipWhitespace();
+      append({ nodeType: 10, name: readName() || '', start, end: end + 1 });
+      pos = end + 1;
+    } else if (text.startsWith('<?', pos)) {
+      pos += 2;
+      const target = readName();
+      if (!target) {
+        report('Invalid processing instruction target', start);
+        skipTag();
+        continue;
+      }
+      const end = text.indexOf('?>', pos);
+      if (end === -1) fail('Unterminated processing instruction', start);
+
+      if (target.toLowerCase() === 'xml') {
+        // The declaration is not a node, and only valid at the very start
+        if (start !== contentStart) {
+          report(
+            'XML declaration is only allowed at the start of the document',
+            start
+          );
+        }
+      } else {
+        const data = normalize(text.slice(pos, end).trim(), false);
+        append({
+          nodeType: 7,
+          target,
+          data,
+          nodeValue: data,
+          start,
+          end: end + 2,
+        });
+      }
+      pos = end + 2;
+    } else if (text.startsWith('</', pos)) {
+      pos += 2;
+      const name = readName();
+      if (!name) {
+        report('Invalid closing tag', start);
+        skipTag();
+        continue;
+      }
+      skipWhitespace();
+      if (text[pos] === '>') {
+        pos++;
+      } else {
+        report(`Expected ">" to close </${name}>`);
+        skipTag();
+      }
+
+      const open = current();
+      if (!open) {
+        report(`Unexpected closing tag </${name}>`, start);
+        continue;
+      }
+
+      let depth = stack.length - 1;
+      if (open.tagName !== name) {
+        // A scan lists the unclosed opener as a problem of its own
+        const opened = getLineColumn(text, open.start);
+        report(
+          `Mismatched closing tag </${name}>: expected </${open.tagName}>${
+            errors
+              ? ''
+              : ` opened at line ${opened.line}, column ${opened.column}`
+          }`,
+          start
+        );
+
+        // It closes an outer element, leaving the ones inside it unclosed,
+        // or closes nothing and is skipped
+        depth = stack.length - 2;
+        while (depth >= 0 && stack[depth].tagName !== name) depth--;
+        if (depth === -1) continue;
+        for (let i = stack.length - 1; i > depth; i--) {
+          report(`Unclosed tag <${stack[i].tagName}>`, stack[i].start);
+        }
+      }
+
+      stack[depth].end = pos;
+      stack.length = depth;
+      scopes.length = depth + 1;
+      if (stack.length === 0) rootClosed = true;
+    } else if (text.startsWith('<!', pos)) {
+      report('Unsupported markup declaration');
+      skipTag();
+    } else {
+      // Start tag
+      if (rootClosed) report('Extra content after the root element');
+      pos++;
+      const tagName = readName();
+      if (!tagName) {
+        // Read on with the "<" as text
+        report('Invalid tag name', start);
+        continue;
+      }
+
+      const rawAttributes = [];
+      const seen = new Set();
+      let selfClosing = false;
+
+      for (;;) {
+        const spaced = skipWhitespace() > 0;
+        if (pos >= text.length || text[pos] === '<') {
+          // A tag that runs into the next one ends where that one starts
+          report(`Unterminated tag <${tagName}>`, start);
+          if (pos >= text.length) throw STOP_SCAN;
+          break;
+        }
+        if (text[pos] === '>') {
+          pos++;
+          break;
+        }
+        if (text.startsWith('/>', pos)) {
+          pos += 2;
+          selfClosing = true;
+          break;
+        }
+        if (!spaced) {
+          report(`Unexpected character "${text[pos]}" in tag <${tagName}>`);
+        }
+
+        const attrStart = pos;
+        const name = readName();
+        if (!name) {
+          if (spaced) {
+            report(`Unexpected character "${text[pos]}" in tag <${tagName}>`);
+          }
+          pos++;
+          continue;
+        }
+        if (seen.has(name)) {
+          report(
+            `Duplicate attribute "${name}" in tag <${tagName}>`,
+            attrStart
+          );
+        }
+        seen.add(name);
+
+        const nameEnd = pos;
+        skipWhitespace();
+        if (text[pos] !== '=') {
+          report(`Attribute "${name}" has no value`, attrStart);
+          pos = nameEnd;
+          continue;
+        }
+        pos++;
+        skipWhitespace();
+
+        const quote = text[pos];
+        if (quote !== '"' && quote !== "'") {
+          report(`Value of attribute "${name}" must be quoted`);
+          UNQUOTED_VALUE_PATTERN.lastIndex = pos;
+          UNQUOTED_VALUE_PATTERN.exec(text);
+          pos = UNQUOTED_VALUE_PATTERN.lastIndex;
+          continue;
+        }
+        const valueEnd = text.indexOf(quote, pos + 1);
+        if (valueEnd === -1) fail(`Unterminated value of attribute "${name}"`);
+        const raw = text.slice(pos + 1, valueEnd);
+        const ltIndex = raw.indexOf('<');
+        if (ltIndex !== -1) {
+          report(`"<" is not allowed in attribute values`, pos + 1 + ltIndex);
+        }
+
+        rawAttributes.push({
+          name,
+          value: decode(raw, pos + 1, true),
+          start: attrStart,
+          end: valueEnd + 1,
+        });
+        pos = valueEnd + 1;
+      }
+
+      // Namespace declarations are in scope for the element itself
+      const scope = Object.create(scopes[scopes.length - 1]);
+      rawAttributes.forEach((attr) => {
+        if (attr.name === 'xmlns') {
+          scope[''] = attr.value;
+        } else if (attr.name.startsWith('xmlns:')) {
+          scope[attr.name.slice(6)] = attr.value;
+        }
+      });
+
+      const colon = tagName.indexOf(':');
+      const prefix = colon === -1 ? null : tagName.slice(0, colon);
+      const namespaceURI =
+        (prefix === null
+          ? scope['']
+          : resolvePrefix(prefix, scope, start + 1)) || null;
+
+      const attributes = rawAttributes.map((attr) => {
+        const attrColon = attr.name.indexOf(':');
+        const attrPrefix =
+          attrColon === -1 ? null : attr.name.slice(0, attrColon);
+        let attrNamespace = null;
+        if (attr.name === 'xmlns') {
+          attrNamespace = XMLNS_NAMESPACE;
+        } else if (attrPrefix !== null) {
+          attrNamespace = resolvePrefix(attrPrefix, scope, attr.start);
+        }
+        return {
+          name: attr.name,
+          value: attr.value,
+          prefix: attrPrefix,
+          localName:
+            attrColon === -1 ? attr.name : attr.name.slice(attrColon + 1),
+          namespaceURI: attrNamespace,
+          start: attr.start,
+          end: attr.end,
+        };
+      });
+
+      const element = {
+        nodeType: 1,
+        tagName,
+        prefix,
+        localName: colon === -1 ? tagName : tagName.slice(colon + 1),
+        namespaceURI,
+        attributes,
+        childNodes: [],
+        childElementCount: 0,
+        start,
+        startTagEnd: pos,
+        end: pos,
+      };
+      append(element);
+
+      if (selfClosing) {
+        if (stack.length === 0) rootClosed = true;
+      } else {
+        stack.push(element);
+        scopes.push(scope);
+      }
+    }
+  }
+
+  // Innermost first, which is the one parseXml reports
+  for (let i = stack.length - 1; i >= 0; i--) {
+    report(`Unclosed tag <${stack[i].tagName}>`, stack[i].start);
+  }
+  if (!document.childNodes.some((node) => node.nodeType === 1)) {
+    report('No root element found', contentStart);
+  }
+
+  if (onProgress) {
+    onProgress(text.length, text.length);
+  }
+
+  return document;
+}
@@ -0,0 +1,62 @@
+// XPath evaluation against the parsed XML document
+
+/**
+ * Collects every prefix declared anywhere in the document, so expressions
+ * can use prefixes that are not declared on the root element
+ * @param {Document} xmlDoc
+ * @returns {Object<string, string>} prefix -> namespace URI
+ */
+export function collectNamespaces(xmlDoc) {
+  const namespaces = {};
+  const elements = xmlDoc.getElementsByTagName('*');
+
+  for (let i = 0; i < elements.length; i++) {
+    const attributes = elements[i].attributes;
+    for (let j = 0; j < attributes.length; j++) {
+      const attr = attributes[j];
+      if (attr.prefix === 'xmlns' && !(attr.localName in namespaces)) {
+        namespaces[attr.localName] = attr.value;
+      }
+    }
+  }
+
+  return namespaces;
+}
+
+/**
+ * Evaluates an XPath expression and normalizes the result
+ * @param {Document} xmlDoc
+ * @param {string} expression
+ * @returns {{type: 'nodes', nodes: Node[]}|{type: 'number'|'string'|'boolean', value: *}}
+ * @throws {Error} when the expression is invalid
+ */
+export function evaluateXPath(xmlDoc, expression) {
+  const namespaces = collectNamespaces(xmlDoc);
+  const resolver = (prefix) => namespaces[prefix] || null;
+
+  const result = xmlDoc.evaluate(
+    expression,
+    xmlDoc,
+    resolver,
+    XPathResult.ANY_TYPE,
+    null
+  );
+
+  switch (result.resultType) {
+    case XPathResult.NUMBER_TYPE:
+      return { type: 'number', value: result.numberValue };
+    case XPathResult.STRING_TYPE:
+      return { type: 'string', value: result.stringValue };
+    case XPathResult.BOOLEAN_TYPE:
+      return { type: 'boolean', value: result.booleanValue };
+    default: {
+      const nodes = [];
+      let node = result.iterateNext();
+      while (node) {
+        nodes.push(node);
+        node = result.iterateNext();
+      }
+      return { type: 'nodes', nodes };
+    }
+  }
+}
@@ -0,0 +1,1668 @@
+// XML Schema (XSD 1.0) validation in the browser. Covers what most schemas
+// use: global and local elements and attributes, named and anonymous types,
+// sequence, choice, all, groups, wildcards, substitution groups, simple and
+// complex content derivation, the built-in types and their facets, and
+// ID/IDREF checks. Imports, includes, identity constraints (key, unique,
+// keyref) and xsi:type are not supported.
+
+const XS_NS = 'http://www.w3.org/2001/XMLSchema';
+const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+// Characters of \i and \c in schema patterns (simplified to Latin letters
+// plus everything above U+00BF)
+const NAME_START_CHARS = '_:A-Za-z\\u00C0-\\uFFFF';
+const NAME_CHARS = '\\-.0-9_:A-Za-z\\u00B7\\u00C0-\\uFFFF';
+
+const NCNAME = `[_A-Za-z\\u00C0-\\uFFFF][\\-.0-9_A-Za-z\\u00B7\\u00C0-\\uFFFF]*`;
+const TIMEZONE = '(Z|[+-]\\d{2}:\\d{2})?';
+const DATE = '-?\\d{4,}-(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])';
+const TIME = '([01]\\d|2[0-3]):[0-5]\\d:[0-5]\\d(\\.\\d+)?';
+
+// Fields of any date or time type once its lexical form is checked, e.g.
+// "2020-02-29T10:00:00" or "--02-29"; the timezone is read apart
+const DATE_TIME_FIELDS =
+  /^(?:(?<year>-?\d{4,})|-)?(?:-(?<month>\d{2})|-)?(?:-(?<day>\d{2}))?T?(?:(?<hour>\d{2}):(?<minute>\d{2}):(?<second>\d{2}(?:\.\d+)?))?$/;
+const TIMEZONE_SUFFIX = /(Z|([+-])(\d{2}):(\d{2}))$/;
+
+// Fills in the fields a type leaves out, for ordering and day checks; 1972
+// is a leap year, so --02-29 is a valid gMonthDay
+const REFERENCE_YEAR = 1972n;
+
+// Primitive types: lexical form, an extra check of the values it lets
+// through, and how values are ordered
+const PRIMITIVE_TYPES = {
+  anySimpleType: { lexical: /^[\s\S]*$/ },
+  string: { lexical: /^[\s\S]*$/, whiteSpace: 'preserve' },
+  boolean: { lexical: /^(true|false|1|0)$/ },
+  decimal: { lexical: /^[+-]?(\d+(\.\d*)?|\.\d+)$/, order: 'number' },
+  float: {
+    lexical: /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/,
+    order: 'number',
+  },
+  double: {
+    lexical: /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/,
+    order: 'number',
+  },
+  duration: {
+    lexical:
+      /^-?P(?=\d|T\d)(\d+Y)?(\d+M)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/,
+  },
+  dateTime: {
+    lexical: new RegExp(`^${DATE}T(${TIME}|24:00:00(\\.0+)?)${TIMEZONE}$`),
+    valid: hasValidDay,
+    order: 'time',
+  },
+  time: { lexical: new RegExp(`^${TIME}${TIMEZONE}$`), order: 'time' },
+  date: {
+    lexical: new RegExp(`^${DATE}${TIMEZONE}$`),
+    valid: hasValidDay,
+    order: 'time',
+  },
+  gYearMonth: {
+    lexical: new RegExp(`^-?\\d{4,}-(0[1-9]|1[0-2])${TIMEZONE}$`),
+    order: 'time',
+  },
+  gYear: { lexical: new RegExp(`^-?\\d{4,}${TIMEZONE}$`), order: 'time' },
+  gMonthDay: {
+    lexical: new RegExp(
+      `^--(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])${TIMEZONE}$`
+    ),
+    valid: hasValidDay,
+    order: 'time',
+  },
+  gDay: {
+    lexical: new RegExp(`^---(0[1-9]|[12]\\d|3[01])${TIMEZONE}$`),
+    order: 'time',
+  },
+  gMonth: {
+    lexical: new RegExp(`^--(0[1-9]|1[0-2])${TIMEZONE}$`),
+    order: 'time',
+  },
+  hexBinary: { lexical: /^([0-9a-fA-F]{2})*$/ },
+  base64Binary: {
+    lexical:
+      /^(([A-Za-z0-9+/] ?){4})*(([A-Za-z0-9+/] ?){2}(==|[AEIMQUYcgkosw048] ?=))?$/,
+  },
+  anyURI: { lexical: /^[\s\S]*$/ },
+  QName: { lexical: new RegExp(`^(${NCNAME}:)?${NCNAME}$`) },
+  NOTATION: { lexical: new RegExp(`^(${NCNAME}:)?${NCNAME}$`) },
+};
+
+// Built-in derived types: base type and facets
+const DERIVED_TYPES = {
+  normalizedString: { base: 'string', facets: { whiteSpace: 'replace' } },
+  token: { base: 'normalizedString', facets: { whiteSpace: 'collapse' } },
+  language: {
+    base: 'token',
+    facets: { patterns: [[/^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/]] },
+  },
+  NMTOKEN: {
+    base: 'token',
+    facets: { patterns: [[/^[\-.0-9_:A-Za-z\u00B7\u00C0-\uFFFF]+$/]] },
+  },
+  Name: {
+    base: 'token',
+    facets: {
+      patterns: [[new RegExp(`^[${NAME_START_CHARS}][${NAME_CHARS}]*$`)]],
+    },
+  },
+  NCName: { base: 'Name', facets: { patterns: [[new RegExp(`^${NCNAME}$`)]] } },
+  ID: { base: 'NCName' },
+  IDREF: { base: 'NCName' },
+  ENTITY: { base: 'NCName' },
+  integer: {
+    base: 'decimal',
+    facets: { fractionDigits: 0, patterns: [[/^[+-]?\d+$/]] },
+  },
+  nonPositiveInteger: { base: 'integer', facets: { maxInclusive: '0' } },
+  negativeInteger: {
+    base: 'nonPositiveInteger',
+    facets: { maxInclusive: '-1' },
+  },
+  long: {
+    base: 'integer',
+    facets: {
+      minInclusive: '-9223372036854775808',
+      maxInclusive: '9223372036854775807',
+    },
+  },
+  int: {
+    base: 'long',
+    facets: { minInclusive: '-2147483648', maxInclusive: '2147483647' },
+  },
+  short: {
+    base: 'int',
+    facets: { minInclusive: '-32768', maxInclusive: '32767' },
+  },
+  byte: {
+    base: 'short',
+    facets: { minInclusive: '-128', maxInclusive: '127' },
+  },
+  nonNegativeInteger: { base: 'integer', facets: { minInclusive: '0' } },
+  unsignedLong: {
+    base: 'nonNegativeInteger',
+    facets: { maxInclusive: '18446744073709551615' },
+  },
+  unsignedInt: { base: 'unsignedLong', facets: { maxInclusive: '4294967295' } },
+  unsignedShort: { base: 'unsignedInt', facets: { maxInclusive: '65535' } },
+  unsignedByte: { base: 'unsignedShort', facets: { maxInclusive: '255' } },
+  positiveInteger: {
+    base: 'nonNegativeInteger',
+    facets: { minInclusive: '1' },
+  },
+};
+
+// Built-in list types and their item types
+const LIST_TYPES = {
+  NMTOKENS: 'NMTOKEN',
+  IDREFS: 'IDREF',
+  ENTITIES: 'ENTITY',
+};
+
+// Components a schema can define at the top level
+const COMPONENT_KINDS = [
+  'element',
+  'attribute',
+  'complexType',
+  'simpleType',
+  'group',
+  'attributeGroup',
+];
+
+/**
+ * Error thrown when a schema cannot be read or uses something this
+ * validator does not support
+ */
+export class SchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SchemaError';
+  }
+}
+
+/**
+ * Parses and compiles a schema document
+ * @param {string} text - XSD source
+ * @returns {XsdSchema}
+ * @throws {SchemaError} when the schema is malformed or not supported
+ */
+export function parseSchema(text) {
+  const xsdDoc = new DOMParser().parseFromString(text, 'text/xml');
+  const parseError = xsdDoc.querySelector('parsererror');
+  if (parseError) {
+    throw new SchemaError('Invalid XML: ' + parseError.textContent);
+  }
+  return new XsdSchema(xsdDoc);
+}
+
+/**
+ * A compiled schema. Components are compiled the first time validation
+ * reaches them, so references are only checked where they are used.
+ */
+export class XsdSchema {
+  /**
+   * @param {Document} xsdDoc - parsed schema document
+   * @throws {SchemaError} when the root is not xs:schema or the schema
+   *   uses xs:import, xs:include or xs:redefine
+   */
+  constructor(xsdDoc) {
+    const root = xsdDoc.documentElement;
+    if (!root || root.namespaceURI !== XS_NS || root.localName !== 'schema') {
+      throw new SchemaError('The root element is not xs:schema');
+    }
+
+    this.targetNamespace = root.getAttribute('targetNamespace') || null;
+    this.elementFormDefault = root.getAttribute('elementFormDefault');
+    this.attributeFormDefault = root.getAttribute('attributeFormDefault');
+
+    // Top-level definitions by kind, "{namespace}name" -> schema element
+    this.definitions = {};
+    COMPONENT_KINDS.forEach((kind) => {
+      this.definitions[kind] = new Map();
+    });
+    this.compiled = new WeakMap(); // Schema element -> compiled component
+    this.builtinTypes = new Map();
+    this.substitutionGroups = new Map(); // Head name -> member declarations
+
+    getSchemaChildren(root).forEach((child) => {
+      const kind = child.localName;
+      if (['import', 'include', 'redefine', 'override'].includes(kind)) {
+        throw new SchemaError(
+          `xs:${kind} is not supported; combine the schemas into one file`
+        );
+      }
+      if (!this.definitions[kind]) return;
+
+      const name = expandedName(
+        this.targetNamespace,
+        child.getAttribute('name')
+      );
+      this.definitions[kind].set(name, child);
+
+      if (kind === 'element' && child.hasAttribute('substitutionGroup')) {
+        const head = this.resolveQName(
+          child,
+          child.getAttribute('substitutionGroup')
+        );
+        if (!this.substitutionGroups.has(head)) {
+          this.substitutionGroups.set(head, []);
+        }
+        this.substitutionGroups.get(head).push(child);
+      }
+    });
+  }
+
+  /**
+   * Validates a document against the schema
+   * @param {Document} xmlDoc
+   * @param {Object} [options]
+   * @param {number} [options.maxErrors] - stop after this many errors
+   * @returns {Object[]} errors in document order, { node, path, message },
+   *   node being the element the problem was found on
+   * @throws {SchemaError} when a component the document uses is broken
+   */
+  validate(xmlDoc, options = {}) {
+    const state = {
+      errors: [],
+      maxErrors: options.maxErrors || 1000,
+      ids: new Set(),
+      idrefs: [], // [element, value] pairs checked once all ids are known
+    };
+    const report = (node, message) => {
+      if (state.errors.length < state.maxErrors) {
+        state.errors.push({ node, path: getElementPath(node), message });
+      }
+    };
+    state.report = report;
+
+    const root = xmlDoc.documentElement;
+    const rootDecl = this.getGlobal(
+      'element',
+      expandedName(root.namespaceURI, root.localName)
+    );
+    if (!rootDecl) {
+      report(
+        root,
+        `No declaration found for the root element <${root.tagName}>`
+      );
+      return state.errors;
+    }
+
+    // Iterative walk: documents can be deeper than the call stack allows
+    const stack = [[root, this.compileElement(rootDecl)]];
+    while (stack.length > 0 && state.errors.length < state.maxErrors) {
+      const [element, decl] = stack.pop();
+      const children = this.validateElement(element, decl, state);
+      for (let i = children.length - 1; i >= 0; i--) {
+        stack.push(children[i]);
+      }
+    }
+
+    state.idrefs.forEach(([element, value]) => {
+      if (!state.ids.has(value)) {
+        report(element, `IDREF "${value}" does not match any ID`);
+      }
+    });
+
+    // Content errors are found on the parent, before the children's own
+    return state.errors.sort((a, b) =>
+      a.node === b.node
+        ? 0
+        : a.node.compareDocumentPosition(b.node) & 4
+        ? -1
+        : 1
+    );
+  }
+
+  /**
+   * Checks one element against its declaration
+   * @returns {Array} [childElement, declaration] pairs still to validate
+   */
+  validateElement(element, decl, state) {
+    const label = `<${element.tagName}>`;
+    if (decl.abstract) {
+      state.report(element, `Element ${label} is abstract and cannot be used`);
+      return [];
+    }
+
+    const type = this.getElementType(decl);
+    const nil = element.getAttributeNS(XSI_NS, 'nil');
+    if (nil === 'true' || nil === '1') {
+      if (!decl.nillable) {
+        state.report(element, `Element ${label} is not nillable`);
+      } else if (element.childNodes.length > 0) {
+        state.report(element, `Element ${label} is nil but has content`);
+      }
+      this.validateAttributes(element, type, state);
+      return [];
+    }
+
+    this.validateAttributes(element, type, state);
+
+    const childElements = getChildElements(element);
+    const simpleType =
+      type.kind === 'simple'
+        ? type
+        : type.content === 'simple'
+        ? type.simpleType
+        : null;
+
+    if (simpleType) {
+      if (childElements.length > 0) {
+        state.report(element, `Element ${label} cannot contain elements`);
+        return [];
+      }
+      let value = element.textContent;
+      if (value === '' && decl.defaultValue !== null) {
+        value = decl.defaultValue;
+      }
+      this.checkValue(element, simpleType, value, `Element ${label}`, state);
+      if (decl.fixed !== null && value !== decl.fixed) {
+        state.report(
+          element,
+          `Element ${label} must have the value "${decl.fixed}"`
+        );
+      }
+      return [];
+    }
+
+    if (type.content !== 'mixed' && hasText(element)) {
+      state.report(
+        element,
+        type.content === 'empty'
+          ? `Element ${label} must be empty`
+          : `Text is not allowed directly inside ${label}`
+      );
+    }
+    if (type.content === 'empty') {
+      if (childElements.length > 0) {
+        state.report(element, `Element ${label} must be empty`);
+      }
+      return [];
+    }
+
+    return this.matchContent(element, type.particle, childElements, state);
+  }
+
+  validateAttributes(element, type, state) {
+    const label = `<${element.tagName}>`;
+    const uses = type.kind === 'complex' ? type.attributes : new Map();
+    const wildcard = type.kind === 'complex' ? type.anyAttribute : null;
+    const seen = new Set();
+
+    for (let i = 0; i < element.attributes.length; i++) {
+      const attr = element.attributes[i];
+      // Namespace declarations and xsi: attributes are not data; xml:lang
+      // and friends need an import of xml.xsd, which is not supported
+      if (
+        attr.namespaceURI === XMLNS_NS ||
+        attr.namespaceURI === XSI_NS ||
+        attr.namespaceURI === XML_NS
+      ) {
+        continue;
+      }
+
+      const name = expandedName(attr.namespaceURI, attr.localName);
+      const use = uses.get(name);
+      if (use) {
+        seen.add(name);
+        this.checkValue(
+          element,
+          this.getAttributeType(use),
+          attr.value,
+          `Attribute "${attr.name}" of ${label}`,
+          state
+        );
+        if (use.fixed !== null && attr.value !== use.fixed) {
+          state.report(
+            element,
+            `Attribute "${attr.name}" of ${label} must have the value "${use.fixed}"`
+          );
+        }
+      } else if (!wildcard || !wildcardAllows(wildcard, attr.namespaceURI)) {
+        state.report(
+          element,
+          `Attribute "${attr.name}" is not allowed on ${label}`
+        );
+      }
+    }
+
+    uses.forEach((use, name) => {
+      if (use.required && !seen.has(name)) {
+        state.report(
+          element,
+          `Missing required attribute "${use.name}" on ${label}`
+        );
+      }
+    });
+  }
+
+  /**
+   * Validates a text value, reporting problems and recording IDs
+   */
+  checkValue(element, type, value, subject, state) {
+    const problem = this.checkSimpleValue(type, value);
+    if (problem) {
+      state.report(element, `${subject}: value "${value}" ${problem}`);
+      return;
+    }
+
+    const builtin = getBuiltinName(type);
+    const normalized = collapseWhiteSpace(value);
+    if (builtin === 'ID') {
+      if (state.ids.has(normalized)) {
+        state.report(element, `${subject}: duplicate ID "${normalized}"`);
+      }
+      state.ids.add(normalized);
+    } else if (builtin === 'IDREF') {
+      state.idrefs.push([element, normalized]);
+    } else if (
+      type.variety === 'list' &&
+      getBuiltinName(type.itemType) === 'IDREF'
+    ) {
+      normalized
+        .split(' ')
+        .filter(Boolean)
+        .forEach((ref) => state.idrefs.push([element, ref]));
+    }
+  }
+
+  /**
+   * Matches the child elements against a content model and reports the
+   * first place where they stop fitting
+   * @returns {Array} [childElement, declaration] pairs of matched children
+   */
+  matchContent(element, particle, children, state) {
+    const match = { bindings: [], failPosition: -1, expected: new Set() };
+    const end = particle ? this.matchParticle(particle, children, 0, match) : 0;
+
+    let valid = children.length;
+    if (end === -1 || end < children.length) {
+      const position = Math.max(match.failPosition, end);
+      const expected = formatExpected(match, position);
+      if (position < children.length) {
+        state.report(
+          children[position],
+          `Unexpected element <${children[position].tagName}>${
+            expected ? `; expected ${expected}` : ''
+          }`
+        );
+      } else {
+        state.report(
+          element,
+          `Element <${element.tagName}> is incomplete; expected ${expected}`
+        );
+      }
+      valid = Math.min(position, children.length);
+    }
+
+    // Children after the first mismatch have no reliable declaration
+    const pairs = [];
+    for (let i = 0; i < valid; i++) {
+      const binding = match.bindings[i];
+      if (!binding) continue;
+
+      if (binding.kind === 'element') {
+        pairs.push([children[i], binding]);
+        continue;
+      }
+
+      // Wildcards: lax and strict validate what the schema declares
+      if (binding.process === 'skip') continue;
+      const child = children[i];
+      const decl = this.getGlobal(
+        'element',
+        expandedName(child.namespaceURI, child.localName)
+      );
+      if (decl) {
+        pairs.push([child, this.compileElement(decl)]);
+      } else if (binding.process === 'strict') {
+        state.report(
+          child,
+          `No declaration found for element <${child.tagName}>`
+        );
+      }
+    }
+    return pairs;
+  }
+
+  /**
+   * Matches a particle with its repetitions from a position on. Schemas
+   * must be deterministic (Unique Particle Attribution), so taking every
+   * repetition that matches never needs backtracking.
+   * @returns {number} position after the match, or -1
+   */
+  matchParticle(particle, children, position, match) {
+    let count = 0;
+    let current = position;
+    while (count < particle.max) {
+      const end = this.matchTerm(particle, children, current, match);
+      if (end === -1 || end === current) break;
+      current = end;
+      count++;
+    }
+
+    if (count >= particle.min || this.isEmptiable(particle)) {
+      return current;
+    }
+    return -1;
+  }
+
+  matchTerm(particle, children, position, match) {
+    const child = children[position];
+
+    switch (particle.kind) {
+      case 'element': {
+        const decl = child ? this.findSubstitute(particle.decl, child) : null;
+        if (!decl) {
+          recordFailure(match, position, `<${particle.decl.label}>`);
+          return -1;
+        }
+        match.bindings[position] = decl;
+        return position + 1;
+      }
+
+      case 'any':
+        if (!child || !wildcardAllows(particle.wildcard, child.namespaceURI)) {
+          recordFailure(match, position, 'any element');
+          return -1;
+        }
+        match.bindings[position] = particle.wildcard;
+        return position + 1;
+
+      case 'sequence': {
+        let current = position;
+        for (const item of particle.items) {
+          current = this.matchParticle(item, children, current, match);
+          if (current === -1) return -1;
+        }
+        return current;
+      }
+
+      case 'choice': {
+        let emptiable = false;
+        for (const item of particle.items) {
+          const end = this.matchParticle(item, children, position, match);
+          if (end > position) return end;
+          if (end === position) emptiable = true;
+        }
+        return emptiable ? position : -1;
+      }
+
+      case 'all': {
+        // Each element at most once, in any order
+        const used = new Set();
+        let current = position;
+        for (;;) {
+          const next = children[current];
+          const item =
+            next &&
+            particle.items.find(
+              (candidate) =>
+                !used.has(candidate) &&
+                this.findSubstitute(candidate.decl, next)
+            );
+          if (!item) break;
+          used.add(item);
+          match.bindings[current] = this.findSubstitute(item.decl, next);
+          current++;
+        }
+
+        const missing = particle.items.filter(
+          (item) => item.min > 0 && !used.has(item)
+        );
+        if (missing.length > 0) {
+          missing.forEach((item) =>
+            recordFailure(match, current, `<${item.decl.label}>`)
+          );
+          return -1;
+        }
+        return current;
+      }
+
+      default:
+        return -1;
+    }
+  }
+
+  isEmptiable(particle) {
+    if (particle.min === 0) return true;
+    switch (particle.kind) {
+      case 'sequence':
+      case 'all':
+        return particle.items.every((item) => this.isEmptiable(item));
+      case 'choice':
+        return particle.items.some((item) => this.isEmptiable(item));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Declaration an element matches: the particle's own, or a member of its
+   * substitution group
+   * @returns {Object|null}
+   */
+  findSubstitute(decl, element) {
+    const name = expandedName(element.namespaceURI, element.localName);
+    if (decl.expandedName === name) return decl;
+
+    const members = this.substitutionGroups.get(decl.expandedName) || [];
+    for (const member of members) {
+      const found = this.findSubstitute(this.compileElement(member), element);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  getGlobal(kind, name) {
+    return this.definitions[kind].get(name) || null;
+  }
+
+  requireGlobal(kind, node, qname) {
+    const definition = this.getGlobal(kind, this.resolveQName(node, qname));
+    if (!definition) {
+      throw new SchemaError(`xs:${kind} "${qname}" is not defined`);
+    }
+    return definition;
+  }
+
+  /**
+   * Expands a QName used inside the schema with the prefixes in scope there
+   * @returns {string} "{namespace}localName"
+   */
+  resolveQName(node, qname) {
+    const colon = qname.indexOf(':');
+    const prefix = colon === -1 ? null : qname.slice(0, colon);
+    const namespace = node.lookupNamespaceURI(prefix);
+    if (prefix && !namespace) {
+      throw new SchemaError(`Undeclared prefix in "${qname}"`);
+    }
+    return expandedName(namespace, qname.slice(colon + 1));
+  }
+
+  resolveType(node, qname) {
+    const name = this.resolveQName(node, qname);
+    const { namespace, localName } = splitExpandedName(name);
+    if (namespace === XS_NS) {
+      return this.getBuiltinType(localName);
+    }
+
+    const complex = this.getGlobal('complexType', name);
+    if (complex) return this.compileComplexType(complex);
+    const simple = this.getGlobal('simpleType', name);
+    if (simple) return this.compileSimpleType(simple);
+    throw new SchemaError(`Type "${qname}" is not defined`);
+  }
+
+  getBuiltinType(name) {
+    if (this.builtinTypes.has(name)) {
+      return this.builtinTypes.get(name);
+    }
+
+    let type;
+    if (name === 'anyType') {
+      type = ANY_TYPE;
+    } else if (PRIMITIVE_TYPES[name]) {
+      type = createSimpleType(name, null, 'atomic');
+      type.builtin = name;
+    } else if (DERIVED_TYPES[name]) {
+      const { base, facets } = DERIVED_TYPES[name];
+      type = createSimpleType(name, this.getBuiltinType(base), 'atomic');
+      type.builtin = name;
+      Object.assign(type.facets, facets);
+    } else if (LIST_TYPES[name]) {
+      type = createSimpleType(name, null, 'list');
+      type.builtin = name;
+      type.itemType = this.getBuiltinType(LIST_TYPES[name]);
+      type.facets.minLength = 1;
+    } else {
+      throw new SchemaError(`Unknown built-in type xs:${name}`);
+    }
+    this.builtinTypes.set(name, type);
+    return type;
+  }
+
+  /**
+   * Declaration of an element, global or local
+   * @param {Element} node - xs:element
+   * @returns {Object}
+   */
+  compileElement(node) {
+    if (this.compiled.has(node)) return this.compiled.get(node);
+
+    const isGlobal = node.parentNode === node.ownerDocument.documentElement;
+    const qualified =
+      isGlobal ||
+      (node.getAttribute('form') || this.elementFormDefault) === 'qualified';
+    const name = node.getAttribute('name');
+    const namespace = qualified ? this.targetNamespace : null;
+
+    const decl = {
+      kind: 'element',
+      node,
+      label: name,
+      expandedName: expandedName(namespace, name),
+      nillable: node.getAttribute('nillable') === 'true',
+      abstract: node.getAttribute('abstract') === 'true',
+      fixed: node.hasAttribute('fixed') ? node.getAttribute('fixed') : null,
+      defaultValue: node.hasAttribute('default')
+        ? node.getAttribute('default')
+        : null,
+      type: null, // Resolved on first use, types can be recursive
+    };
+    this.compiled.set(node, decl);
+    return decl;
+  }
+
+  getElementType(decl) {
+    if (decl.type) return decl.type;
+
+    const node = decl.node;
+    const inline = getSchemaChildren(node).find(
+      (child) =>
+        child.localName === 'complexType' || child.localName === 'simpleType'
+    );
+    if (inline) {
+      decl.type =
+        inline.localName === 'complexType'
+          ? this.compileComplexType(inline)
+          : this.compileSimpleType(inline);
+    } else if (node.hasAttribute('type')) {
+      decl.type = this.resolveType(node, node.getAttribute('type'));
+    } else if (node.hasAttribute('substitutionGroup')) {
+      // Members default to the type of their head
+      const head = this.requireGlobal(
+        'element',
+        node,
+        node.getAttribute('substitutionGroup')
+      );
+      decl.type = this.getElementType(this.compileElement(head));
+    } else {
+      decl.type = ANY_TYPE;
+    }
+    return decl.type;
+  }
+
+  compileComplexType(node) {
+    if (this.compiled.has(node)) return this.compiled.get(node);
+
+    const type = {
+      kind: 'complex',
+      name: node.getAttribute('name'),
+      content: 'empty', // "empty", "simple", "element" or "mixed"
+      particle: null,
+      simpleType: null,
+      attributes: new Map(), // "{namespace}name" -> attribute use
+      anyAttribute: null,
+    };
+    this.compiled.set(node, type);
+
+    let mixed = node.getAttribute('mixed') === 'true';
+    const children = getSchemaChildren(node);
+    const simpleContent = children.find((c) => c.localName === 'simpleContent');
+    const complexContent = children.find(
+      (c) => c.localName === 'complexContent'
+    );
+
+    if (simpleContent) {
+      const derivation = getDerivation(simpleContent);
+      const base = this.resolveType(
+        derivation,
+        derivation.getAttribute('base')
+      );
+      let simpleType = base.kind === 'complex' ? base.simpleType : base;
+      if (!simpleType) {
+        throw new SchemaError(
+          `Simple content of type "${type.name}" derives from a type without simple content`
+        );
+      }
+      if (base.kind === 'complex') {
+        this.inheritAttributes(type, base, derivation.localName);
+      }
+      if (derivation.localName === 'restriction') {
+        simpleType = this.restrictSimpleType(derivation, simpleType);
+      }
+      type.content = 'simple';
+      type.simpleType = simpleType;
+      this.addAttributes(type, derivation);
+      return type;
+    }
+
+    let particle;
+    if (complexContent) {
+      if (complexContent.hasAttribute('mixed')) {
+        mixed = complexContent.getAttribute('mixed') === 'true';
+      }
+      const derivation = getDerivation(complexContent);
+      const base = this.resolveType(
+        derivation,
+        derivation.getAttribute('base')
+      );
+      if (base.kind !== 'complex') {
+        throw new SchemaError(
+          `Complex content of type "${type.name}" derives from a simple type`
+        );
+      }
+
+      const own = this.compileModelGroup(derivation);
+      if (derivation.localName === 'extension') {
+        // The base content comes first, then what the extension adds
+        particle =
+          base.particle && own
+            ? {
+                kind: 'sequence',
+                min: 1,
+                max: 1,
+                items: [base.particle, own],
+              }
+            : base.particle || own;
+        mixed = mixed || base.content === 'mixed';
+      } else {
+        particle = own;
+      }
+      this.inheritAttributes(type, base, derivation.localName);
+      this.addAttributes(type, derivation);
+    } else {
+      particle = this.compileModelGroup(node);
+      this.addAttributes(type, node);
+    }
+
+    type.particle = particle;
+    type.content = mixed ? 'mixed' : particle ? 'element' : 'empty';
+    return type;
+  }
+
+  /**
+   * Compiles the sequence, choice, all or group reference inside a node
+   * @returns {Object|null} particle
+   */
+  compileModelGroup(node) {
+    const group = getSchemaChildren(node).find((child) =>
+      ['sequence', 'choice', 'all', 'group'].includes(child.localName)
+    );
+    return group ? this.compileParticle(group) : null;
+  }
+
+  compileParticle(node) {
+    const occurs = getOccurs(node);
+
+    switch (node.localName) {
+      case 'element': {
+        const decl = node.hasAttribute('ref')
+          ? this.compileElement(
+              this.requireGlobal('element', node, node.getAttribute('ref'))
+            )
+          : this.compileElement(node);
+        return { kind: 'element', ...occurs, decl };
+      }
+
+      case 'any':
+        return {
+          kind: 'any',
+          ...occurs,
+          wildcard: this.compileWildcard(node),
+        };
+
+      case 'group': {
+        const definition = this.requireGlobal(
+          'group',
+          node,
+          node.getAttribute('ref')
+        );
+        const particle = this.compileModelGroup(definition);
+        if (!particle) {
+          throw new SchemaError(`Group "${node.getAttribute('ref')}" is empty`);
+        }
+        return { ...particle, ...occurs };
+      }
+
+      case 'sequence':
+      case 'choice':
+      case 'all':
+        return {
+          kind: node.localName,
+          ...occurs,
+          items: getSchemaChildren(node)
+            .filter((child) =>
+              ['element', 'any', 'group', 'sequence', 'choice'].includes(
+                child.localName
+              )
+            )
+            .map((child) => this.compileParticle(child)),
+        };
+
+      default:
+        throw new SchemaError(
+          `Unexpected xs:${node.localName} in content model`
+        );
+    }
+  }
+
+  compileWildcard(node) {
+    const namespaces = (node.getAttribute('namespace') || '##any')
+      .trim()
+      .split(/\s+/);
+    return {
+      kind: 'any',
+      process: node.getAttribute('processContents') || 'strict',
+      any: namespaces.includes('##any'),
+      other: namespaces.includes('##other'),
+      targetNamespace: this.targetNamespace,
+      namespaces: namespaces.map((namespace) => {
+        if (namespace === '##targetNamespace') return this.targetNamespace;
+        if (namespace === '##local') return null;
+        return namespace;
+      }),
+    };
+  }
+
+  // Restrictions keep the attributes of the base, but only extensions keep
+  // its attribute wildcard
+  inheritAttributes(type, base, derivation) {
+    base.attributes.forEach((use, name) => type.attributes.set(name, use));
+    if (derivation === 'extension') {
+      type.anyAttribute = base.anyAttribute;
+    }
+  }
+
+  /**
+   * Adds the attribute declarations, attribute group references and
+   * attribute wildcard found in a node
+   */
+  addAttributes(type, node, visitedGroups = new Set()) {
+    getSchemaChildren(node).forEach((child) => {
+      switch (child.localName) {
+        case 'attribute': {
+          const use = this.compileAttributeUse(child);
+          if (use.prohibited) {
+            type.attributes.delete(use.expandedName);
+          } else {
+            type.attributes.set(use.expandedName, use);
+          }
+          break;
+        }
+        case 'attributeGroup': {
+          const group = this.requireGlobal(
+            'attributeGroup',
+            child,
+            child.getAttribute('ref')
+          );
+          if (!visitedGroups.has(group)) {
+            visitedGroups.add(group);
+            this.addAttributes(type, group, visitedGroups);
+          }
+          break;
+        }
+        case 'anyAttribute':
+          type.anyAttribute = this.compileWildcard(child);
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  compileAttributeUse(node) {
+    // A reference takes the name and type of the global declaration
+    const declaration = node.hasAttribute('ref')
+      ? this.requireGlobal('attribute', node, node.getAttribute('ref'))
+      : node;
+    const isGlobal =
+      declaration.parentNode === declaration.ownerDocument.documentElement;
+    const qualified =
+      isGlobal ||
+      (declaration.getAttribute('form') || this.attributeFormDefault) ===
+        'qualified';
+    const name = declaration.getAttribute('name');
+    const use = node.getAttribute('use');
+
+    const fixed = node.hasAttribute('fixed') ? node : declaration;
+    return {
+      name,
+      expandedName: expandedName(qualified ? this.targetNamespace : null, name),
+      declaration,
+      required: use === 'required',
+      prohibited: use === 'prohibited',
+      fixed: fixed.hasAttribute('fixed') ? fixed.getAttribute('fixed') : null,
+      type: null,
+    };
+  }
+
+  getAttributeType(use) {
+    if (use.type) return use.type;
+
+    const node = use.declaration;
+    const inline = getSchemaChildren(node).find(
+      (child) => child.localName === 'simpleType'
+    );
+    if (inline) {
+      use.type = this.compileSimpleType(inline);
+    } else if (node.hasAttribute('type')) {
+      use.type = this.resolveType(node, node.getAttribute('type'));
+    } else {
+      use.type = this.getBuiltinType('anySimpleType');
+    }
+    return use.type;
+  }
+
+  compileSimpleType(node) {
+    if (this.compiled.has(node)) return this.compiled.get(node);
+
+    const derivation = getSchemaChildren(node).find((child) =>
+      ['restriction', 'list', 'union'].includes(child.localName)
+    );
+    if (!derivation) {
+      throw new SchemaError(
+        `Simple type "${node.getAttribute(
+          'name'
+        )}" has no restriction, list or union`
+      );
+    }
+
+    let type;
+    switch (derivation.localName) {
+      case 'restriction':
+        type = this.restrictSimpleType(
+          derivation,
+          this.getSimpleBase(derivation, 'base')
+        );
+        break;
+      case 'list':
+        type = createSimpleType(null, null, 'list');
+        type.itemType = this.getSimpleBase(derivation, 'itemType');
+        break;
+      default: {
+        type = createSimpleType(null, null, 'union');
+        const names = (derivation.getAttribute('memberTypes') || '')
+          .trim()
+          .split(/\s+/)
+          .filter(Boolean);
+        type.memberTypes = [
+          ...names.map((name) => this.resolveType(derivation, name)),
+          ...getSchemaChildren(derivation)
+            .filter((child) => child.localName === 'simpleType')
+            .map((child) => this.compileSimpleType(child)),
+        ];
+      }
+    }
+
+    type.name = node.getAttribute('name');
+    this.compiled.set(node, type);
+    return type;
+  }
+
+  // Base of a restriction or item type of a list: named, or inline
+  getSimpleBase(derivation, attribute) {
+    const type = derivation.hasAttribute(attribute)
+      ? this.resolveType(derivation, derivation.getAttribute(attribute))
+      : getSchemaChildren(derivation)
+          .filter((child) => child.localName === 'simpleType')
+          .map((child) => this.compileSimpleType(child))[0];
+
+    if (!type || type.kind !== 'simple') {
+      throw new SchemaError(
+        `xs:${derivation.localName} needs a simple type as its ${attribute}`
+      );
+    }
+    return type;
+  }
+
+  restrictSimpleType(derivation, base) {
+    const type = createSimpleType(null, base, base.variety);
+    type.itemType = base.itemType;
+    type.memberTypes = base.memberTypes;
+
+    const patterns = [];
+    getSchemaChildren(derivation).forEach((facet) => {
+      const value = facet.getAttribute('value');
+      switch (facet.localName) {
+        case 'enumeration':
+          type.facets.enumeration = type.facets.enumeration || [];
+          type.facets.enumeration.push(value);
+          break;
+        case 'pattern':
+          patterns.push(compilePattern(value));
+          break;
+        case 'length':
+        case 'minLength':
+        case 'maxLength':
+        case 'totalDigits':
+        case 'fractionDigits':
+          type.facets[facet.localName] = Number(value);
+          break;
+        case 'minInclusive':
+        case 'maxInclusive':
+        case 'minExclusive':
+        case 'maxExclusive':
+        case 'whiteSpace':
+          type.facets[facet.localName] = value;
+          break;
+        default:
+          break;
+      }
+    });
+    // Patterns of one step are alternatives; every step must match
+    if (patterns.length > 0) {
+      type.facets.patterns = [patterns];
+    }
+    return type;
+  }
+
+  /**
+   * Checks a value against a simple type
+   * @returns {string|null} what is wrong with it, or null when valid
+   */
+  checkSimpleValue(type, rawValue) {
+    const value = applyWhiteSpace(rawValue, getWhiteSpace(type));
+
+    if (type.variety === 'list') {
+      const items = value === '' ? [] : value.split(' ');
+      for (const item of items) {
+        const problem = this.checkSimpleValue(type.itemType, item);
+        if (problem) return `has an item "${item}" that ${problem}`;
+      }
+      return checkFacetChain(type, value, items.length, null);
+    }
+
+    if (type.variety === 'union') {
+      const members = getUnionMembers(type);
+      if (!members.some((member) => !this.checkSimpleValue(member, value))) {
+        return 'matches none of the member types of the union';
+      }
+      return checkFacetChain(type, value, [...value].length, null);
+    }
+
+    const primitive = getPrimitive(type);
+    const { lexical, valid } = PRIMITIVE_TYPES[primitive];
+    if (!lexical.test(value) || (valid && !valid(value))) {
+      return `is not a valid ${getBuiltinName(type)}`;
+    }
+    return checkFacetChain(
+      type,
+      value,
+      getValueLength(value, primitive),
+      PRIMITIVE_TYPES[primitive].order
+    );
+  }
+}
+
+// The ur-type: any content, any attributes
+const ANY_TYPE = {
+  kind: 'complex',
+  name: 'anyType',
+  content: 'mixed',
+  particle: {
+    kind: 'any',
+    min: 0,
+    max: Infinity,
+    wildcard: { kind: 'any', process: 'lax', any: true, namespaces: [] },
+  },
+  simpleType: null,
+  attributes: new Map(),
+  anyAttribute: { kind: 'any', process: 'lax', any: true, namespaces: [] },
+};
+
+function createSimpleType(name, base, variety) {
+  return {
+    kind: 'simple',
+    name,
+    base,
+    builtin: null,
+    variety,
+    itemType: null,
+    memberTypes: null,
+    facets: {},
+  };
+}
+
+function expandedName(namespace, localName) {
+  return `{${namespace || ''}}${localName}`;
+}
+
+function splitExpandedName(name) {
+  const end = name.indexOf('}');
+  return {
+    namespace: name.slice(1, end) || null,
+    localName: name.slice(end + 1),
+  };
+}
+
+// Schema elements of a node, without annotations
+function getSchemaChildren(node) {
+  const children = [];
+  for (let child = node.firstChild; child; child = child.nextSibling) {
+    if (
+      child.nodeType === 1 &&
+      child.namespaceURI === XS_NS &&
+      child.localName !== 'annotation'
+    ) {
+      children.push(child);
+    }
+  }
+  return children;
+}
+
+function getDerivation(content) {
+  const derivation = getSchemaChildren(content).find(
+    (child) =>
+      child.localName === 'extension' || child.localName === 'restriction'
+  );
+  if (!derivation) {
+    throw new SchemaError(
+      `xs:${content.localName} needs an xs:extension or xs:restriction`
+    );
+  }
+  return derivation;
+}
+
+function getOccurs(node) {
+  const max = node.getAttribute('maxOccurs');
+  return {
+    min: node.hasAttribute('minOccurs')
+      ? Number(node.getAttribute('minOccurs'))
+      : 1,
+    max:
+      max === 'unbounded'
+        ? Infinity
+        : max === null || max === ''
+        ? 1
+        : Number(max),
+  };
+}
+
+function getChildElements(element) {
+  const children = [];
+  for (let child = element.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === 1) children.push(child);
+  }
+  return children;
+}
+
+function hasText(element) {
+  for (let child = element.firstChild; child; child = child.nextSibling) {
+    if (
+      (child.nodeType === 3 || child.nodeType === 4) &&
+      child.nodeValue.trim() !== ''
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function wildcardAllows(wildcard, namespace) {
+  if (wildcard.any) return true;
+  // ##other: any namespace except the target one, but not unqualified names
+  if (wildcard.other) {
+    return namespace !== null && namespace !== wildcard.targetNamespace;
+  }
+  return wildcard.namespaces.includes(namespace || null);
+}
+
+// The furthest position the children could not be matched at, with the
+// particles that were expected there
+function recordFailure(match, position, expected) {
+  if (position > match.failPosition) {
+    match.failPosition = position;
+    match.expected = new Set();
+  }
+  if (position === match.failPosition) {
+    match.expected.add(expected);
+  }
+}
+
+function formatExpected(match, position) {
+  if (position !== match.failPosition || match.expected.size === 0) {
+    return '';
+  }
+  const names = [...match.expected];
+  return names.length === 1 ? names[0] : `one of ${names.join(', ')}`;
+}
+
+/**
+ * Location of an element as an absolute path with positions, such as
+ * /catalog/book[2]/title
+ * @param {Element} element
+ * @returns {string}
+ */
+export function getElementPath(element) {
+  const steps = [];
+  for (
+    let node = element;
+    node && node.nodeType === 1;
+    node = node.parentNode
+  ) {
+    let position = 1;
+    let count = 0;
+    const parent = node.parentNode;
+    for (
+      let sibling = parent.firstChild;
+      sibling;
+      sibling = sibling.nextSibling
+    ) {
+      if (sibling.nodeType === 1 && sibling.tagName === node.tagName) {
+        count++;
+        if (sibling === node) position = count;
+      }
+    }
+    steps.unshift(count > 1 ? `${node.tagName}[${position}]` : node.tagName);
+  }
+  return '/' + steps.join('/');
+}
+
+// Walks up to the built-in type a type derives from
+function getBuiltinName(type) {
+  for (let current = type; current; current = current.base) {
+    if (current.builtin) return current.builtin;
+  }
+  return null;
+}
+
+function getPrimitive(type) {
+  let current = type;
+  while (current.base) current = current.base;
+  return current.builtin in PRIMITIVE_TYPES ? current.builtin : 'anySimpleType';
+}
+
+function getUnionMembers(type) {
+  for (let current = type; current; current = current.base) {
+    if (current.memberTypes) return current.memberTypes;
+  }
+  return [];
+}
+
+function getWhiteSpace(type) {
+  if (type.variety !== 'atomic') return 'collapse';
+  for (let current = type; current; current = current.base) {
+    if (current.facets.whiteSpace) return current.facets.whiteSpace;
+  }
+  return PRIMITIVE_TYPES[getPrimitive(type)].whiteSpace || 'collapse';
+}
+
+function applyWhiteSpace(value, whiteSpace) {
+  if (whiteSpace === 'preserve') return value;
+  const replaced = value.replace(/[\t\n\r]/g, ' ');
+  return whiteSpace === 'replace' ? replaced : collapseWhiteSpace(replaced);
+}
+
+function collapseWhiteSpace(value) {
+  return value.replace(/[ \t\n\r]+/g, ' ').trim();
+}
+
+// Length in the unit the length facets count for the type
+function getValueLength(value, primitive) {
+  if (primitive === 'hexBinary') return value.length / 2;
+  if (primitive === 'base64Binary') {
+    const data = value.replace(/[\s=]/g, '');
+    return Math.floor((data.length * 3) / 4);
+  }
+  return [...value].length;
+}
+
+/**
+ * Applies the facets of a type and the types it derives from
+ * @returns {string|null} problem description
+ */
+function checkFacetChain(type, value, length, order) {
+  for (let current = type; current; current = current.base) {
+    // Patterns of built-in types are part of their lexical form
+    if (
+      current.builtin &&
+      current.facets.patterns &&
+      !matchesPatterns(current.facets.patterns, value)
+    ) {
+      return `is not a valid ${getBuiltinName(type)}`;
+    }
+    const problem = checkFacets(current.facets, value, length, order);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+function checkFacets(facets, value, length, order) {
+  if (facets.enumeration && !facets.enumeration.includes(value)) {
+    return `is not one of ${facets.enumeration
+      .map((item) => `"${item}"`)
+      .join(', ')}`;
+  }
+  if (facets.patterns) {
+    for (const alternatives of facets.patterns) {
+      if (!matchesPatterns([alternatives], value)) {
+        return `does not match the pattern ${alternatives
+          .map((pattern) => pattern.xsdSource || pattern.source)
+          .join(' | ')}`;
+      }
+    }
+  }
+  if (facets.length !== undefined && length !== facets.length) {
+    return `must have a length of ${facets.length}`;
+  }
+  if (facets.minLength !== undefined && length < facets.minLength) {
+    return `must have a length of at least ${facets.minLength}`;
+  }
+  if (facets.maxLength !== undefined && length > facets.maxLength) {
+    return `must have a length of at most ${facets.maxLength}`;
+  }
+
+  if (order) {
+    const bounds = [
+      ['minInclusive', (c) => c >= 0, 'at least'],
+      ['maxInclusive', (c) => c <= 0, 'at most'],
+      ['minExclusive', (c) => c > 0, 'greater than'],
+      ['maxExclusive', (c) => c < 0, 'less than'],
+    ];
+    for (const [facet, accepts, words] of bounds) {
+      if (
+        facets[facet] !== undefined &&
+        !accepts(compareValues(value, facets[facet], order))
+      ) {
+        return `must be ${words} ${facets[facet]}`;
+      }
+    }
+  }
+
+  if (facets.totalDigits !== undefined || facets.fractionDigits !== undefined) {
+    const [whole, fraction = ''] = value.replace(/^[+-]/, '').split('.');
+    const fractionDigits = fraction.replace(/0+$/, '').length;
+    const totalDigits = whole.replace(/^0+/, '').length + fractionDigits || 1;
+    if (facets.totalDigits !== undefined && totalDigits > facets.totalDigits) {
+      return `must have at most ${facets.totalDigits} digits`;
+    }
+    if (
+      facets.fractionDigits !== undefined &&
+      fractionDigits > facets.fractionDigits
+    ) {
+      return `must have at most ${facets.fractionDigits} fraction digits`;
+    }
+  }
+  return null;
+}
+
+// Every step of patterns has an alternative that matches
+function matchesPatterns(patterns, value) {
+  return patterns.every((alternatives) =>
+    alternatives.some((pattern) => pattern.test(value))
+  );
+}
+
+function compareValues(a, b, order) {
+  if (order === 'number') {
+    // Integers can be longer than a double keeps exactly
+    if (/^[+-]?\d+$/.test(a) && /^[+-]?\d+$/.test(b)) {
+      const difference = BigInt(a) - BigInt(b);
+      return difference > 0n ? 1 : difference < 0n ? -1 : 0;
+    }
+    return Math.sign(parseXsdNumber(a) - parseXsdNumber(b));
+  }
+  if (order === 'time') {
+    // Whole seconds can be out of the range of a double, fractions can't
+    const timeA = parseDateTime(a);
+    const timeB = parseDateTime(b);
+    // A malformed facet value accepts nothing, like NaN for numbers
+    if (!timeA || !timeB) return NaN;
+    const [secondsA, fractionA] = timeA;
+    const [secondsB, fractionB] = timeB;
+    if (secondsA !== secondsB) return secondsA > secondsB ? 1 : -1;
+    return Math.sign(fractionA - fractionB);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Reads a value of a date or time type as a point in time. Values without
+ * a timezone are taken as UTC, and the fields a type leaves out as those of
+ * January 1 1972.
+ * @param {string} value
+ * @returns {Array|null} [whole seconds since 1970 (BigInt), fraction of a
+ *   second], null when value is not a date or time
+ */
+function parseDateTime(value) {
+  const fields = readDateTimeFields(value.trim());
+  if (!fields) return null;
+  const { zone } = fields;
+
+  const year = fields.year ? BigInt(fields.year) : REFERENCE_YEAR;
+  const days = daysFromCivil(
+    year,
+    Number(fields.month || 1),
+    Number(fields.day || 1)
+  );
+  const second = Number(fields.second || 0);
+  let seconds =
+    Number(fields.hour || 0) * 3600 +
+    Number(fields.minute || 0) * 60 +
+    Math.floor(second);
+  if (zone && zone[1] !== 'Z') {
+    const offset = Number(zone[3]) * 3600 + Number(zone[4]) * 60;
+    seconds -= zone[2] === '+' ? offset : -offset;
+  }
+  return [days * 86400n + BigInt(seconds), second - Math.floor(second)];
+}
+
+// Days from 1970-01-01 to a date of the proleptic Gregorian calendar, where
+// year 0 is 1 BC (H. Hinnant's days_from_civil)
+function daysFromCivil(year, month, day) {
+  const y = month <= 2 ? year - 1n : year;
+  const era = (y >= 0n ? y : y - 399n) / 400n;
+  const yearOfEra = Number(y - era * 400n);
+  const dayOfYear =
+    Math.floor((153 * (month + (month > 2 ? -3 : 9)) + 2) / 5) + day - 1;
+  const dayOfEra =
+    yearOfEra * 365 +
+    Math.floor(yearOfEra / 4) -
+    Math.floor(yearOfEra / 100) +
+    dayOfYear;
+  return era * 146097n + BigInt(dayOfEra) - 719468n;
+}
+
+// Fields of DATE_TIME_FIELDS, and the timezone match as zone
+function readDateTimeFields(value) {
+  const zone = TIMEZONE_SUFFIX.exec(value);
+  const match = DATE_TIME_FIELDS.exec(
+    zone ? value.slice(0, zone.index) : value
+  );
+  return match && { ...match.groups, zone };
+}
+
+// The lexical forms allow day 31 in any month
+function hasValidDay(value) {
+  const { year, month, day } = readDateTimeFields(value);
+  return (
+    Number(day) <=
+    getDaysInMonth(year ? BigInt(year) : REFERENCE_YEAR, Number(month))
+  );
+}
+
+function getDaysInMonth(year, month) {
+  if (month === 2) {
+    const leap = year % 4n === 0n && (year % 100n !== 0n || year % 400n === 0n);
+    return leap ? 29 : 28;
+  }
+  return [4, 6, 9, 11].includes(month) ? 30 : 31;
+}
+
+function parseXsdNumber(value) {
+  if (value === 'INF' || value === '+INF') return Infinity;
+  if (value === '-INF') return -Infinity;
+  return Number(value);
+}
+
+/**
+ * Converts a schema regular expression into a JavaScript one. Schema
+ * patterns are implicitly anchored, know the \i and \c escapes, and treat
+ * ^ and $ as plain characters.
+ * @param {string} pattern
+ * @returns {RegExp}
+ * @throws {SchemaError} when the pattern uses an unsupported construct
+ */
+function compilePattern(pattern) {
+  let source = '';
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      const next = pattern[++i];
+      if (next === 'i' || next === 'c') {
+        const chars = next === 'i' ? NAME_START_CHARS : NAME_CHARS;
+        source += inClass ? chars : `[${chars}]`;
+      } else if (next === 'I' || next === 'C') {
+        if (inClass) {
+          throw new SchemaError(
+            `Pattern "${pattern}": \\${next} inside a character class is not supported`
+          );
+        }
+        source += `[^${next === 'I' ? NAME_START_CHARS : NAME_CHARS}]`;
+      } else if (next === '-' && !inClass) {
+        source += '-';
+      } else if (next === 'p' || next === 'P') {
+        // Unicode blocks (\p{IsBasicLatin}) have no JavaScript equivalent
+        const end = pattern.indexOf('}', i);
+        const property = pattern.slice(i + 2, end);
+        if (property.startsWith('Is')) {
+          throw new SchemaError(
+            `Pattern "${pattern}": Unicode block escapes are not supported`
+          );
+        }
+        source += `\\${next}{${property}}`;
+        i = end;
+      } else {
+        source += `\\${next}`;
+      }
+    } else if (char === '[') {
+      if (inClass) {
+        // Character class subtraction, e.g. [a-z-[aeiou]]
+        throw new SchemaError(
+          `Pattern "${pattern}": character class subtraction is not supported`
+        );
+      }
+      inClass = true;
+      source += char;
+    } else if (char === ']') {
+      inClass = false;
+      source += char;
+    } else if (
+      (char === '^' && !(inClass && pattern[i - 1] === '[')) ||
+      char === '$'
+    ) {
+      source += inClass ? char : `\\${char}`;
+    } else {
+      source += char;
+    }
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(`^(?:${source})$`, 'u');
+  } catch (error) {
+    throw new SchemaError(
+      `Pattern "${pattern}" is not supported: ${error.message}`
+    );
+  }
+  regex.xsdSource = pattern;
+  return regex;
+}
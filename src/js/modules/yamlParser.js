@@ -0,0 +1,657 @@
+// YAML parser for the subset configuration files and API payloads use:
+// block mappings and sequences, flow collections, plain, quoted and block
+// scalars, and comments. Anchors, aliases, tags and multi-document streams
+// are rejected with an error rather than read wrongly. Works without the DOM,
+// so it can run in the parse worker.
+
+import { getLineColumn } from './xmlParser.js';
+
+/**
+ * Error thrown for malformed or unsupported YAML, with the position of the
+ * problem
+ */
+export class YamlParseError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} text - the whole document
+   * @param {number} offset - character offset of the problem
+   */
+  constructor(message, text, offset) {
+    const { line, column } = getLineColumn(text, offset);
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'YamlParseError';
+    this.reason = message;
+    this.offset = offset;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+const BLOCK_SCALAR_HEADER = /^([|>])([+-]?)(\d?)([+-]?)$/;
+const FLOW_INDICATORS = ',[]{}';
+
+// Escapes of double-quoted scalars that are a single character
+const ESCAPES = {
+  0: '\0',
+  a: '\x07',
+  b: '\b',
+  t: '\t',
+  '\t': '\t',
+  n: '\n',
+  v: '\v',
+  f: '\f',
+  r: '\r',
+  e: '\x1b',
+  ' ': ' ',
+  '"': '"',
+  '/': '/',
+  '\\': '\\',
+  N: '\x85',
+  _: '\xa0',
+  L: '\u2028',
+  P: '\u2029',
+};
+
+/**
+ * Parses a YAML document into plain values
+ * @param {string} text
+ * @returns {*} object, array, string, number, boolean or null
+ * @throws {YamlParseError} when the document is malformed or uses
+ *   unsupported features
+ */
+export function parseYaml(text) {
+  const lines = splitLines(text);
+  let index = 0;
+
+  const fail = (message, offset) => {
+    throw new YamlParseError(message, text, offset);
+  };
+
+  // Next line with content, skipping blank and comment-only lines
+  const peek = () => {
+    while (index < lines.length && lines[index].content === '') {
+      index++;
+    }
+    return index < lines.length ? lines[index] : null;
+  };
+
+  // Moves past the lines a scan that ended at offset has consumed
+  const skipTo = (offset) => {
+    while (index < lines.length && lines[index].end < offset) {
+      index++;
+    }
+    const line = lines[index];
+    if (line) {
+      const rest = stripComment(text.slice(offset, line.end)).trim();
+      if (rest !== '') {
+        fail('Unexpected content after value', offset);
+      }
+      index++;
+    }
+  };
+
+  const parseBlock = (parentIndent) => {
+    const line = peek();
+    if (!line || line.indent <= parentIndent || isDocumentMarker(line)) {
+      return null;
+    }
+
+    if (isSequenceItem(line.content)) return parseSequence(line.indent);
+    if (findMappingColon(line.content) !== -1) {
+      return parseMapping(line.indent);
+    }
+    return parseValue(line.content, line.start + line.indent, parentIndent);
+  };
+
+  const parseSequence = (indent) => {
+    const result = [];
+    let line = peek();
+
+    while (
+      line &&
+      line.indent === indent &&
+      isSequenceItem(line.content) &&
+      !isDocumentMarker(line)
+    ) {
+      const rest = line.content.slice(1).trimStart();
+      if (rest === '') {
+        index++;
+        result.push(parseBlock(indent));
+      } else {
+        // The item starts on the dash line: read it as a line of its own,
+        // indented to where it starts, so "- a: 1" continues with "  b: 2"
+        const itemIndent = indent + line.content.length - rest.length;
+        lines[index] = { ...line, indent: itemIndent, content: rest };
+        result.push(parseBlock(indent));
+      }
+      line = peek();
+    }
+
+    if (line && line.indent > indent) {
+      fail('Bad indentation of a sequence entry', line.start + line.indent);
+    }
+    return result;
+  };
+
+  const parseMapping = (indent) => {
+    const result = {};
+    let line = peek();
+
+    while (line && line.indent === indent && !isDocumentMarker(line)) {
+      const colon = findMappingColon(line.content);
+      if (colon === -1 || isSequenceItem(line.content)) {
+        fail('Expected a mapping key', line.start + line.indent);
+      }
+
+      const keyOffset = line.start + line.indent;
+      const key = parseKey(line.content.slice(0, colon).trim(), keyOffset);
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        fail(`Duplicate key "${key}"`, keyOffset);
+      }
+
+      const afterColon = line.content.slice(colon + 1);
+      const rest = afterColon.trim();
+      let value;
+      if (rest === '') {
+        index++;
+        // A sequence may sit at the same indentation as its key
+        const next = peek();
+        value =
+          next && next.indent === indent && isSequenceItem(next.content)
+            ? parseSequence(indent)
+            : parseBlock(indent);
+      } else {
+        const valueOffset =
+          keyOffset +
+          colon +
+          1 +
+          afterColon.length -
+          afterColon.trimStart().length;
+        value = parseValue(rest, valueOffset, indent);
+      }
+
+      // Defined rather than assigned, so a "__proto__" key stays a key
+      Object.defineProperty(result, key, {
+        value,
+        enumerable: true,
+        writable: true,
+        configurable: true,
+      });
+      line = peek();
+    }
+
+    if (line && line.indent > indent) {
+      fail('Bad indentation of a mapping entry', line.start + line.indent);
+    }
+    return result;
+  };
+
+  // Value that starts on the current line, after a key, a dash or nothing
+  const parseValue = (content, offset, parentIndent) => {
+    const first = content[0];
+
+    if (first === '&' || first === '*') {
+      fail('Anchors and aliases are not supported', offset);
+    }
+    if (first === '!') {
+      fail('Tags are not supported', offset);
+    }
+
+    if (BLOCK_SCALAR_HEADER.test(content)) {
+      index++;
+      return parseBlockScalar(content, parentIndent);
+    }
+
+    if (first === '"' || first === "'" || first === '[' || first === '{') {
+      const { value, end } = parseFlowValue(offset);
+      skipTo(end);
+      return value;
+    }
+
+    // Plain scalars continue on more indented lines, folded with spaces
+    let value = content;
+    let breaks = 0;
+    index++;
+    while (index < lines.length) {
+      const line = lines[index];
+      if (line.content === '') {
+        if (line.raw.trim() !== '') break; // Comment line
+        breaks++;
+        index++;
+        continue;
+      }
+      if (line.indent <= parentIndent || isStructural(line.content)) break;
+      value += breaks > 0 ? '\n'.repeat(breaks) : ' ';
+      value += line.content;
+      breaks = 0;
+      index++;
+    }
+    return resolvePlainScalar(value);
+  };
+
+  const parseBlockScalar = (header, parentIndent) => {
+    const [, style, chompBefore, explicitIndent, chompAfter] =
+      BLOCK_SCALAR_HEADER.exec(header);
+    const chomping = chompBefore || chompAfter;
+
+    let contentIndent = explicitIndent
+      ? Math.max(parentIndent, 0) + Number(explicitIndent)
+      : -1;
+    const body = [];
+    while (index < lines.length) {
+      const line = lines[index];
+      const blank = line.raw.trim() === '';
+      if (!blank) {
+        const indent = line.raw.length - line.raw.trimStart().length;
+        if (contentIndent === -1) {
+          if (indent <= parentIndent) break;
+          contentIndent = indent;
+        }
+        if (indent < contentIndent) break;
+      }
+      body.push(blank ? '' : line.raw.slice(contentIndent));
+      index++;
+    }
+
+    // Trailing blank lines only matter for "keep" chomping
+    let trailing = 0;
+    while (body.length > 0 && body[body.length - 1] === '') {
+      body.pop();
+      trailing++;
+    }
+
+    let value = style === '|' ? body.join('\n') : foldLines(body);
+    if (chomping === '+') {
+      value += '\n'.repeat(trailing + (body.length > 0 ? 1 : 0));
+    } else if (chomping !== '-' && body.length > 0) {
+      value += '\n';
+    }
+    return value;
+  };
+
+  /**
+   * Reads a quoted scalar or flow collection starting at offset
+   * @returns {{value: *, end: number}} end is the offset after the value
+   */
+  const parseFlowValue = (offset) => {
+    let pos = offset;
+
+    const skipSpace = () => {
+      for (;;) {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+        if (text[pos] !== '#') return;
+        while (pos < text.length && text[pos] !== '\n') pos++;
+      }
+    };
+
+    const readValue = () => {
+      skipSpace();
+      const char = text[pos];
+      if (char === '"') return readDoubleQuoted();
+      if (char === "'") return readSingleQuoted();
+      if (char === '[') return readSequence();
+      if (char === '{') return readMapping();
+      if (char === '&' || char === '*') {
+        fail('Anchors and aliases are not supported', pos);
+      }
+      if (char === '!') fail('Tags are not supported', pos);
+      return resolvePlainScalar(readPlain());
+    };
+
+    const readPlain = () => {
+      const start = pos;
+      while (pos < text.length) {
+        const char = text[pos];
+        if (FLOW_INDICATORS.includes(char)) break;
+        if (char === ':' && /[\s,[\]{}]/.test(text[pos + 1] || ' ')) break;
+        if (char === '#' && /\s/.test(text[pos - 1])) break;
+        pos++;
+      }
+      return text
+        .slice(start, pos)
+        .trim()
+        .replace(/\s*\n\s*/g, ' ');
+    };
+
+    const readSequence = () => {
+      const result = [];
+      pos++;
+      skipSpace();
+      while (text[pos] !== ']') {
+        if (pos >= text.length) fail('Unterminated flow sequence', offset);
+        result.push(readValue());
+        skipSpace();
+        if (text[pos] === ',') {
+          pos++;
+          skipSpace();
+        } else if (text[pos] !== ']') {
+          fail('Expected "," or "]" in flow sequence', pos);
+        }
+      }
+      pos++;
+      return result;
+    };
+
+    const readMapping = () => {
+      const result = {};
+      pos++;
+      skipSpace();
+      while (text[pos] !== '}') {
+        if (pos >= text.length) fail('Unterminated flow mapping', offset);
+        const keyOffset = pos;
+        const key = String(readValue());
+        skipSpace();
+
+        let value = null;
+        if (text[pos] === ':') {
+          pos++;
+          skipSpace();
+          value = text[pos] === ',' || text[pos] === '}' ? null : readValue();
+          skipSpace();
+        }
+        if (Object.prototype.hasOwnProperty.call(result, key)) {
+          fail(`Duplicate key "${key}"`, keyOffset);
+        }
+        Object.defineProperty(result, key, {
+          value,
+          enumerable: true,
+          writable: true,
+          configurable: true,
+        });
+
+        if (text[pos] === ',') {
+          pos++;
+          skipSpace();
+        } else if (text[pos] !== '}') {
+          fail('Expected "," or "}" in flow mapping', pos);
+        }
+      }
+      pos++;
+      return result;
+    };
+
+    const readDoubleQuoted = () => {
+      const start = pos;
+      let value = '';
+      pos++;
+      for (;;) {
+        if (pos >= text.length)
+          fail('Unterminated double-quoted string', start);
+        const char = text[pos];
+        if (char === '"') {
+          pos++;
+          return value;
+        }
+
+        if (char === '\\') {
+          const escape = text[pos + 1];
+          if (escape === '\n' || escape === '\r') {
+            // Escaped line break: the string continues on the next line
+            pos += escape === '\r' && text[pos + 2] === '\n' ? 3 : 2;
+            while (text[pos] === ' ' || text[pos] === '\t') pos++;
+            continue;
+          }
+          const hexLength = { x: 2, u: 4, U: 8 }[escape];
+          if (hexLength) {
+            const hex = text.slice(pos + 2, pos + 2 + hexLength);
+            if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== hexLength) {
+              fail('Invalid escape sequence', pos);
+            }
+            value += String.fromCodePoint(parseInt(hex, 16));
+            pos += 2 + hexLength;
+            continue;
+          }
+          if (!(escape in ESCAPES)) fail('Invalid escape sequence', pos);
+          value += ESCAPES[escape];
+          pos += 2;
+          continue;
+        }
+
+        if (char === '\n' || char === '\r') {
+          value = value.replace(/[ \t]+$/, '') + readLineFolding();
+          continue;
+        }
+        value += char;
+        pos++;
+      }
+    };
+
+    const readSingleQuoted = () => {
+      const start = pos;
+      let value = '';
+      pos++;
+      for (;;) {
+        if (pos >= text.length)
+          fail('Unterminated single-quoted string', start);
+        const char = text[pos];
+        if (char === "'") {
+          if (text[pos + 1] === "'") {
+            value += "'";
+            pos += 2;
+            continue;
+          }
+          pos++;
+          return value;
+        }
+        if (char === '\n' || char === '\r') {
+          value = value.replace(/[ \t]+$/, '') + readLineFolding();
+          continue;
+        }
+        value += char;
+        pos++;
+      }
+    };
+
+    // A line break inside quotes is a space; each empty line after it is a
+    // newline
+    const readLineFolding = () => {
+      let breaks = 0;
+      while (pos < text.length && /\s/.test(text[pos])) {
+        if (text[pos] === '\n') breaks++;
+        pos++;
+      }
+      return breaks > 1 ? '\n'.repeat(breaks - 1) : ' ';
+    };
+
+    const value = readValue();
+    return { value, end: pos };
+  };
+
+  const parseKey = (raw, offset) => {
+    if (raw.startsWith('? ') || raw === '?') {
+      fail('Complex mapping keys are not supported', offset);
+    }
+    if (raw[0] === '&' || raw[0] === '*') {
+      fail('Anchors and aliases are not supported', offset);
+    }
+    if (raw[0] === '"' || raw[0] === "'") {
+      const { value } = parseFlowValue(offset);
+      return value;
+    }
+    return raw;
+  };
+
+  // Directives and the document start marker come first
+  let line = peek();
+  while (line && line.content.startsWith('%')) {
+    index++;
+    line = peek();
+  }
+  if (line && line.content === '---') {
+    index++;
+  } else if (line && line.content.startsWith('--- ')) {
+    const rest = line.content.slice(4).trimStart();
+    lines[index] = {
+      ...line,
+      indent: line.indent + line.content.length - rest.length,
+      content: rest,
+    };
+  }
+
+  const value = parseBlock(-1);
+
+  line = peek();
+  if (line && line.content === '...') {
+    index++;
+    line = peek();
+  }
+  if (line) {
+    fail(
+      line.content.startsWith('---')
+        ? 'Multiple documents are not supported'
+        : 'Unexpected content',
+      line.start + line.indent
+    );
+  }
+  return value;
+}
+
+/**
+ * Splits the text into lines with their indentation and their content
+ * without comments
+ * @returns {Object[]} { start, end, indent, content, raw }
+ */
+function splitLines(text) {
+  const lines = [];
+  let start = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  while (start <= text.length) {
+    let end = text.indexOf('\n', start);
+    if (end === -1) end = text.length;
+    const raw = text.slice(start, end).replace(/\r$/, '');
+
+    const indent = raw.length - raw.replace(/^ +/, '').length;
+    if (raw[indent] === '\t' && raw.trim() !== '') {
+      throw new YamlParseError(
+        'Tabs are not allowed for indentation',
+        text,
+        start + indent
+      );
+    }
+
+    lines.push({
+      start,
+      end,
+      indent,
+      content: stripComment(raw.slice(indent)).trimEnd(),
+      raw,
+    });
+    start = end + 1;
+  }
+  return lines;
+}
+
+// Drops a "#" comment that is not inside quotes
+function stripComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      // Quotes only open a scalar at the start of a token
+      if (i === 0 || /[\s:[{,-]/.test(line[i - 1])) quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+// "---" starts a document and "..." ends one
+function isDocumentMarker(line) {
+  return (
+    line.indent === 0 &&
+    (line.content === '...' ||
+      line.content === '---' ||
+      line.content.startsWith('--- '))
+  );
+}
+
+function isSequenceItem(content) {
+  return content === '-' || content.startsWith('- ');
+}
+
+// Lines that start a new node instead of continuing a plain scalar
+function isStructural(content) {
+  return isSequenceItem(content) || findMappingColon(content) !== -1;
+}
+
+/**
+ * Finds the colon that ends a block mapping key: followed by a space or
+ * the end of the line, outside quotes and flow collections
+ * @returns {number} -1 when the line is not a key
+ */
+function findMappingColon(content) {
+  const first = content[0];
+  if (first === '[' || first === '{') return -1;
+
+  let quote = null;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quote) {
+      if (char === quote) quote = null;
+      continue;
+    }
+    if (i === 0 && (char === '"' || char === "'")) {
+      quote = char;
+    } else if (
+      char === ':' &&
+      (i + 1 === content.length || /\s/.test(content[i + 1]))
+    ) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Folded block scalar: single line breaks become spaces, except around
+// more indented lines
+function foldLines(lines) {
+  let value = '';
+  let breaks = 0;
+  let previousIndented = false;
+
+  lines.forEach((line, i) => {
+    if (line === '') {
+      breaks++;
+      return;
+    }
+    const indented = /^\s/.test(line);
+    if (i > 0 && value !== '') {
+      if (breaks > 0) {
+        value += '\n'.repeat(
+          indented || previousIndented ? breaks + 1 : breaks
+        );
+      } else {
+        value += indented || previousIndented ? '\n' : ' ';
+      }
+    } else {
+      value += '\n'.repeat(breaks);
+    }
+    value += line;
+    breaks = 0;
+    previousIndented = indented;
+  });
+  return value;
+}
+
+// Types of plain scalars, as in the YAML 1.2 core schema
+function resolvePlainScalar(value) {
+  if (value === '' || value === '~' || /^(null|Null|NULL)$/.test(value)) {
+    return null;
+  }
+  if (/^(true|True|TRUE)$/.test(value)) return true;
+  if (/^(false|False|FALSE)$/.test(value)) return false;
+  if (/^[-+]?\d+$/.test(value)) return Number(value);
+  if (/^0x[0-9a-fA-F]+$/.test(value)) return parseInt(value.slice(2), 16);
+  if (/^0o[0-7]+$/.test(value)) return parseInt(value.slice(2), 8);
+  if (/^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(value)) {
+    return value[0] === '-' ? -Infinity : Infinity;
+  }
+  if (/^\.(nan|NaN|NAN)$/.test(value)) return NaN;
+  return value;
+}
@@ -0,0 +1,404 @@
+// Canvas 2D renderer for trees too large for one DOM element per node. The
+// whole view is redrawn on every pan or zoom, and clicks are hit-tested
+// against the layout instead of DOM targets.
+
+import {
+  Renderer,
+  getAttributeRowChars,
+  truncateRow,
+  getValidationBadgeLabel,
+} from './renderer.js';
+import {
+  getAttributeRows,
+  getAttributeRowStatuses,
+  getConnectorPoints,
+} from '../modules/layout.js';
+import {
+  resolveNodeStyle,
+  getAttributeColor,
+  CONNECTOR_COLOR,
+  SEPARATOR_COLOR,
+  INDICATOR_COLOR,
+  VALIDATION_BADGE_COLOR,
+} from './nodeStyles.js';
+
+// Below this on-screen node height labels are unreadable, so only boxes are drawn
+const MIN_TEXT_HEIGHT = 8;
+
+/**
+ * Draws the tree on a canvas that fills the tree container. Cheap for any
+ * number of nodes in view, at the cost of CSS styling and per-node DOM
+ * events.
+ */
+export class CanvasRenderer extends Renderer {
+  constructor(visualizer) {
+    super(visualizer);
+    this.context = null;
+    this.hoveredNode = null;
+  }
+
+  mount(container) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'tree-canvas';
+    this.element = canvas;
+    this.context = canvas.getContext('2d');
+
+    canvas.addEventListener('click', (e) => {
+      const hit = this.hitTest(e);
+      if (!hit) return;
+      e.stopPropagation();
+      this.visualizer.handleNodeClick(hit.node, hit.part, e);
+    });
+
+    canvas.addEventListener('dblclick', (e) => {
+      const hit = this.hitTest(e);
+      if (!hit) return;
+      e.stopPropagation();
+      this.visualizer.handleNodeDoubleClick(hit.node);
+    });
+
+    // Pointer cursor over nodes, like the SVG groups
+    canvas.addEventListener('mousemove', (e) => {
+      if (this.visualizer.isDragging) return;
+      const hit = this.hitTest(e);
+      const node = hit ? hit.node : null;
+      if (node !== this.hoveredNode) {
+        this.hoveredNode = node;
+        canvas.classList.toggle('over-node', Boolean(node));
+      }
+    });
+
+    container.appendChild(canvas);
+  }
+
+  render() {
+    this.draw();
+  }
+
+  // Drawing waits for the viewport update the visualizer schedules after
+  // every transform change
+  applyTransform() {}
+
+  updateViewport() {
+    this.draw();
+  }
+
+  refreshNodeStates() {
+    this.draw();
+  }
+
+  nodeAtEvent(event) {
+    const hit = this.hitTest(event);
+    return hit ? hit.node : null;
+  }
+
+  destroy() {
+    this.context = null;
+    this.hoveredNode = null;
+    super.destroy();
+  }
+
+  /**
+   * Linear map from layout coordinates to container pixels: the viewBox
+   * fit followed by the pan and zoom (origin at the container center)
+   * @returns {Object|null} { width, height, scale, x, y }, null while the
+   *   container has no size
+   */
+  getScreenTransform() {
+    const viz = this.visualizer;
+    const fit = viz.getViewBoxFit();
+    if (!fit) return null;
+
+    const { containerRect, viewX, viewY, scale, offsetX, offsetY } = fit;
+    const centerX = containerRect.width / 2;
+    const centerY = containerRect.height / 2;
+    const zoom = viz.currentZoom;
+
+    return {
+      width: containerRect.width,
+      height: containerRect.height,
+      scale: zoom * scale,
+      x: centerX + viz.panOffsetX + zoom * (offsetX - viewX * scale - centerX),
+      y: centerY + viz.panOffsetY + zoom * (offsetY - viewY * scale - centerY),
+    };
+  }
+
+  draw() {
+    const canvas = this.element;
+    const ctx = this.context;
+    if (!canvas || !ctx) return;
+
+    const transform = this.getScreenTransform();
+    if (!transform) return;
+
+    // Backing store in device pixels so text stays sharp on HiDPI screens
+    const ratio = window.devicePixelRatio || 1;
+    const pixelWidth = Math.round(transform.width * ratio);
+    const pixelHeight = Math.round(transform.height * ratio);
+    if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+      canvas.width = pixelWidth;
+      canvas.height = pixelHeight;
+    }
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(
+      ratio * transform.scale,
+      0,
+      0,
+      ratio * transform.scale,
+      ratio * transform.x,
+      ratio * transform.y
+    );
+
+    const viz = this.visualizer;
+    this.drawScene(
+      ctx,
+      {
+        nodes: viz.layoutNodes,
+        edges: viz.layoutEdges,
+        collapsedNodes: viz.collapsedNodes,
+        layoutMode: viz.layoutMode,
+        showStates: true,
+      },
+      viz.getVisibleTreeBounds(0),
+      viz.nodeHeight * transform.scale >= MIN_TEXT_HEIGHT
+    );
+  }
+
+  /**
+   * Draws the connectors and nodes of a scene that cut a region; the
+   * context transform maps layout coordinates to the target
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Object} scene - { nodes, edges, collapsedNodes, layoutMode,
+   *   showStates }
+   * @param {Object} view - region in layout coordinates (minX, minY, maxX,
+   *   maxY)
+   * @param {boolean} showText - draw labels and attribute rows
+   */
+  drawScene(ctx, scene, view, showText) {
+    const inView = (minX, minY, maxX, maxY) =>
+      maxX >= view.minX &&
+      minX <= view.maxX &&
+      maxY >= view.minY &&
+      minY <= view.maxY;
+
+    // All connectors in view go in a single path
+    ctx.beginPath();
+    for (let i = 0; i < scene.edges.length; i++) {
+      const [parent, child] = scene.edges[i];
+      if (
+        !inView(
+          Math.min(parent.x, child.x),
+          Math.min(parent.y, child.y),
+          Math.max(parent.x + parent.width, child.x + child.width),
+          Math.max(parent.y + parent.height, child.y + child.height)
+        )
+      ) {
+        continue;
+      }
+      const points = getConnectorPoints(scene.edges[i], scene.layoutMode);
+      ctx.moveTo(points[0], points[1]);
+      for (let p = 2; p < points.length; p += 2) {
+        ctx.lineTo(points[p], points[p + 1]);
+      }
+    }
+    ctx.strokeStyle = CONNECTOR_COLOR;
+    ctx.lineWidth = 2;
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+    ctx.setLineDash([]);
+    ctx.stroke();
+
+    for (let i = 0; i < scene.nodes.length; i++) {
+      const node = scene.nodes[i];
+      if (inView(node.x, node.y, node.x + node.width, node.y + node.height)) {
+        this.drawNode(ctx, node, scene, showText);
+      }
+    }
+  }
+
+  drawNode(ctx, node, scene, showText) {
+    const viz = this.visualizer;
+    const style = resolveNodeStyle(
+      node,
+      viz.getNamespaceColor(node),
+      scene.showStates ? viz.getNodeState(node) : null,
+      viz.labelFont
+    );
+
+    ctx.save();
+    ctx.translate(node.x, node.y);
+
+    roundedRect(ctx, 0, 0, node.width, node.height, 10);
+    ctx.fillStyle = style.fill;
+    ctx.fill();
+    ctx.setLineDash(style.dash || []);
+    ctx.strokeStyle = style.stroke;
+    ctx.lineWidth = style.lineWidth;
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    if (showText) {
+      this.drawLabel(ctx, node, style);
+      if (viz.showAttributes) {
+        this.drawAttributes(ctx, node);
+      }
+    }
+
+    if (node.children && node.children.length > 0) {
+      this.drawIndicator(
+        ctx,
+        node,
+        scene.collapsedNodes.has(node.id) ? '+' : '−'
+      );
+    } else if (node.type === 'placeholder' && node.source) {
+      this.drawIndicator(ctx, node, '…');
+    }
+
+    // Like the highlights, badges are left out of exports
+    const errors = scene.showStates ? viz.getValidationErrors(node) : null;
+    if (errors) {
+      this.drawValidationBadge(ctx, errors, showText);
+    }
+
+    ctx.restore();
+  }
+
+  drawLabel(ctx, node, style) {
+    const viz = this.visualizer;
+    ctx.font = style.font;
+    ctx.fillStyle = style.textColor;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    // Same placement as the tspans of the SVG renderer
+    const firstLineY =
+      node.labelHeight / 2 -
+      ((node.labelLines.length - 1) * viz.labelLineHeight) / 2;
+    node.labelLines.forEach((line, i) => {
+      ctx.fillText(line, node.width / 2, firstLineY + i * viz.labelLineHeight);
+    });
+  }
+
+  drawAttributes(ctx, node) {
+    const viz = this.visualizer;
+    const rows = getAttributeRows(node, viz.getLayoutSettings());
+    if (rows.length === 0) return;
+
+    ctx.beginPath();
+    ctx.moveTo(6, node.labelHeight);
+    ctx.lineTo(node.width - 6, node.labelHeight);
+    ctx.strokeStyle = SEPARATOR_COLOR;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    const maxChars = getAttributeRowChars(node);
+    const statuses = getAttributeRowStatuses(node, viz.getLayoutSettings());
+    ctx.font = viz.attributeFont;
+    ctx.textAlign = 'start';
+    ctx.textBaseline = 'middle';
+    rows.forEach((row, i) => {
+      ctx.fillStyle = getAttributeColor(statuses[i]);
+      ctx.fillText(
+        truncateRow(row, maxChars),
+        6,
+        node.labelHeight +
+          3 +
+          i * viz.attributeRowHeight +
+          viz.attributeRowHeight / 2
+      );
+    });
+  }
+
+  drawValidationBadge(ctx, errors, showText) {
+    ctx.beginPath();
+    ctx.arc(0, 0, 9, 0, Math.PI * 2);
+    ctx.fillStyle = VALIDATION_BADGE_COLOR;
+    ctx.fill();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    if (!showText) return;
+    ctx.font = 'bold 11px sans-serif';
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(getValidationBadgeLabel(errors), 0, 0);
+  }
+
+  drawIndicator(ctx, node, label) {
+    roundedRect(ctx, node.width - 22, 8, 14, 14, 3);
+    ctx.fillStyle = INDICATOR_COLOR;
+    ctx.fill();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    ctx.font = 'bold 12px sans-serif';
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, node.width - 15, 15);
+  }
+
+  /**
+   * Finds the node under a pointer event and the part that was hit
+   * @param {MouseEvent} event
+   * @returns {Object|null} { node, part } with part "indicator", "range" or
+   *   "body"
+   */
+  hitTest(event) {
+    const transform = this.getScreenTransform();
+    if (!transform) return null;
+
+    const rect = this.visualizer.treeContainer.getBoundingClientRect();
+    const x = (event.clientX - rect.left - transform.x) / transform.scale;
+    const y = (event.clientY - rect.top - transform.y) / transform.scale;
+
+    // Last drawn is on top
+    const nodes = this.visualizer.layoutNodes;
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const node = nodes[i];
+      if (
+        x < node.x ||
+        y < node.y ||
+        x > node.x + node.width ||
+        y > node.y + node.height
+      ) {
+        continue;
+      }
+
+      const localX = x - node.x;
+      const localY = y - node.y;
+      const onIndicator =
+        localX >= node.width - 22 &&
+        localX <= node.width - 8 &&
+        localY >= 8 &&
+        localY <= 22;
+
+      let part = 'body';
+      if (onIndicator && node.type === 'placeholder' && node.source) {
+        part = 'range';
+      } else if (onIndicator && node.children && node.children.length > 0) {
+        part = 'indicator';
+      }
+      return { node, part };
+    }
+    return null;
+  }
+}
+
+// Rectangle path with rounded corners (CanvasRenderingContext2D.roundRect is
+// not available everywhere yet)
+function roundedRect(ctx, x, y, width, height, radius) {
+  const r = Math.min(radius, width / 2, height / 2);
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + width, y, x + width, y + height, r);
+  ctx.arcTo(x + width, y + height, x, y + height, r);
+  ctx.arcTo(x, y + height, x, y, r);
+  ctx.arcTo(x, y, x + width, y, r);
+  ctx.closePath();
+}
@@ -0,0 +1,600 @@
+// Diagram export to standalone SVG, PDF and PNG. Exports work on a snapshot
+// of the layout, so the whole tree can be laid out for an export without
+// changing what is on screen.
+
+import {
+  layoutTree,
+  getAttributeRows,
+  getAttributeRowStatuses,
+  getConnectorPoints,
+} from '../modules/layout.js';
+import { escapeXml, parseColor, measureTextWidth } from '../modules/utils.js';
+import { PdfDocument } from '../modules/pdfWriter.js';
+import { encodeTiledPng, fitsInCanvas } from '../modules/pngEncoder.js';
+import { CanvasRenderer } from './canvasRenderer.js';
+import { getAttributeRowChars, truncateRow } from './renderer.js';
+import {
+  resolveNodeStyle,
+  getAttributeColor,
+  parseFont,
+  MONO_FONT,
+  CONNECTOR_COLOR,
+  SEPARATOR_COLOR,
+  INDICATOR_COLOR,
+} from './nodeStyles.js';
+
+/** What an export contains: the visible area, the diagram as shown, or
+ * every loaded node with collapsed branches expanded */
+export const EXPORT_SCOPES = ['view', 'diagram', 'full'];
+
+export const EXPORT_FORMATS = ['svg', 'pdf', 'png'];
+
+const EXPORT_MARGIN = 50;
+
+// CSS pixels are 1/96 inch, PDF points 1/72 inch
+const POINTS_PER_PIXEL = 0.75;
+
+// Largest page side most PDF readers accept, in points
+const MAX_PDF_PAGE_SIZE = 14400;
+
+// Beyond this a PNG takes too long to encode and few programs can open it
+const MAX_PNG_PIXELS = 1000000000;
+
+const CONNECTORS_PER_PATH = 50;
+
+/**
+ * Builds diagram files from the tree of an XMLTreeVisualizer
+ */
+export class DiagramExporter {
+  /**
+   * @param {Object} visualizer - XMLTreeVisualizer to export
+   */
+  constructor(visualizer) {
+    this.visualizer = visualizer;
+  }
+
+  /**
+   * Exports the diagram
+   * @param {Object} options
+   * @param {string} options.format - one of EXPORT_FORMATS
+   * @param {string} options.scope - one of EXPORT_SCOPES
+   * @param {number} [options.dpi] - PNG resolution, 96 is one pixel per
+   *   layout unit
+   * @param {string|null} [options.background] - CSS color, null for
+   *   transparent
+   * @returns {Promise<{blob: Blob, filename: string}>}
+   */
+  async export(options) {
+    const scene = this.createScene(options.scope);
+    let blob;
+
+    switch (options.format) {
+      case 'svg':
+        blob = new Blob([this.toSvg(scene, options)], {
+          type: 'image/svg+xml;charset=utf-8',
+        });
+        break;
+      case 'pdf':
+        blob = this.toPdf(scene, options);
+        break;
+      default:
+        blob = await this.toPng(scene, options);
+    }
+
+    return { blob, filename: `tree-diagram.${options.format}` };
+  }
+
+  /**
+   * Copies the positioned nodes and connectors of a scope
+   * @param {string} scope - one of EXPORT_SCOPES
+   * @returns {Object} { nodes, edges, collapsedNodes, layoutMode,
+   *   showStates, bounds: { x, y, width, height } }
+   */
+  createScene(scope) {
+    const viz = this.visualizer;
+    let collapsedNodes = viz.collapsedNodes;
+
+    // Lay out everything for the copy, then put the view's layout back
+    if (scope === 'full') {
+      collapsedNodes = new Set();
+      layoutTree(viz.treeData, collapsedNodes, viz.getLayoutSettings());
+    }
+    let { nodes, edges } = snapshotLayout(viz.treeData, collapsedNodes);
+    if (scope === 'full') {
+      viz.positionNodes();
+    }
+
+    let bounds = null;
+    const view = scope === 'view' ? viz.getVisibleTreeBounds(0) : null;
+    if (view) {
+      const inView = (minX, minY, maxX, maxY) =>
+        maxX >= view.minX &&
+        minX <= view.maxX &&
+        maxY >= view.minY &&
+        minY <= view.maxY;
+
+      nodes = nodes.filter((node) =>
+        inView(node.x, node.y, node.x + node.width, node.y + node.height)
+      );
+      edges = edges.filter(([parent, child]) =>
+        inView(
+          Math.min(parent.x, child.x),
+          Math.min(parent.y, child.y),
+          Math.max(parent.x + parent.width, child.x + child.width),
+          Math.max(parent.y + parent.height, child.y + child.height)
+        )
+      );
+      bounds = {
+        x: view.minX,
+        y: view.minY,
+        width: view.maxX - view.minX,
+        height: view.maxY - view.minY,
+      };
+    } else {
+      bounds = getNodesBounds(nodes, EXPORT_MARGIN);
+    }
+
+    return {
+      nodes,
+      edges,
+      collapsedNodes,
+      layoutMode: viz.layoutMode,
+      showStates: false,
+      bounds,
+    };
+  }
+
+  /**
+   * Standalone SVG with every style inlined as presentation attributes
+   * @param {Object} scene - from createScene
+   * @param {Object} options - { background }
+   * @returns {string}
+   */
+  toSvg(scene, options) {
+    const [x, y, width, height] = [
+      scene.bounds.x,
+      scene.bounds.y,
+      scene.bounds.width,
+      scene.bounds.height,
+    ].map(round);
+    const parts = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">`,
+    ];
+
+    if (options.background) {
+      parts.push(
+        `<rect x="${x}" y="${y}" width="${width}" height="${height}" ${svgPaint(
+          'fill',
+          options.background
+        )}/>`
+      );
+    }
+
+    // Connectors batched into a few paths, like the live SVG
+    let pathData = [];
+    const flushPath = () => {
+      if (pathData.length === 0) return;
+      parts.push(
+        `<path d="${pathData.join(' ')}" fill="none" ${svgPaint(
+          'stroke',
+          CONNECTOR_COLOR
+        )} stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>`
+      );
+      pathData = [];
+    };
+    scene.edges.forEach((edge) => {
+      const points = getConnectorPoints(edge, scene.layoutMode).map(round);
+      let data = `M ${points[0]} ${points[1]}`;
+      for (let p = 2; p < points.length; p += 2) {
+        data += ` L ${points[p]} ${points[p + 1]}`;
+      }
+      pathData.push(data);
+      if (pathData.length >= CONNECTORS_PER_PATH) flushPath();
+    });
+    flushPath();
+
+    scene.nodes.forEach((node) => {
+      parts.push(this.nodeToSvg(node, scene));
+    });
+
+    parts.push('</svg>');
+    return parts.join('\n');
+  }
+
+  nodeToSvg(node, scene) {
+    const viz = this.visualizer;
+    const style = resolveNodeStyle(
+      node,
+      viz.getNamespaceColor(node),
+      null,
+      viz.labelFont
+    );
+    const width = round(node.width);
+    const height = round(node.height);
+    const parts = [
+      `<g transform="translate(${round(node.x)},${round(node.y)})">`,
+    ];
+
+    parts.push(
+      `<rect width="${width}" height="${height}" rx="10" ${svgPaint(
+        'fill',
+        style.fill
+      )} ${svgPaint('stroke', style.stroke)} stroke-width="${style.lineWidth}"${
+        style.dash ? ` stroke-dasharray="${style.dash.join(' ')}"` : ''
+      }/>`
+    );
+
+    // dy instead of dominant-baseline, which design tools often ignore
+    const firstLineY =
+      node.labelHeight / 2 -
+      ((node.labelLines.length - 1) * viz.labelLineHeight) / 2;
+    const lines = node.labelLines
+      .map(
+        (line, i) =>
+          `<tspan x="${round(width / 2)}" y="${
+            firstLineY + i * viz.labelLineHeight
+          }" dy="0.35em">${escapeXml(line)}</tspan>`
+      )
+      .join('');
+    parts.push(
+      `<text text-anchor="middle" ${svgFont(style.font)} ${svgPaint(
+        'fill',
+        style.textColor
+      )}>${lines}</text>`
+    );
+
+    const rows = viz.showAttributes
+      ? getAttributeRows(node, viz.getLayoutSettings())
+      : [];
+    if (rows.length > 0) {
+      parts.push(
+        `<line x1="6" x2="${round(width - 6)}" y1="${node.labelHeight}" y2="${
+          node.labelHeight
+        }" ${svgPaint('stroke', SEPARATOR_COLOR)} stroke-width="1"/>`
+      );
+      const maxChars = getAttributeRowChars(node);
+      const statuses = getAttributeRowStatuses(node, viz.getLayoutSettings());
+      rows.forEach((row, i) => {
+        const rowY =
+          node.labelHeight +
+          3 +
+          i * viz.attributeRowHeight +
+          viz.attributeRowHeight / 2;
+        parts.push(
+          `<text x="6" y="${rowY}" dy="0.35em" ${svgFont(
+            viz.attributeFont
+          )} ${svgPaint('fill', getAttributeColor(statuses[i]))}>${escapeXml(
+            truncateRow(row, maxChars)
+          )}</text>`
+        );
+      });
+    }
+
+    const indicator = getIndicatorLabel(node, scene);
+    if (indicator) {
+      parts.push(
+        `<rect x="${round(
+          width - 22
+        )}" y="8" width="14" height="14" rx="3" fill="${INDICATOR_COLOR}" stroke="#ffffff" stroke-width="2"/>`,
+        `<text x="${round(
+          width - 15
+        )}" y="15" dy="0.35em" text-anchor="middle" font-family="sans-serif" font-size="12" font-weight="bold" fill="#ffffff">${indicator}</text>`
+      );
+    }
+
+    parts.push('</g>');
+    return parts.join('');
+  }
+
+  /**
+   * Single page vector PDF, one layout unit per CSS pixel (0.75 pt), scaled
+   * down when the page would be larger than readers accept
+   * @param {Object} scene - from createScene
+   * @param {Object} options - { background }
+   * @returns {Blob}
+   */
+  toPdf(scene, options) {
+    const { x, y, width, height } = scene.bounds;
+    let scale = POINTS_PER_PIXEL;
+    const largest = Math.max(width, height) * scale;
+    if (largest > MAX_PDF_PAGE_SIZE) {
+      scale *= MAX_PDF_PAGE_SIZE / largest;
+    }
+
+    const pdf = new PdfDocument(width * scale, height * scale);
+    pdf.transform(scale, -x * scale, -y * scale);
+    pdf.save();
+    pdf.clipRect(x, y, width, height);
+
+    if (options.background) {
+      pdf.setFillColor(options.background);
+      pdf.rect(x, y, width, height);
+      pdf.fill();
+    }
+
+    pdf.setStrokeColor(CONNECTOR_COLOR);
+    pdf.setLineWidth(2);
+    pdf.setLineJoinRound();
+    pdf.setDash(null);
+    scene.edges.forEach((edge) => {
+      const points = getConnectorPoints(edge, scene.layoutMode);
+      pdf.moveTo(points[0], points[1]);
+      for (let p = 2; p < points.length; p += 2) {
+        pdf.lineTo(points[p], points[p + 1]);
+      }
+    });
+    if (scene.edges.length > 0) {
+      pdf.stroke();
+    }
+
+    scene.nodes.forEach((node) => this.drawPdfNode(pdf, node, scene));
+
+    pdf.restore();
+    return pdf.toBlob();
+  }
+
+  drawPdfNode(pdf, node, scene) {
+    const viz = this.visualizer;
+    const style = resolveNodeStyle(
+      node,
+      viz.getNamespaceColor(node),
+      null,
+      viz.labelFont
+    );
+
+    pdf.save();
+    pdf.transform(1, node.x, node.y);
+
+    pdf.roundedRect(0, 0, node.width, node.height, 10);
+    pdf.setFillColor(style.fill);
+    pdf.setStrokeColor(style.stroke);
+    pdf.setLineWidth(style.lineWidth);
+    pdf.setDash(style.dash);
+    pdf.fillAndStroke();
+    pdf.setDash(null);
+
+    // Labels are centered with the width of the PDF font, not the CSS one
+    const labelFont = toPdfFont(style.font);
+    const firstLineY =
+      node.labelHeight / 2 -
+      ((node.labelLines.length - 1) * viz.labelLineHeight) / 2;
+    pdf.setFillColor(style.textColor);
+    node.labelLines.forEach((line, i) => {
+      const lineWidth = measurePdfText(line, labelFont);
+      pdf.text(
+        line,
+        node.width / 2 - lineWidth / 2,
+        firstLineY + i * viz.labelLineHeight + labelFont.size * 0.35,
+        labelFont
+      );
+    });
+
+    const rows = viz.showAttributes
+      ? getAttributeRows(node, viz.getLayoutSettings())
+      : [];
+    if (rows.length > 0) {
+      pdf.setStrokeColor(SEPARATOR_COLOR);
+      pdf.setLineWidth(1);
+      pdf.moveTo(6, node.labelHeight);
+      pdf.lineTo(node.width - 6, node.labelHeight);
+      pdf.stroke();
+
+      const attributeFont = toPdfFont(viz.attributeFont);
+      const maxChars = getAttributeRowChars(node);
+      const statuses = getAttributeRowStatuses(node, viz.getLayoutSettings());
+      rows.forEach((row, i) => {
+        pdf.setFillColor(getAttributeColor(statuses[i]));
+        pdf.text(
+          truncateRow(row, maxChars),
+          6,
+          node.labelHeight +
+            3 +
+            i * viz.attributeRowHeight +
+            viz.attributeRowHeight / 2 +
+            attributeFont.size * 0.35,
+          attributeFont
+        );
+      });
+    }
+
+    const indicator = getIndicatorLabel(node, scene);
+    if (indicator) {
+      pdf.roundedRect(node.width - 22, 8, 14, 14, 3);
+      pdf.setFillColor(INDICATOR_COLOR);
+      pdf.setStrokeColor('#ffffff');
+      pdf.setLineWidth(2);
+      pdf.fillAndStroke();
+
+      const indicatorFont = { bold: true, size: 12 };
+      pdf.setFillColor('#ffffff');
+      pdf.text(
+        indicator,
+        node.width - 15 - measurePdfText(indicator, indicatorFont) / 2,
+        15 + indicatorFont.size * 0.35,
+        indicatorFont
+      );
+    }
+
+    pdf.restore();
+  }
+
+  /**
+   * PNG drawn by the canvas renderer, in tiles when it is larger than a
+   * canvas can be
+   * @param {Object} scene - from createScene
+   * @param {Object} options - { dpi, background }
+   * @returns {Promise<Blob>}
+   */
+  async toPng(scene, options) {
+    const { bounds } = scene;
+    const dpi = options.dpi || 96;
+    const scale = dpi / 96;
+    const width = Math.max(1, Math.ceil(bounds.width * scale));
+    const height = Math.max(1, Math.ceil(bounds.height * scale));
+
+    if (width * height > MAX_PNG_PIXELS) {
+      throw new Error(
+        `The image would be ${width}×${height} pixels; lower the resolution or export SVG or PDF`
+      );
+    }
+
+    const renderer = new CanvasRenderer(this.visualizer);
+    const drawTile = (ctx, x, y, tileWidth, tileHeight) => {
+      if (options.background) {
+        ctx.fillStyle = options.background;
+        ctx.fillRect(0, 0, tileWidth, tileHeight);
+      }
+      ctx.setTransform(
+        scale,
+        0,
+        0,
+        scale,
+        -bounds.x * scale - x,
+        -bounds.y * scale - y
+      );
+      renderer.drawScene(
+        ctx,
+        scene,
+        {
+          minX: bounds.x + x / scale,
+          minY: bounds.y + y / scale,
+          maxX: bounds.x + (x + tileWidth) / scale,
+          maxY: bounds.y + (y + tileHeight) / scale,
+        },
+        true
+      );
+    };
+
+    if (!fitsInCanvas(width, height)) {
+      return encodeTiledPng(width, height, drawTile, { dpi });
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    drawTile(canvas.getContext('2d'), 0, 0, width, height);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('The browser could not encode the image'));
+        }
+      }, 'image/png');
+    });
+  }
+}
+
+/**
+ * Copies the nodes outside collapsed branches, in draw order, with the
+ * connectors between the copies
+ * @param {Object[]} roots
+ * @param {Set<string>} collapsedNodes
+ * @returns {{nodes: Object[], edges: Array<Object[]>}}
+ */
+function snapshotLayout(roots, collapsedNodes) {
+  const nodes = [];
+  const edges = [];
+  const stack = roots.map((root) => [root, null]).reverse();
+
+  while (stack.length > 0) {
+    const [node, parentCopy] = stack.pop();
+    const copy = { ...node };
+    nodes.push(copy);
+    if (parentCopy) {
+      edges.push([parentCopy, copy]);
+    }
+
+    if (node.children.length > 0 && !collapsedNodes.has(node.id)) {
+      for (let i = node.children.length - 1; i >= 0; i--) {
+        stack.push([node.children[i], copy]);
+      }
+    }
+  }
+
+  return { nodes, edges };
+}
+
+function getNodesBounds(nodes, margin) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  nodes.forEach((node) => {
+    minX = Math.min(minX, node.x);
+    minY = Math.min(minY, node.y);
+    maxX = Math.max(maxX, node.x + node.width);
+    maxY = Math.max(maxY, node.y + node.height);
+  });
+
+  if (nodes.length === 0) {
+    return { x: 0, y: 0, width: 2 * margin, height: 2 * margin };
+  }
+  return {
+    x: minX - margin,
+    y: minY - margin,
+    width: maxX - minX + 2 * margin,
+    height: maxY - minY + 2 * margin,
+  };
+}
+
+// "+"/"−" for nodes with children, "…" for loadable placeholders
+function getIndicatorLabel(node, scene) {
+  if (node.children && node.children.length > 0) {
+    return scene.collapsedNodes.has(node.id) ? '+' : '−';
+  }
+  if (node.type === 'placeholder' && node.source) {
+    return '…';
+  }
+  return null;
+}
+
+// Two decimals are plenty for layout units and keep the markup short
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Color attribute, with the alpha split out for SVG 1.1 readers
+function svgPaint(attribute, color) {
+  const rgb = parseColor(color);
+  if (!rgb) {
+    return `${attribute}="${escapeXml(color)}"`;
+  }
+
+  const hex = [rgb.r, rgb.g, rgb.b]
+    .map((channel) => Math.round(channel).toString(16).padStart(2, '0'))
+    .join('');
+  const opacity = rgb.a < 1 ? ` ${attribute}-opacity="${rgb.a}"` : '';
+  return `${attribute}="#${hex}"${opacity}`;
+}
+
+function svgFont(font) {
+  const { style, weight, size, family } = parseFont(font);
+  return `font-family="${escapeXml(
+    family
+  )}" font-size="${size}" font-weight="${weight}" font-style="${style}"`;
+}
+
+// Closest standard PDF font to a CSS font
+function toPdfFont(font) {
+  const { style, weight, size, family } = parseFont(font);
+  return {
+    bold: weight === 'bold' || Number(weight) >= 600,
+    italic: style === 'italic',
+    mono: family.includes('mono') || family === MONO_FONT,
+    size,
+  };
+}
+
+function measurePdfText(text, font) {
+  // Courier is monospaced at 0.6 em
+  if (font.mono) {
+    return text.length * font.size * 0.6;
+  }
+  const cssFont = `${font.italic ? 'italic ' : ''}${font.bold ? 'bold ' : ''}${
+    font.size
+  }px Helvetica, Arial, sans-serif`;
+  return measureTextWidth(text, cssFont);
+}
@@ -0,0 +1,128 @@
+// Node colors and fonts of styles.css, for the canvas renderer and the
+// exporters, which cannot use the stylesheet
+
+import { getLabelFont } from '../modules/layout.js';
+
+export const MONO_FONT = '"JetBrains Mono", "Fira Code", monospace';
+export const CONNECTOR_COLOR = '#ffffff';
+export const LABEL_COLOR = '#f8fafc';
+export const ATTRIBUTE_COLOR = '#e0e7ff';
+export const SEPARATOR_COLOR = 'rgba(255, 255, 255, 0.4)';
+export const INDICATOR_COLOR = '#818cf8';
+export const VALIDATION_BADGE_COLOR = '#dc2626';
+
+// Mirrors the node rules of styles.css
+const NODE_STYLES = {
+  element: { fill: '#6366f1', stroke: '#f8fafc' },
+  error: { fill: '#6366f1', stroke: '#f8fafc' },
+  text: { fill: '#0e7490', stroke: '#f8fafc' },
+  cdata: { fill: '#155e75', stroke: '#06b6d4', dash: [6, 3] },
+  comment: {
+    fill: '#334155',
+    stroke: '#64748b',
+    dash: [4, 4],
+    textColor: '#cbd5e1',
+  },
+  pi: { fill: '#6d28d9', stroke: '#c4b5fd' },
+  declaration: { fill: '#1e293b', stroke: '#475569' },
+  placeholder: {
+    fill: 'rgba(79, 70, 229, 0.5)',
+    stroke: 'rgba(255, 255, 255, 0.5)',
+  },
+};
+
+// Compared documents, see treeDiff.js
+const DIFF_STYLES = {
+  added: { fill: '#166534', stroke: '#4ade80' },
+  removed: { fill: '#991b1b', stroke: '#f87171', dash: [6, 3] },
+  changed: { fill: '#9a3412', stroke: '#fb923c' },
+};
+
+const ATTRIBUTE_DIFF_COLORS = {
+  added: '#bbf7d0',
+  removed: '#fecaca',
+  changed: '#fef08a',
+};
+
+const STATE_STYLES = {
+  searchMatch: { fill: '#b45309', stroke: '#f59e0b' },
+  searchActive: { fill: '#d97706', stroke: '#fde68a', lineWidth: 4 },
+  xpathMatch: { fill: '#047857', stroke: '#10b981', lineWidth: 3 },
+  selected: { stroke: '#06b6d4', lineWidth: 4 },
+  dropTarget: { stroke: '#a3e635', lineWidth: 4, dash: [6, 3] },
+};
+
+/**
+ * Resolves how a node box and its label are drawn
+ * @param {Object} node - tree node
+ * @param {string|null} namespaceColor - fill of namespaced elements
+ * @param {Object|null} state - from XMLTreeVisualizer.getNodeState, or null
+ *   to leave the selection and match highlights out
+ * @param {string} labelFont - CSS font of element labels
+ * @returns {Object} { fill, stroke, lineWidth, dash, textColor, font }
+ */
+export function resolveNodeStyle(node, namespaceColor, state, labelFont) {
+  const base = NODE_STYLES[node.type] || NODE_STYLES.element;
+  const style = {
+    lineWidth: 2,
+    dash: null,
+    textColor: LABEL_COLOR,
+    ...base,
+    // The font the layout measured the label with
+    font: getLabelFont(node, labelFont),
+  };
+
+  if (namespaceColor) {
+    style.fill = namespaceColor;
+  }
+
+  // The diff status wins over the type and namespace colors
+  if (DIFF_STYLES[node.diff]) {
+    Object.assign(style, DIFF_STYLES[node.diff]);
+  }
+
+  // Placeholders keep their look, as their CSS rules are !important
+  if (!state || node.type === 'placeholder') return style;
+
+  // Same precedence as the stylesheet: later states win
+  [
+    'searchMatch',
+    'searchActive',
+    'xpathMatch',
+    'selected',
+    'dropTarget',
+  ].forEach((key) => {
+    if (state[key]) Object.assign(style, STATE_STYLES[key]);
+  });
+  return style;
+}
+
+/**
+ * Text color of an attribute row
+ * @param {string|null} status - from getAttributeRowStatuses
+ * @returns {string}
+ */
+export function getAttributeColor(status) {
+  return ATTRIBUTE_DIFF_COLORS[status] || ATTRIBUTE_COLOR;
+}
+
+/**
+ * Splits a CSS font shorthand such as 'bold 16px "Inter", sans-serif'
+ * @param {string} font
+ * @returns {Object} { style, weight, size, family }
+ */
+export function parseFont(font) {
+  const match =
+    /^\s*(italic\s+)?(normal\s+|bold\s+|\d{3}\s+)?([\d.]+)px\s+(.+)$/.exec(
+      font
+    );
+  if (!match) {
+    return { style: 'normal', weight: 'normal', size: 16, family: font };
+  }
+  return {
+    style: match[1] ? 'italic' : 'normal',
+    weight: match[2] ? match[2].trim() : 'normal',
+    size: Number(match[3]),
+    family: match[4].trim(),
+  };
+}
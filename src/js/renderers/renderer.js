@@ -0,0 +1,112 @@
+// Interface shared by the diagram renderers. A renderer draws the positioned
+// nodes and connections of an XMLTreeVisualizer (layoutNodes, layoutEdges,
+// viewBox, pan and zoom) inside the tree container and maps pointer events
+// back to tree nodes. The visualizer keeps every piece of state; renderers
+// only read it.
+
+/**
+ * Base class with the methods the visualizer calls. Subclasses override the
+ * ones they need; the defaults do nothing.
+ */
+export class Renderer {
+  /**
+   * @param {Object} visualizer - XMLTreeVisualizer whose tree is drawn
+   */
+  constructor(visualizer) {
+    this.visualizer = visualizer;
+    this.element = null; // Root element added to the tree container
+  }
+
+  /**
+   * Adds the renderer's element to the container
+   * @param {HTMLElement} container
+   */
+  mount(container) {}
+
+  /**
+   * Tells whether the element is still in the container, which is emptied
+   * when the input is cleared
+   * @returns {boolean}
+   */
+  isMounted() {
+    return Boolean(this.element && this.element.isConnected);
+  }
+
+  /**
+   * Draws the tree after a new layout
+   */
+  render() {}
+
+  /**
+   * Follows a change of pan or zoom
+   * @param {boolean} animate - ease into the new transform
+   */
+  applyTransform(animate) {}
+
+  /**
+   * Draws what the current viewport shows and drops what it no longer does
+   */
+  updateViewport() {}
+
+  /**
+   * Redraws the selection, search and XPath highlights
+   */
+  refreshNodeStates() {}
+
+  /**
+   * Returns the tree node under a pointer event
+   * @param {MouseEvent} event
+   * @returns {Object|null}
+   */
+  nodeAtEvent(event) {
+    return null;
+  }
+
+  /**
+   * Called when the user starts panning
+   */
+  beginDrag() {}
+
+  /**
+   * Called when the user stops panning
+   */
+  endDrag() {}
+
+  /**
+   * Removes the element and releases what was drawn
+   */
+  destroy() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+}
+
+/**
+ * Approximate characters of 11px monospace that fit in a node
+ * @param {Object} node
+ * @returns {number}
+ */
+export function getAttributeRowChars(node) {
+  return Math.floor((node.width - 12) / 6.5);
+}
+
+/**
+ * Shortens an attribute row to maxChars, ending it with an ellipsis
+ * @param {string} row
+ * @param {number} maxChars
+ * @returns {string}
+ */
+export function truncateRow(row, maxChars) {
+  return row.length > maxChars ? row.substring(0, maxChars - 1) + '…' : row;
+}
+
+/**
+ * Text of the badge drawn on nodes with schema validation errors
+ * @param {string[]} errors
+ * @returns {string}
+ */
+export function getValidationBadgeLabel(errors) {
+  return errors.length > 9 ? '9+' : String(errors.length);
+}
@@ -0,0 +1,495 @@
+// SVG renderer: one group per node, mounted only while it is near the
+// viewport, with the pan and zoom applied as a CSS transform
+
+import {
+  Renderer,
+  getAttributeRowChars,
+  truncateRow,
+  getValidationBadgeLabel,
+} from './renderer.js';
+import {
+  getAttributeRows,
+  getAttributeRowStatuses,
+  getConnectorPoints,
+} from '../modules/layout.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// CSS class for each node type of the tree model
+const NODE_TYPE_CLASSES = {
+  text: 'text-node',
+  placeholder: 'placeholder-node',
+  cdata: 'cdata-node',
+  comment: 'comment-node',
+  pi: 'pi-node',
+  declaration: 'declaration-node',
+};
+
+/**
+ * Draws the tree as SVG. Nodes are styled by styles.css and stay crisp at
+ * any zoom, but every mounted node is a few DOM elements.
+ */
+export class SvgRenderer extends Renderer {
+  constructor(visualizer) {
+    super(visualizer);
+    this.mountedNodes = new Map(); // Node id -> rendered group
+    this.zoomTimeout = null;
+  }
+
+  mount(container) {
+    this.element = this.createTreeSvg();
+    container.appendChild(this.element);
+  }
+
+  render() {
+    const viz = this.visualizer;
+    const svg = this.element;
+    const { x, y, width, height } = viz.viewBox;
+
+    svg.setAttribute('data-node-count', viz.totalNodeCount || 0);
+    svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+    svg.style.transform = `translate(${viz.panOffsetX}px, ${viz.panOffsetY}px) scale(${viz.currentZoom})`;
+
+    // Positions changed, so every mounted node is redrawn
+    svg.querySelector('.nodes-layer').replaceChildren();
+    this.mountedNodes.clear();
+    this.updateViewport();
+  }
+
+  createTreeSvg() {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', 'tree-svg');
+
+    // Configurar el SVG para que se comporte como un lienzo infinito
+    svg.style.width = '100%';
+    svg.style.height = '100%';
+    svg.style.position = 'absolute';
+
+    // Optimization for large trees: use layer groups for better performance
+    const gridLayer = document.createElementNS(SVG_NS, 'g');
+    gridLayer.setAttribute('class', 'grid-layer');
+
+    const connectionsLayer = document.createElementNS(SVG_NS, 'g');
+    connectionsLayer.setAttribute('class', 'connections-layer');
+
+    const nodesLayer = document.createElementNS(SVG_NS, 'g');
+    nodesLayer.setAttribute('class', 'nodes-layer');
+
+    // Agregar grid de fondo (efecto visual de lienzo infinito)
+    const defs = document.createElementNS(SVG_NS, 'defs');
+    const pattern = document.createElementNS(SVG_NS, 'pattern');
+    pattern.setAttribute('id', 'grid');
+    pattern.setAttribute('width', '40');
+    pattern.setAttribute('height', '40');
+    pattern.setAttribute('patternUnits', 'userSpaceOnUse');
+
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('d', 'M 40 0 L 0 0 0 40');
+    path.setAttribute('fill', 'none');
+    path.setAttribute('stroke', 'rgba(255, 255, 255, 0.03)');
+    path.setAttribute('stroke-width', '1');
+
+    pattern.appendChild(path);
+    defs.appendChild(pattern);
+    svg.appendChild(defs);
+
+    const grid = document.createElementNS(SVG_NS, 'rect');
+    grid.setAttribute('width', '100%');
+    grid.setAttribute('height', '100%');
+    grid.setAttribute('fill', 'url(#grid)');
+    gridLayer.appendChild(grid);
+
+    svg.appendChild(gridLayer);
+    svg.appendChild(connectionsLayer);
+    svg.appendChild(nodesLayer);
+    return svg;
+  }
+
+  applyTransform(animate) {
+    const svg = this.element;
+    if (!svg) return;
+
+    // Cancel any pending zoom operations
+    if (this.zoomTimeout) {
+      clearTimeout(this.zoomTimeout);
+      this.zoomTimeout = null;
+    }
+
+    // Apply the transform with high quality rendering
+    const viz = this.visualizer;
+    svg.style.transform = `translate3d(${viz.panOffsetX}px, ${viz.panOffsetY}px, 0) scale(${viz.currentZoom})`;
+
+    // Add smooth transition only for explicit zoom actions, not for dragging
+    if (animate) {
+      svg.classList.add('smooth-transform');
+
+      this.zoomTimeout = setTimeout(() => {
+        svg.classList.remove('smooth-transform');
+        this.zoomTimeout = null;
+      }, 300);
+    }
+  }
+
+  // Monta los nodos y conexiones que cortan el viewport (más un margen) y
+  // desmonta los que quedaron fuera
+  updateViewport() {
+    const svg = this.element;
+    if (!svg) return;
+
+    const viz = this.visualizer;
+    const view = viz.getVisibleTreeBounds();
+    // Without a measurable container (hidden, not laid out) draw everything
+    const inView = (minX, minY, maxX, maxY) =>
+      !view ||
+      (maxX >= view.minX &&
+        minX <= view.maxX &&
+        maxY >= view.minY &&
+        minY <= view.maxY);
+
+    const visibleIds = new Set();
+    const visibleNodes = [];
+    for (let i = 0; i < viz.layoutNodes.length; i++) {
+      const node = viz.layoutNodes[i];
+      if (inView(node.x, node.y, node.x + node.width, node.y + node.height)) {
+        visibleIds.add(node.id);
+        visibleNodes.push(node);
+      }
+    }
+
+    this.mountedNodes.forEach((group, id) => {
+      if (!visibleIds.has(id)) {
+        group.remove();
+        this.mountedNodes.delete(id);
+      }
+    });
+
+    const nodesLayer = svg.querySelector('.nodes-layer');
+    visibleNodes.forEach((node) => {
+      if (!this.mountedNodes.has(node.id)) {
+        this.mountedNodes.set(node.id, this.renderSingleNode(nodesLayer, node));
+      }
+    });
+
+    // Connections are cheap batched paths, so they are simply redrawn
+    const visibleEdges = viz.layoutEdges.filter(([parent, child]) =>
+      inView(
+        Math.min(parent.x, child.x),
+        Math.min(parent.y, child.y),
+        Math.max(parent.x + parent.width, child.x + child.width),
+        Math.max(parent.y + parent.height, child.y + child.height)
+      )
+    );
+    const connectionsLayer = svg.querySelector('.connections-layer');
+    connectionsLayer.replaceChildren();
+    this.renderConnections(connectionsLayer, visibleEdges);
+  }
+
+  refreshNodeStates() {
+    this.mountedNodes.forEach((group, id) => {
+      const node = this.visualizer.nodeIndex.get(id);
+      if (node) this.applyNodeStateClasses(group, node);
+    });
+  }
+
+  nodeAtEvent(event) {
+    const group = event.target.closest && event.target.closest('.tree-node');
+    if (!group) return null;
+    return this.visualizer.nodeIndex.get(group.getAttribute('data-node-id'));
+  }
+
+  beginDrag() {
+    if (!this.element) return;
+
+    // Disable transitions during drag for better performance
+    this.element.classList.remove('smooth-transform');
+    this.element.style.willChange = 'transform'; // Hint for browser optimization
+  }
+
+  endDrag() {
+    // Reset willChange to free up resources
+    if (this.element) {
+      this.element.style.willChange = 'auto';
+    }
+  }
+
+  destroy() {
+    if (this.zoomTimeout) {
+      clearTimeout(this.zoomTimeout);
+      this.zoomTimeout = null;
+    }
+    this.mountedNodes.clear();
+    super.destroy();
+  }
+
+  renderSingleNode(svg, node) {
+    const viz = this.visualizer;
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute(
+      'class',
+      `tree-node ${NODE_TYPE_CLASSES[node.type] || ''}`
+    );
+    group.setAttribute('data-node-id', node.id);
+    this.applyNodeStateClasses(group, node);
+
+    const namespaceColor = viz.getNamespaceColor(node);
+    if (namespaceColor) {
+      group.classList.add('ns-colored');
+      group.style.setProperty('--ns-color', namespaceColor);
+    }
+
+    // Compared documents: added, removed or changed
+    if (node.diff && node.diff !== 'unchanged') {
+      group.classList.add(`diff-${node.diff}`);
+    }
+
+    // Use transform for better performance instead of setting individual x,y attributes
+    group.setAttribute('transform', `translate(${node.x},${node.y})`);
+
+    // Node rectangle - optimize by using 0,0 coordinates and transform
+    const rect = document.createElementNS(SVG_NS, 'rect');
+    rect.setAttribute('class', 'node-rect');
+    rect.setAttribute('x', 0);
+    rect.setAttribute('y', 0);
+    rect.setAttribute('width', node.width);
+    rect.setAttribute('height', node.height);
+    rect.setAttribute('rx', '10'); // Bordes redondeados
+
+    // Node text - optimize by using relative coordinates
+    const text = document.createElementNS(SVG_NS, 'text');
+    text.setAttribute('class', 'node-text');
+    text.setAttribute('x', node.width / 2);
+    text.setAttribute('y', node.labelHeight / 2);
+    text.setAttribute('text-anchor', 'middle');
+    text.setAttribute('dominant-baseline', 'central');
+    text.setAttribute('font-size', '12px'); // Ensure text size is appropriate
+
+    // One tspan per wrapped line, centered vertically in the label area
+    const firstLineY =
+      node.labelHeight / 2 -
+      ((node.labelLines.length - 1) * viz.labelLineHeight) / 2;
+    node.labelLines.forEach((line, i) => {
+      const tspan = document.createElementNS(SVG_NS, 'tspan');
+      tspan.setAttribute('x', node.width / 2);
+      tspan.setAttribute('y', firstLineY + i * viz.labelLineHeight);
+      tspan.setAttribute('dominant-baseline', 'central');
+      tspan.textContent = line;
+      text.appendChild(tspan);
+    });
+
+    group.appendChild(rect);
+    group.appendChild(text);
+
+    if (viz.showAttributes) {
+      this.renderNodeAttributes(group, node);
+    }
+
+    // Add expand/collapse indicator for nodes with children
+    if (node.children && node.children.length > 0) {
+      const isCollapsed = viz.collapsedNodes.has(node.id);
+      // Usamos un rectángulo pequeño en lugar de un círculo para el indicador
+      const indicator = this.createIndicator(
+        node,
+        'expand-indicator',
+        isCollapsed ? '+' : '−'
+      );
+      indicator.forEach((el) => group.appendChild(el));
+
+      // Mark the group as having a toggle handler
+      group.setAttribute('data-has-toggle', 'true');
+    }
+
+    if (node.type === 'placeholder' && node.source) {
+      this.renderPlaceholderControls(group, node);
+    }
+
+    const errors = viz.getValidationErrors(node);
+    if (errors) {
+      this.renderValidationBadge(group, errors);
+    }
+
+    // Every node is interactive: selection, or loading for placeholders
+    group.style.cursor = 'pointer';
+    rect.style.cursor = 'pointer';
+
+    this.bindNodeEvents(group, node);
+    svg.appendChild(group);
+    return group;
+  }
+
+  // Small box in the top right corner of a node, with a one character label
+  createIndicator(node, className, label) {
+    const indicator = document.createElementNS(SVG_NS, 'rect');
+    indicator.setAttribute('class', className);
+    indicator.setAttribute('x', node.width - 22);
+    indicator.setAttribute('y', 8);
+    indicator.setAttribute('width', '14');
+    indicator.setAttribute('height', '14');
+    indicator.setAttribute('rx', '3');
+    indicator.setAttribute('fill', '#818cf8');
+    indicator.setAttribute('stroke', '#ffffff');
+    indicator.setAttribute('stroke-width', '2');
+
+    const indicatorText = document.createElementNS(SVG_NS, 'text');
+    indicatorText.setAttribute('class', 'expand-text');
+    indicatorText.setAttribute('x', node.width - 15);
+    indicatorText.setAttribute('y', 15);
+    indicatorText.setAttribute('text-anchor', 'middle');
+    indicatorText.setAttribute('dominant-baseline', 'central');
+    indicatorText.setAttribute('font-size', '12px');
+    indicatorText.setAttribute('fill', '#ffffff');
+    indicatorText.textContent = label;
+
+    return [indicator, indicatorText];
+  }
+
+  renderNodeAttributes(group, node) {
+    const viz = this.visualizer;
+    const rows = getAttributeRows(node, viz.getLayoutSettings());
+    if (rows.length === 0) return;
+
+    // Separator between the tag name and the attribute rows
+    const separator = document.createElementNS(SVG_NS, 'line');
+    separator.setAttribute('class', 'node-attr-separator');
+    separator.setAttribute('x1', 6);
+    separator.setAttribute('x2', node.width - 6);
+    separator.setAttribute('y1', node.labelHeight);
+    separator.setAttribute('y2', node.labelHeight);
+    group.appendChild(separator);
+
+    const maxChars = getAttributeRowChars(node);
+    const statuses = getAttributeRowStatuses(node, viz.getLayoutSettings());
+
+    rows.forEach((row, i) => {
+      const attrText = document.createElementNS(SVG_NS, 'text');
+      attrText.setAttribute(
+        'class',
+        statuses[i] ? `node-attr-text attr-${statuses[i]}` : 'node-attr-text'
+      );
+      attrText.setAttribute('x', 6);
+      attrText.setAttribute(
+        'y',
+        node.labelHeight +
+          3 +
+          i * viz.attributeRowHeight +
+          viz.attributeRowHeight / 2
+      );
+      attrText.setAttribute('text-anchor', 'start');
+      attrText.setAttribute('dominant-baseline', 'central');
+      attrText.setAttribute('font-size', '11px');
+      attrText.textContent = truncateRow(row, maxChars);
+
+      // Full value on hover, since rows are truncated
+      const title = document.createElementNS(SVG_NS, 'title');
+      title.textContent = row;
+      attrText.appendChild(title);
+
+      group.appendChild(attrText);
+    });
+  }
+
+  // Red badge on the top left corner with the number of schema errors
+  renderValidationBadge(group, errors) {
+    const badge = document.createElementNS(SVG_NS, 'circle');
+    badge.setAttribute('class', 'validation-badge');
+    badge.setAttribute('cx', 0);
+    badge.setAttribute('cy', 0);
+    badge.setAttribute('r', 9);
+
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('class', 'validation-badge-text');
+    label.setAttribute('x', 0);
+    label.setAttribute('y', 0);
+    label.setAttribute('text-anchor', 'middle');
+    label.setAttribute('dominant-baseline', 'central');
+    label.textContent = getValidationBadgeLabel(errors);
+
+    // The messages on hover
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = errors.join('\n');
+    badge.appendChild(title);
+
+    group.appendChild(badge);
+    group.appendChild(label);
+  }
+
+  applyNodeStateClasses(group, node) {
+    const state = this.visualizer.getNodeState(node);
+    group.classList.toggle('selected', state.selected);
+    group.classList.toggle('search-match', state.searchMatch);
+    group.classList.toggle('search-active', state.searchActive);
+    group.classList.toggle('xpath-match', state.xpathMatch);
+    group.classList.toggle('drop-target', state.dropTarget);
+  }
+
+  renderPlaceholderControls(group, node) {
+    // Range button, drawn like the expand indicator
+    this.createIndicator(node, 'expand-indicator range-indicator', '…').forEach(
+      (el) => group.appendChild(el)
+    );
+
+    const title = document.createElementNS(SVG_NS, 'title');
+    title.textContent = `Click: load next ${this.visualizer.childPageSize} · Shift+click: load all · …: show a range`;
+    group.appendChild(title);
+  }
+
+  bindNodeEvents(group, node) {
+    // The indicators are told apart by their class, the rest is the body
+    group.addEventListener('click', (e) => {
+      e.stopPropagation();
+      let part = 'body';
+      if (e.target.classList.contains('range-indicator')) {
+        part = 'range';
+      } else if (e.target.classList.contains('expand-indicator')) {
+        part = 'indicator';
+      }
+      this.visualizer.handleNodeClick(node, part, e);
+    });
+
+    group.addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      this.visualizer.handleNodeDoubleClick(node);
+    });
+  }
+
+  /**
+   * Draws parent-child connectors in the shape of the layout mode
+   * @param {SVGElement} svg - container for the paths
+   * @param {Array<Object[]>} edges - [parent, child] pairs
+   */
+  renderConnections(svg, edges) {
+    // Use path batching for connections to improve performance
+    // For large trees, we'll combine multiple paths into a single SVG element
+    const pathData = [];
+    const batchSize = 50; // Number of connections per path element
+
+    const createPathElement = (data) => {
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('class', 'connection-line');
+      path.setAttribute('d', data);
+      path.setAttribute('fill', 'none');
+      svg.appendChild(path);
+    };
+
+    const mode = this.visualizer.layoutMode;
+    for (let i = 0; i < edges.length; i++) {
+      const points = getConnectorPoints(edges[i], mode);
+
+      let data = `M ${points[0]} ${points[1]}`;
+      for (let p = 2; p < points.length; p += 2) {
+        data += ` L ${points[p]} ${points[p + 1]}`;
+      }
+      pathData.push(data);
+
+      // When we reach batch size, create the path element and reset
+      if (pathData.length >= batchSize) {
+        createPathElement(pathData.join(' '));
+        pathData.length = 0;
+      }
+    }
+
+    // Create any remaining paths
+    if (pathData.length > 0) {
+      createPathElement(pathData.join(' '));
+    }
+  }
+}
@@ -1,12 +1,74 @@
-import { generateId, debounce } from './modules/utils.js';
-import { getElement, createDiv } from './modules/domHelpers.js';
+import { debounce } from './modules/utils.js';
+import { getElement, createDiv, copyToClipboard, downloadBlob, getTextareaLineBox } from './modules/domHelpers.js';
+import { getAbsoluteXPath, getNodeText, getChildCount, getNodeLabel, getDeepNodeIds } from './modules/treeUtils.js';
+import { TreeBuilder } from './modules/treeBuilder.js';
+import { detectInputFormat, parseInputDocument, createDomParseError, findInputProblems, INPUT_FORMAT_LABELS } from './modules/inputFormats.js';
+import { getLineColumn } from './modules/xmlParser.js';
+import { mapSourceRanges, findNodeAtOffset } from './modules/sourceRanges.js';
+import { SessionStore } from './modules/sessionStore.js';
+import { encodeShareState, decodeShareState } from './modules/shareLink.js';
+import { renameElement, setAttribute, removeAttribute, setNodeText, createElement, insertNode, removeNode, moveNode, serializeXml } from './modules/xmlEditor.js';
+import { layoutTree, LAYOUT_MODES } from './modules/layout.js';
+import { toJson, toYaml, toDot } from './modules/dataExporters.js';
+import { diffTrees, DEFAULT_KEY_ATTRIBUTES } from './modules/treeDiff.js';
+import { createMatcher, searchTree } from './modules/search.js';
+import { evaluateXPath } from './modules/xpath.js';
+import { parseSchema } from './modules/xsdValidator.js';
+import { SvgRenderer } from './renderers/svgRenderer.js';
+import { CanvasRenderer } from './renderers/canvasRenderer.js';
+import { DiagramExporter } from './renderers/diagramExporter.js';
 
 class XMLTreeVisualizer {
+  // MIME type of each data export format
+  static DATA_EXPORT_FORMATS = {
+    json: "application/json",
+    yaml: "application/yaml",
+    dot: "text/vnd.graphviz",
+  };
+
+  // Inspector label for each node type of the tree model
+  static NODE_TYPE_LABELS = {
+    text: "#text",
+    cdata: "#cdata-section",
+    comment: "#comment",
+    pi: "Processing instruction",
+    declaration: "XML declaration",
+    placeholder: "Placeholder",
+    error: "Error",
+  };
+
+  // Undo steps kept; older ones are dropped
+  static HISTORY_LIMIT = 100;
+
+  // Longest hash a shared link carries its document in; larger documents
+  // are linked by the name they are saved under in this browser
+  static SHARE_HASH_LIMIT = 8000;
+
+  // Node types that can be edited, moved and deleted from the diagram
+  static EDITABLE_TYPES = ["element", "text", "cdata", "comment", "pi"];
+
   constructor() {
     // Safely get DOM elements with checks
     this.xmlInput = getElement("xmlInput", true);
     this.treeContainer = getElement("treeContainer", true);
     this.statusMessage = getElement("statusMessage");
+    this.inspectorPanel = getElement("inspectorPanel");
+    this.inspectorContent = getElement("inspectorContent");
+    this.searchInput = getElement("searchInput");
+    this.searchMode = getElement("searchMode");
+    this.searchCount = getElement("searchCount");
+    this.xpathInput = getElement("xpathInput");
+    this.xpathResult = getElement("xpathResult");
+    this.namespaceLegend = getElement("namespaceLegend");
+    this.validationPanel = getElement("validationPanel");
+    this.validationSummary = getElement("validationSummary");
+    this.validationList = getElement("validationList");
+    this.comparePanel = getElement("comparePanel");
+    this.compareInput = getElement("compareInput");
+    this.parseProblemList = getElement("parseProblemList");
+    this.savedDocumentsSelect = getElement("savedDocumentsSelect");
+    this.undoBtn = getElement("undoBtn");
+    this.redoBtn = getElement("redoBtn");
 
     // Create a missing statusMessage element if needed and treeContainer exists
     if (!this.statusMessage && this.treeContainer) {
@@ -37,6 +99,25 @@ class XMLTreeVisualizer {
     this.nodeHeight = 40;
     this.levelHeight = 80;
     this.nodeSpacing = 20;
+    this.layoutMode = "vertical"; // One of LAYOUT_MODES
+
+    // Children parsed per page; the rest waits behind a placeholder
+    this.childPageSize = 1000;
+    this.autoCollapseDepth = 5;
+
+    // Nodes sized to their label, wrapping past maxNodeWidth (0 = no limit)
+    this.fitNodesToLabel = true;
+    this.minNodeWidth = 60;
+    this.maxNodeWidth = 240;
+    this.labelLineHeight = 20;
+    this.labelFont =
+      'bold 16px "Inter", -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+    // Attribute rows drawn inside each node box
+    this.showAttributes = false;
+    this.maxAttributesPerNode = 5;
+    this.attributeRowHeight = 16;
+    this.attributeFont = '11px "JetBrains Mono", "Fira Code", monospace';
 
     // Posición para drag & pan
     this.panOffsetX = 0;
@@ -46,20 +127,112 @@ class XMLTreeVisualizer {
     this.dragStartY = 0;
 
     this.treeData = null;
+    this.xmlDoc = null;
     this.collapsedNodes = new Set();
+    this.xmlSource = "";
+    this.inputFormat = "auto"; // Format chosen in the selector, or "auto"
+    this.sourceFormat = "xml"; // Format of the current document
+    this.localNamesOnly = false;
+
+    // Compare mode: the input is diffed against a second, modified document
+    this.compareMode = false;
+    this.compareKeyAttributes = DEFAULT_KEY_ATTRIBUTES.slice();
+    this.diffCounts = null; // Status counts while a merged diff tree is shown
+
+    // XML Schema validation of the current document
+    this.schema = null;
+    this.schemaName = "";
+    this.validationErrors = null; // From the last run, null if not validated
+    this.validationNodeErrors = new Map(); // Tree node id -> messages
+
+    // Problems of the last input that failed to parse, and the input lines
+    // highlighted for one of them or for the selected node
+    this.parseProblems = []; // { message, offset, line, column, input }
+    this.inputHighlight = null; // { input, offset, endOffset, kind, box }
+
+    // Source range of each tree node in xmlSource, mapped on first use
+    this.sourceMap = null; // { text, treeData, nodeCount, ranges }
+
+    // Node being dragged to a new place in the document
+    this.nodeDrag = null; // { node, startX, startY, moved, shiftKey }
+    this.dropTargetId = null;
+    this.suppressNodeClick = false; // The click that ends a node drag
+
+    // Undo/redo of edits and view changes: { label, state } entries, see
+    // captureHistoryState
+    this.undoStack = [];
+    this.redoStack = [];
+    this.historyBatched = false; // A step was recorded in the current task
+    this.historySuppressed = false; // Changes made by undo/redo or a search
+
+    // Session and named documents saved in IndexedDB
+    this.sessionStore = null; // Until it opens, or when IndexedDB is missing
+    this.documentName = null; // Name the input was saved or opened under
+    this.savedSessionText = null; // Input text last written to the session
+    // View applied once text is visualized: { text, view, selectedNodeId }
+    // for a saved or shared one, view and text left out when there is only
+    // a node to select, or { view, selectedNodeId, knownIds } to keep the
+    // current one
+    this.pendingView = null;
+    this.scheduleSessionSave = debounce(() => this.saveSession(), 1000);
+
+    // Node types that can be shown or hidden in the diagram
+    this.nodeTypeVisibility = {
+      comment: true,
+      cdata: true,
+      pi: true,
+      declaration: true,
+      mixedText: true,
+    };
+
+    // Builds the tree model; owns the id index and the namespace registry
+    // Elements with one of these attributes get it in their node id
+    this.idKeyAttributes = [];
+    this.treeBuilder = new TreeBuilder({
+      childPageSize: this.childPageSize,
+      nodeTypeVisibility: this.nodeTypeVisibility,
+      idKeyAttributes: this.idKeyAttributes,
+    });
+    this.nodeIndex = this.treeBuilder.nodeIndex; // Lookup from node id to tree node
+    this.namespaceRegistry = this.treeBuilder.namespaceRegistry; // URI -> { prefixes, color }
+
+    // Documents above this size are parsed in a Web Worker
+    this.workerThreshold = 1000000;
+    this.parseWorker = null;
+    this.parseProgress = null;
+    this.hasFreshLayout = false; // treeData already positioned by the worker
+    this.treeFromWorker = false; // treeData built from the worker's parse, not xmlDoc
+    this.selectedNodeId = null;
+
+    // Search state: matching ids in document order and the active one
+    this.searchMatches = [];
+    this.searchMatchSet = new Set();
+    this.activeMatchIndex = -1;
+    this.searchExpandLimit = 500; // Above this, only the active hit is revealed
+
+    // XPath results mapped back to tree nodes
+    this.xpathMatches = [];
+    this.xpathMatchSet = new Set();
+    this.activeXPathIndex = -1;
 
     // Flag para indicar si es la primera visualización
     this.isFirstRender = true;
 
-    // Performance optimizations: no limit on rendered nodes initially
-    this.visibleNodeLimit = Infinity;
-    this.renderDebounceTime = 50; // Debounce time for rendering operations
+    // Viewport virtualization: only nodes near the visible area are in the DOM
+    this.viewportMargin = 300; // Screen pixels rendered beyond each edge
+    this.layoutNodes = []; // Positioned nodes outside collapsed branches, in draw order
+    this.layoutEdges = []; // [parent, child] pairs among layoutNodes
+    this.viewBox = null; // Layout area fitted into the container
+
+    // Renderer: SVG, or canvas above the threshold ("auto", "svg" or "canvas")
+    this.rendererMode = "auto";
+    this.canvasRendererThreshold = 20000; // Nodes in the layout
+    this.renderer = null;
+    this.viewportFrame = null;
     this.renderTimeout = null; // For debouncing render operations
-    this.renderedNodes = new Set(); // Track which nodes have been rendered
-    this.nodeCache = new Map(); // Cache for node elements
 
     this.initializeEventListeners();
-    this.loadDefaultXML();
+    this.restoreSession();
   }
 
   initializeEventListeners() {
@@ -76,7 +249,9 @@ class XMLTreeVisualizer {
     };
 
     // Use the helper for all buttons
-    addSafeEventListener("visualizeBtn", "click", () => this.visualizeXML());
+    addSafeEventListener("visualizeBtn", "click", () =>
+      this.compareMode ? this.compareDocuments() : this.revisualizeXML()
+    );
     addSafeEventListener("clearBtn", "click", () => this.clearInput());
     addSafeEventListener("expandAllBtn", "click", () => this.expandAll());
     addSafeEventListener("collapseAllBtn", "click", () => this.collapseAll());
@@ -84,11 +259,132 @@ class XMLTreeVisualizer {
     addSafeEventListener("zoomInBtn", "click", () => this.zoomIn());
     addSafeEventListener("zoomOutBtn", "click", () => this.zoomOut());
     addSafeEventListener("resetZoomBtn", "click", () => this.resetZoom());
+    addSafeEventListener("undoBtn", "click", () => this.undo());
+    addSafeEventListener("redoBtn", "click", () => this.redo());
 
     addSafeEventListener("fullscreenBtn", "click", () =>
       this.toggleFullscreen()
     );
-    addSafeEventListener("downloadBtn", "click", () => this.downloadDiagram());
+    addSafeEventListener("downloadBtn", "click", () => this.openExportDialog());
+    addSafeEventListener("exportFormat", "change", () =>
+      this.updateExportOptions()
+    );
+    addSafeEventListener("exportTransparent", "change", () =>
+      this.updateExportOptions()
+    );
+    addSafeEventListener("exportCancelBtn", "click", () =>
+      this.closeExportDialog()
+    );
+    addSafeEventListener("exportForm", "submit", (e) => {
+      e.preventDefault();
+      const options = this.getExportOptions();
+      this.closeExportDialog();
+      if (XMLTreeVisualizer.DATA_EXPORT_FORMATS[options.format]) {
+        this.exportData(options);
+      } else {
+        this.exportDiagram(options);
+      }
+    });
+    addSafeEventListener("closeInspectorBtn", "click", () =>
+      this.closeInspector()
+    );
+
+    addSafeEventListener("showAttributesToggle", "change", (e) =>
+      this.setAttributeDisplay(e.target.checked, this.maxAttributesPerNode)
+    );
+    addSafeEventListener("maxAttributesInput", "change", (e) =>
+      this.setAttributeDisplay(
+        this.showAttributes,
+        parseInt(e.target.value, 10)
+      )
+    );
+    // Search across the whole tree, not only the rendered nodes
+    const debouncedSearch = debounce(() => this.runSearch(), 250);
+    addSafeEventListener("searchInput", "input", debouncedSearch);
+    addSafeEventListener("searchInput", "keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.goToMatch(e.shiftKey ? -1 : 1);
+      } else if (e.key === "Escape") {
+        e.target.value = "";
+        this.runSearch();
+      }
+    });
+    addSafeEventListener("searchMode", "change", () => this.runSearch());
+    addSafeEventListener("searchPrevBtn", "click", () => this.goToMatch(-1));
+    addSafeEventListener("searchNextBtn", "click", () => this.goToMatch(1));
+
+    addSafeEventListener("xpathRunBtn", "click", () => this.runXPath());
+    addSafeEventListener("xpathClearBtn", "click", () => this.clearXPath());
+    addSafeEventListener("xpathInput", "keydown", (e) => {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      // Enter again on the same expression steps through its results
+      if (
+        this.xpathMatches.length > 0 &&
+        e.target.value === this.lastXPathExpression
+      ) {
+        this.goToXPathMatch(e.shiftKey ? -1 : 1);
+      } else {
+        this.runXPath();
+      }
+    });
+
+    // Show or hide comments, CDATA, processing instructions, etc.
+    Object.keys(this.nodeTypeVisibility).forEach((type) => {
+      const toggleId = `show${type[0].toUpperCase()}${type.slice(1)}Toggle`;
+      addSafeEventListener(toggleId, "change", (e) =>
+        this.setNodeTypeVisibility(type, e.target.checked)
+      );
+    });
+
+    addSafeEventListener("localNamesToggle", "change", (e) =>
+      this.setLocalNamesOnly(e.target.checked)
+    );
+
+    addSafeEventListener("fitNodesToggle", "change", (e) =>
+      this.setNodeSizing(e.target.checked, this.maxNodeWidth)
+    );
+    addSafeEventListener("maxNodeWidthInput", "change", (e) =>
+      this.setNodeSizing(this.fitNodesToLabel, parseInt(e.target.value, 10))
+    );
+    addSafeEventListener("idKeysInput", "change", (e) =>
+      this.setIdKeyAttributes(e.target.value)
+    );
+    addSafeEventListener("inputFormatSelect", "change", (e) => {
+      this.inputFormat = e.target.value;
+      this.scheduleSessionSave();
+    });
+    addSafeEventListener("saveDocumentBtn", "click", () => this.saveDocument());
+    addSafeEventListener("deleteDocumentBtn", "click", () =>
+      this.deleteSavedDocument()
+    );
+    addSafeEventListener("shareLinkBtn", "click", () => this.copyShareLink());
+    // A shared link pasted in the address bar of an open page
+    window.addEventListener("hashchange", () => this.openShareLink());
+    addSafeEventListener("savedDocumentsSelect", "change", (e) => {
+      if (e.target.value) this.openSavedDocument(e.target.value);
+    });
+    addSafeEventListener("compareToggleBtn", "click", () =>
+      this.setCompareMode(!this.compareMode)
+    );
+    addSafeEventListener("compareKeysInput", "change", (e) =>
+      this.setCompareKeyAttributes(e.target.value)
+    );
+    addSafeEventListener("schemaBtn", "click", () => {
+      const fileInput = document.getElementById("schemaFileInput");
+      if (fileInput) fileInput.click();
+    });
+    addSafeEventListener("schemaFileInput", "change", (e) => {
+      const file = e.target.files[0];
+      // Allow choosing the same file again after editing it
+      e.target.value = "";
+      if (file) this.loadSchemaFile(file);
+    });
+    addSafeEventListener("schemaClearBtn", "click", () => this.clearSchema());
+    addSafeEventListener("layoutModeSelect", "change", (e) =>
+      this.setLayoutMode(e.target.value)
+    );
 
     // Implementar arrastre (drag & pan)
     if (this.treeContainer) {
@@ -96,7 +392,7 @@ class XMLTreeVisualizer {
         this.startDrag(e)
       );
       this.treeContainer.addEventListener("mousemove", (e) => this.drag(e));
-      this.treeContainer.addEventListener("mouseup", () => this.endDrag());
+      this.treeContainer.addEventListener("mouseup", (e) => this.endDrag(e));
       this.treeContainer.addEventListener("mouseleave", () => this.endDrag());
 
       // Soporte para rueda del ratón para zoom
@@ -133,10 +429,51 @@ class XMLTreeVisualizer {
       });
     }
 
+    // A bigger container shows more of the tree
+    window.addEventListener("resize", () => this.scheduleViewportUpdate());
+
+    // The highlighted lines follow the textarea as it scrolls or rewraps;
+    // editing the text moves them and the problems, so they are cleared
+    [this.xmlInput, this.compareInput].forEach((input) => {
+      if (!input) return;
+      input.addEventListener("scroll", () => {
+        if (this.inputHighlight && this.inputHighlight.input === input) {
+          this.positionInputHighlight();
+        }
+      });
+      input.addEventListener("input", () => {
+        if (input === this.xmlInput) this.scheduleSessionSave();
+        if (this.parseProblems.some((problem) => problem.input === input)) {
+          this.clearParseProblems();
+        } else if (this.inputHighlight && this.inputHighlight.input === input) {
+          this.clearInputHighlight();
+        }
+      });
+    });
+    window.addEventListener("resize", () => {
+      if (this.inputHighlight) {
+        const { input, offset, endOffset, kind } = this.inputHighlight;
+        this.highlightInputLines(input, offset, endOffset, kind);
+      }
+    });
+
+    // IndexedDB writes may not finish while the page unloads, so save as
+    // soon as it is hidden
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") this.saveSession();
+    });
+
+    // Moving the caret in the source selects the node written there
+    const syncToCaret = debounce(() => this.selectNodeAtCaret(), 150);
+    if (this.xmlInput) {
+      this.xmlInput.addEventListener("click", syncToCaret);
+      this.xmlInput.addEventListener("keyup", syncToCaret);
+    }
+
     // Auto-visualize on paste
     if (this.xmlInput) {
       this.xmlInput.addEventListener("paste", () => {
-        setTimeout(() => this.visualizeXML(), 100);
+        setTimeout(() => this.revisualizeXML(), 100);
       });
     }
 
@@ -146,7 +483,7 @@ class XMLTreeVisualizer {
         switch (e.key) {
           case "Enter":
             e.preventDefault();
-            this.visualizeXML();
+            this.revisualizeXML();
             break;
           case "=":
           case "+":
@@ -161,7 +498,45 @@ class XMLTreeVisualizer {
             e.preventDefault();
             this.resetZoom();
             break;
+          case "f":
+            if (this.searchInput) {
+              e.preventDefault();
+              this.searchInput.focus();
+              this.searchInput.select();
+            }
+            break;
+          case "z":
+          case "Z":
+            // Fields keep their own undo
+            if (!/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) {
+              e.preventDefault();
+              if (e.shiftKey) {
+                this.redo();
+              } else {
+                this.undo();
+              }
+            }
+            break;
+        }
+        return;
+      }
+
+      // Editing shortcuts for the selected node, unless typing in a field
+      const node =
+        this.selectedNodeId && this.nodeIndex.get(this.selectedNodeId);
+      if (!node || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) {
+        return;
+      }
+      if (e.key === "F2") {
+        e.preventDefault();
+        if (node.type === "element") {
+          this.renameNode(node);
+        } else {
+          this.editNodeText(node);
         }
+      } else if (e.key === "Delete") {
+        e.preventDefault();
+        this.deleteNode(node);
       }
     });
   }
@@ -211,6 +586,508 @@ class XMLTreeVisualizer {
     }
   }
 
+  // Abre el enlace compartido de la URL, o restaura la última sesión
+  // guardada; sin sesión, o sin IndexedDB, carga el ejemplo
+  async restoreSession() {
+    let session = null;
+    try {
+      this.sessionStore = await SessionStore.open();
+      session = await this.sessionStore.loadSession();
+    } catch (error) {
+      console.warn("Saved sessions are not available", error);
+      this.sessionStore = null;
+    }
+    this.renderSavedDocuments();
+
+    if (await this.openShareLink()) return;
+
+    if (!session || !session.text.trim()) {
+      this.loadDefaultXML();
+      return;
+    }
+
+    this.applySettings(session.settings || {});
+    this.documentName = session.documentName || null;
+    this.savedSessionText = session.text;
+    this.xmlInput.value = session.text;
+    this.pendingView = session.view
+      ? { text: session.text.trim(), view: session.view }
+      : null;
+    this.visualizeXML();
+  }
+
+  saveSession() {
+    if (!this.sessionStore) return;
+
+    const session = {
+      documentName: this.documentName,
+      settings: this.getSettings(),
+      view: this.getSavedView(),
+      savedAt: Date.now(),
+    };
+    // The text is only written again when it changed
+    const text = this.xmlInput.value;
+    if (text !== this.savedSessionText) {
+      session.text = text;
+      this.savedSessionText = text;
+    }
+
+    this.sessionStore
+      .saveSession(session)
+      .catch((error) => console.warn("Could not save the session", error));
+  }
+
+  // View options saved with the session
+  getSettings() {
+    return {
+      inputFormat: this.inputFormat,
+      showAttributes: this.showAttributes,
+      maxAttributesPerNode: this.maxAttributesPerNode,
+      nodeTypeVisibility: { ...this.nodeTypeVisibility },
+      localNamesOnly: this.localNamesOnly,
+      fitNodesToLabel: this.fitNodesToLabel,
+      maxNodeWidth: this.maxNodeWidth,
+      layoutMode: this.layoutMode,
+      idKeyAttributes: this.idKeyAttributes.slice(),
+    };
+  }
+
+  // Applies saved settings before a document is shown, and updates the
+  // controls to match; unknown or missing values are left as they are
+  applySettings(settings) {
+    const setControl = (id, property, value) => {
+      const control = document.getElementById(id);
+      if (control) control[property] = value;
+    };
+
+    if (
+      settings.inputFormat === "auto" ||
+      INPUT_FORMAT_LABELS[settings.inputFormat]
+    ) {
+      this.inputFormat = settings.inputFormat;
+      setControl("inputFormatSelect", "value", this.inputFormat);
+    }
+    if (typeof settings.showAttributes === "boolean") {
+      this.showAttributes = settings.showAttributes;
+      setControl("showAttributesToggle", "checked", this.showAttributes);
+    }
+    if (Number.isInteger(settings.maxAttributesPerNode)) {
+      this.maxAttributesPerNode = settings.maxAttributesPerNode;
+      setControl("maxAttributesInput", "value", this.maxAttributesPerNode);
+    }
+    // Shared with the tree builder, so updated in place
+    Object.keys(this.nodeTypeVisibility).forEach((type) => {
+      const visible = (settings.nodeTypeVisibility || {})[type];
+      if (typeof visible !== "boolean") return;
+      this.nodeTypeVisibility[type] = visible;
+      setControl(
+        `show${type[0].toUpperCase()}${type.slice(1)}Toggle`,
+        "checked",
+        visible
+      );
+    });
+    if (typeof settings.localNamesOnly === "boolean") {
+      this.localNamesOnly = settings.localNamesOnly;
+      setControl("localNamesToggle", "checked", this.localNamesOnly);
+    }
+    if (typeof settings.fitNodesToLabel === "boolean") {
+      this.fitNodesToLabel = settings.fitNodesToLabel;
+      setControl("fitNodesToggle", "checked", this.fitNodesToLabel);
+    }
+    if (Number.isInteger(settings.maxNodeWidth)) {
+      this.maxNodeWidth = settings.maxNodeWidth;
+      setControl("maxNodeWidthInput", "value", this.maxNodeWidth);
+    }
+    if (LAYOUT_MODES.includes(settings.layoutMode)) {
+      this.layoutMode = settings.layoutMode;
+      setControl("layoutModeSelect", "value", this.layoutMode);
+    }
+    if (Array.isArray(settings.idKeyAttributes)) {
+      this.setIdKeyAttributes(settings.idKeyAttributes.join(", "), false);
+      setControl("idKeysInput", "value", settings.idKeyAttributes.join(", "));
+    }
+  }
+
+  /**
+   * Collapse state and camera of the tree shown. Node ids are document
+   * paths, so they still name the same nodes when the text is parsed again.
+   * @returns {Object|null} { collapsedPaths, panOffsetX, panOffsetY,
+   *   currentZoom }, null without a single document tree
+   */
+  getSavedView() {
+    if (!this.treeData || this.diffCounts) return null;
+
+    return {
+      collapsedPaths: [...this.collapsedNodes],
+      panOffsetX: this.panOffsetX,
+      panOffsetY: this.panOffsetY,
+      currentZoom: this.currentZoom,
+    };
+  }
+
+  // Re-visualizing the input after editing it keeps the view of the tree
+  // shown, see applyPendingView
+  revisualizeXML() {
+    this.keepCurrentView();
+    this.visualizeXML();
+  }
+
+  /**
+   * Opens the document and view of a shared link in the URL hash. The hash
+   * is cleared once read, so reloading the page restores the session.
+   * @returns {Promise<boolean>} whether a link was opened
+   */
+  async openShareLink() {
+    let state;
+    try {
+      state = await decodeShareState(window.location.hash);
+    } catch (error) {
+      this.showStatus(
+        `Could not open the shared link: ${error.message}`,
+        "error"
+      );
+      return false;
+    }
+    if (!state) return false;
+    window.history.replaceState(
+      null,
+      "",
+      window.location.pathname + window.location.search
+    );
+
+    let { text, view } = state;
+    let documentName = null;
+    if (typeof state.saved === "string") {
+      let record = null;
+      try {
+        record = this.sessionStore
+          ? await this.sessionStore.openDocument(state.saved)
+          : null;
+      } catch (error) {
+        console.warn("Could not open the linked document", error);
+      }
+      if (!record) {
+        this.showStatus(
+          `The shared link opens "${state.saved}", which is not saved in this browser`,
+          "error"
+        );
+        return false;
+      }
+      text = record.text;
+      documentName = record.name;
+      view = record.view;
+    }
+
+    if (this.compareMode) {
+      this.setCompareMode(false);
+    }
+    this.applySettings(state.settings || {});
+    this.documentName = documentName;
+    this.xmlInput.value = text;
+    // A saved document is opened with the view saved with it; the linked
+    // node is selected even when it has none
+    this.pendingView = {
+      text: view ? text.trim() : undefined,
+      view,
+      selectedNodeId: state.selectedNodeId,
+    };
+    this.renderSavedDocuments();
+    this.visualizeXML();
+    return true;
+  }
+
+  // Copia un enlace que abre el documento con la vista y el nodo seleccionado
+  async copyShareLink() {
+    const view = this.getShareView();
+    if (!view) {
+      this.showStatus("Visualize a document to share a link to it", "info");
+      return;
+    }
+
+    const state = {
+      settings: this.getSettings(),
+      selectedNodeId: this.selectedNodeId,
+    };
+    let hash = await encodeShareState({
+      ...state,
+      text: this.xmlSource,
+      view,
+    });
+    if (hash.length > XMLTreeVisualizer.SHARE_HASH_LIMIT) {
+      this.showStatus(
+        "The document is too large for a link: save it to link to it",
+        "info"
+      );
+      // Saved text may differ from the input, so it is saved again, with
+      // the view: the link only names it and the selected node
+      if (
+        this.xmlInput.value.trim() !== this.xmlSource ||
+        !(await this.saveDocument())
+      ) {
+        return;
+      }
+      hash = await encodeShareState({ ...state, saved: this.documentName });
+      if (hash.length > XMLTreeVisualizer.SHARE_HASH_LIMIT) {
+        this.showStatus("The link would be too long to share", "error");
+        return;
+      }
+    }
+
+    const url = new URL(window.location.href);
+    url.hash = hash;
+    this.copyValue("Link", url.href);
+  }
+
+  /**
+   * View of a shared link: collapse state as the nodes left open, so nodes
+   * that are not open in it start collapsed
+   * @returns {Object|null} { expandedPaths, panOffsetX, panOffsetY,
+   *   currentZoom }, null without a single document tree
+   */
+  getShareView() {
+    const view = this.getSavedView();
+    if (!view) return null;
+
+    const expandedPaths = [];
+    this.nodeIndex.forEach((node, id) => {
+      if (node.children.length > 0 && !this.collapsedNodes.has(id)) {
+        expandedPaths.push(id);
+      }
+    });
+    const { collapsedPaths, ...camera } = view;
+    return { expandedPaths, ...camera };
+  }
+
+  keepCurrentView() {
+    const view = this.pendingView ? null : this.getSavedView();
+    if (!view) return;
+
+    this.pendingView = {
+      view,
+      selectedNodeId: this.selectedNodeId,
+      knownIds: new Set(this.nodeIndex.keys()),
+    };
+  }
+
+  /**
+   * Applies the pending view before the first render of a document. A saved
+   * view is dropped when it was saved for other text; a kept view when the
+   * root element changed. Nodes new to a kept view keep their automatic
+   * collapse state. Nodes of the view behind placeholders are loaded, and
+   * the node to select is left in view, also without a view to apply.
+   * @returns {string|null} id of the node to select once rendered, see
+   *   selectPendingNode
+   */
+  applyPendingView() {
+    const pending = this.pendingView;
+    this.pendingView = null;
+    if (!pending) return null;
+
+    const { view, knownIds } = pending;
+    if (knownIds) {
+      const root = this.treeData.find((node) => node.type === "element");
+      if (!root || !knownIds.has(root.id)) return null;
+    } else if (pending.text !== undefined && pending.text !== this.xmlSource) {
+      return null;
+    }
+
+    // Pages of children loaded when the view was saved are loaded again
+    const paths = view ? view.expandedPaths || view.collapsedPaths : [];
+    paths.forEach((id) => this.loadNodePath(id));
+    if (pending.selectedNodeId) {
+      this.loadNodePath(pending.selectedNodeId);
+    }
+
+    let collapsed;
+    if (!view) {
+      collapsed = new Set(this.collapsedNodes);
+    } else if (view.expandedPaths) {
+      const expanded = new Set(view.expandedPaths);
+      collapsed = new Set();
+      this.nodeIndex.forEach((node, id) => {
+        if (node.children.length > 0 && !expanded.has(id)) collapsed.add(id);
+      });
+    } else {
+      collapsed = new Set(
+        view.collapsedPaths.filter((id) => this.nodeIndex.has(id))
+      );
+    }
+    if (knownIds) {
+      this.collapsedNodes.forEach((id) => {
+        if (!knownIds.has(id)) collapsed.add(id);
+      });
+    }
+    const selected = this.nodeIndex.get(pending.selectedNodeId);
+    for (let node = selected; node; node = this.nodeIndex.get(node.parentId)) {
+      collapsed.delete(node.parentId);
+    }
+    this.collapsedNodes = collapsed;
+    // Positions laid out by the worker were for its collapse state
+    this.hasFreshLayout = false;
+
+    if (view) {
+      this.panOffsetX = view.panOffsetX;
+      this.panOffsetY = view.panOffsetY;
+      this.currentZoom = view.currentZoom;
+      this.isFirstRender = false;
+    }
+
+    // Editing the input may have removed the node of a kept view
+    if (knownIds && !selected) return null;
+    return pending.selectedNodeId || null;
+  }
+
+  // Selects the node of a restored view, or says that it is gone
+  selectPendingNode(id) {
+    if (this.nodeIndex.has(id)) {
+      this.selectNode(id);
+    } else {
+      this.showStatus(`The selected node ${id} is not in the document`, "info");
+    }
+  }
+
+  // Lista de documentos guardados, el más reciente primero
+  async renderSavedDocuments() {
+    const select = this.savedDocumentsSelect;
+    if (!select) return;
+
+    let documents = [];
+    if (this.sessionStore) {
+      try {
+        documents = await this.sessionStore.listDocuments();
+      } catch (error) {
+        console.warn("Could not list the saved documents", error);
+      }
+    }
+
+    select.innerHTML = "";
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent =
+      documents.length > 0 ? "Saved documents" : "No saved documents";
+    select.appendChild(placeholder);
+
+    documents.forEach((entry) => {
+      const option = document.createElement("option");
+      option.value = entry.name;
+      option.textContent = entry.name;
+      option.title = `${entry.size} characters, saved ${new Date(
+        entry.savedAt
+      ).toLocaleString()}`;
+      select.appendChild(option);
+    });
+
+    select.value = documents.some((entry) => entry.name === this.documentName)
+      ? this.documentName
+      : "";
+    select.disabled = !this.sessionStore;
+  }
+
+  /**
+   * Saves the input under a name the user chooses
+   * @returns {Promise<boolean>} whether it was saved
+   */
+  async saveDocument() {
+    if (!this.sessionStore) {
+      this.showStatus("Documents cannot be saved in this browser", "error");
+      return false;
+    }
+    const text = this.xmlInput.value;
+    if (!text.trim()) {
+      this.showStatus("There is no document to save", "error");
+      return false;
+    }
+
+    const root =
+      this.treeData && this.treeData.find((node) => node.type === "element");
+    const input = prompt(
+      "Save the document as:",
+      this.documentName || (root ? root.name : "document")
+    );
+    const name = input === null ? "" : input.trim();
+    if (!name) return false;
+
+    try {
+      const documents = await this.sessionStore.listDocuments();
+      if (
+        name !== this.documentName &&
+        documents.some((entry) => entry.name === name) &&
+        !confirm(`Replace the saved document "${name}"?`)
+      ) {
+        return false;
+      }
+
+      // The view only fits the text it was made for
+      await this.sessionStore.saveDocument({
+        name,
+        text,
+        format: this.inputFormat,
+        view: text.trim() === this.xmlSource ? this.getSavedView() : null,
+      });
+    } catch (error) {
+      this.showStatus(`Could not save the document: ${error.message}`, "error");
+      return false;
+    }
+
+    this.documentName = name;
+    this.renderSavedDocuments();
+    this.scheduleSessionSave();
+    this.showStatus(`Saved "${name}"`, "success");
+    return true;
+  }
+
+  // Carga un documento guardado con su vista
+  async openSavedDocument(name) {
+    let record;
+    try {
+      record = await this.sessionStore.openDocument(name);
+    } catch (error) {
+      this.showStatus(`Could not open "${name}": ${error.message}`, "error");
+      return;
+    }
+    if (!record) {
+      this.showStatus(`"${name}" is no longer saved`, "error");
+      this.renderSavedDocuments();
+      return;
+    }
+
+    if (this.compareMode) {
+      this.setCompareMode(false);
+    }
+    this.applySettings({ inputFormat: record.format });
+    this.documentName = record.name;
+    this.xmlInput.value = record.text;
+    this.pendingView = record.view
+      ? { text: record.text.trim(), view: record.view }
+      : null;
+    this.renderSavedDocuments();
+    this.visualizeXML();
+  }
+
+  async deleteSavedDocument() {
+    const select = this.savedDocumentsSelect;
+    const name = (select && select.value) || this.documentName;
+    if (!this.sessionStore || !name) {
+      this.showStatus("Choose a saved document to delete", "info");
+      return;
+    }
+    if (!confirm(`Delete the saved document "${name}"?`)) return;
+
+    try {
+      await this.sessionStore.deleteDocument(name);
+    } catch (error) {
+      this.showStatus(`Could not delete "${name}": ${error.message}`, "error");
+      return;
+    }
+
+    if (this.documentName === name) {
+      this.documentName = null;
+      this.scheduleSessionSave();
+    }
+    this.renderSavedDocuments();
+    this.showStatus(`Deleted "${name}"`, "info");
+  }
+
   showStatus(message, type = "info") {
     // Check if statusMessage element exists before trying to access it
     if (!this.statusMessage) {
@@ -254,488 +1131,1370 @@ class XMLTreeVisualizer {
       return;
     }
 
+    // A new document replaces any parse still running
+    this.cancelWorkerParse(false);
+    this.clearParseProblems();
+
+    const format =
+      this.inputFormat === "auto"
+        ? detectInputFormat(xmlText)
+        : this.inputFormat;
+
+    // Very large documents are parsed off the main thread so the page stays
+    // responsive; HTML needs DOMParser, which workers don't have
+    if (
+      format !== "html" &&
+      xmlText.length > this.workerThreshold &&
+      this.parseInWorker(xmlText, format)
+    ) {
+      return;
+    }
+
     // Show processing indicator for large XML files
     if (xmlText.length > 500000) {
       this.showStatus("Processing large XML file...", "info");
     }
 
     try {
-      // Reset state for new visualization
-      this.nodeCache.clear();
-      this.renderedNodes.clear();
-      this.collapsedNodes.clear();
-
       // Use a try-catch with timeout to handle extremely large XML that might crash
       const startTime = performance.now();
 
-      const parser = new DOMParser();
-
-      // For very large XML, we'll use a timeout to prevent UI freezing
-      if (xmlText.length > 1000000) {
-        // 1MB+
+      // For very large XML without worker support, use a timeout to let the UI update first
+      if (xmlText.length > this.workerThreshold) {
         this.showStatus(
           "Processing very large XML file. This may take a moment...",
           "info"
         );
 
-        // Use setTimeout to allow UI to update before processing
         setTimeout(() => {
           try {
-            const xmlDoc = parser.parseFromString(xmlText, "text/xml");
-
-            const parseError = xmlDoc.querySelector("parsererror");
-            if (parseError) {
-              throw new Error("Invalid XML format: " + parseError.textContent);
-            }
-
-            this.processXmlDocument(xmlDoc, startTime);
+            this.parseOnMainThread(xmlText, startTime, format);
           } catch (innerError) {
-            this.handleXmlError(innerError);
+            this.handleXmlError(innerError, format, xmlText);
           }
         }, 50);
       } else {
-        // For smaller XML, process directly
-        const xmlDoc = parser.parseFromString(xmlText, "text/xml");
-
-        const parseError = xmlDoc.querySelector("parsererror");
-        if (parseError) {
-          throw new Error("Invalid XML format: " + parseError.textContent);
-        }
-
-        this.processXmlDocument(xmlDoc, startTime);
+        this.parseOnMainThread(xmlText, startTime, format);
       }
     } catch (error) {
-      this.handleXmlError(error);
+      this.handleXmlError(error, format, xmlText);
     }
   }
 
-  processXmlDocument(xmlDoc, startTime) {
-    // Parse tree with performance tracking
-    this.treeData = this.parseXMLToTree(xmlDoc);
-
-    // Reset position and zoom for new visualization
-    this.panOffsetX = 0;
-    this.panOffsetY = 0;
-    this.currentZoom = 1;
+  parseOnMainThread(xmlText, startTime, format = "xml") {
+    const xmlDoc = this.parseDocument(xmlText, format);
 
-    const parseTime = performance.now() - startTime;
-    console.log(`XML parsing completed in ${parseTime.toFixed(2)}ms`);
+    this.resetDocumentState();
+    this.sourceFormat = format;
+    this.processXmlDocument(xmlDoc, startTime, xmlText);
+  }
 
-    // Auto-collapse tree to show only first and second level
-    this.autoCollapseDeepNodes(5);
-    // Render the tree
-    this.renderTree();
+  /**
+   * Parses a document in any input format. XML goes through DOMParser so
+   * XPath can run on it; the other formats become the plain document
+   * objects the tree builder also reads.
+   * @param {string} text
+   * @param {string} format - one of INPUT_FORMATS
+   * @returns {Document|Object}
+   * @throws {Error} when the document is malformed
+   */
+  parseDocument(text, format) {
+    if (format === "xml") {
+      const xmlDoc = new DOMParser().parseFromString(text, "text/xml");
+      const parseError = xmlDoc.querySelector("parsererror");
+      if (parseError) {
+        throw createDomParseError(text, parseError.textContent);
+      }
+      return xmlDoc;
+    }
 
-    const totalTime = performance.now() - startTime;
-    const message = `XML visualized successfully in ${(
-      totalTime / 1000
-    ).toFixed(2)}s with ${this.totalNodeCount} nodes`;
+    try {
+      return parseInputDocument(text, format);
+    } catch (error) {
+      throw new Error(
+        `Invalid ${INPUT_FORMAT_LABELS[format]} format: ${error.message}`,
+        { cause: error }
+      );
+    }
+  }
 
-    this.showStatus(message, "success");
+  // Reset state for new visualization
+  resetDocumentState() {
+    this.collapsedNodes.clear();
+    this.clearHistory();
+    this.sourceMap = null;
+    this.diffCounts = null;
+    this.validationErrors = null;
+    this.treeBuilder.reset();
+    this.hasFreshLayout = false;
+    this.closeInspector();
+    this.resetXPathState();
   }
 
-  handleXmlError(error) {
-    if (error.message.includes("Maximum call stack size exceeded")) {
+  // Parsea en un Web Worker con progreso y cancelación; devuelve false si no
+  // se pudo crear el worker para que se use el parser del hilo principal
+  parseInWorker(xmlText, format = "xml") {
+    let worker;
+    try {
+      worker = new Worker(
+        new URL("./workers/parseWorker.js", import.meta.url),
+        { type: "module" }
+      );
+    } catch (error) {
+      console.warn("Parse worker not available, parsing on main thread", error);
+      return false;
+    }
+
+    const startTime = performance.now();
+    this.parseWorker = worker;
+    this.showParseProgress();
+
+    worker.addEventListener("message", (e) => {
+      const message = e.data;
+      if (message.type === "progress") {
+        this.updateParseProgress(message);
+        return;
+      }
+
+      this.finishWorkerParse();
+      if (message.type === "result") {
+        try {
+          this.processWorkerResult(message, xmlText, startTime, format);
+        } catch (error) {
+          this.handleXmlError(error, format);
+        }
+      } else {
+        const error = new Error(
+          `Invalid ${INPUT_FORMAT_LABELS[format]} format: ${message.message}`
+        );
+        error.problems = message.problems;
+        this.handleXmlError(error, format, xmlText);
+      }
+    });
+
+    // Module workers can fail to load (old browsers, file://): fall back
+    worker.addEventListener("error", (e) => {
+      e.preventDefault();
+      console.warn("Parse worker failed, parsing on main thread", e.message);
+      this.finishWorkerParse();
+      try {
+        this.parseOnMainThread(xmlText, startTime, format);
+      } catch (error) {
+        this.handleXmlError(error, format, xmlText);
+      }
+    });
+
+    worker.postMessage({
+      text: xmlText,
+      format,
+      childPageSize: this.childPageSize,
+      nodeTypeVisibility: this.nodeTypeVisibility,
+      idKeyAttributes: this.idKeyAttributes,
+      autoCollapseDepth: this.autoCollapseDepth,
+      layoutSettings: this.getLayoutSettings(),
+    });
+    return true;
+  }
+
+  processWorkerResult(result, xmlText, startTime, format = "xml") {
+    this.resetDocumentState();
+    this.sourceFormat = format;
+
+    // No DOM document: XPath parses one on demand
+    this.treeData = result.roots;
+    this.xmlDoc = null;
+    this.xmlSource = xmlText;
+    this.treeFromWorker = true;
+    this.treeBuilder.indexTree(result.roots);
+    this.totalNodeCount = result.totalNodeCount;
+    result.namespaces.forEach((entry, uri) =>
+      this.namespaceRegistry.set(uri, entry)
+    );
+    this.renderNamespaceLegend();
+
+    // Collapse state and positions come from the worker
+    this.collapsedNodes = result.collapsed;
+    this.hasFreshLayout = true;
+    this.validateDocument();
+
+    this.panOffsetX = 0;
+    this.panOffsetY = 0;
+    this.currentZoom = 1;
+    const selectedId = this.applyPendingView();
+    this.renderTree();
+
+    if (this.searchInput && this.searchInput.value) {
+      this.runSearch(false);
+    }
+
+    const totalTime = performance.now() - startTime;
+    this.showStatus(
+      `${INPUT_FORMAT_LABELS[this.sourceFormat]} visualized successfully in ${(
+        totalTime / 1000
+      ).toFixed(2)}s with ${this.totalNodeCount} nodes`,
+      "success"
+    );
+    if (selectedId) {
+      this.selectPendingNode(selectedId);
+    }
+  }
+
+  showParseProgress() {
+    const host = this.treeContainer.parentNode || this.treeContainer;
+
+    const indicator = document.createElement("div");
+    indicator.className = "tree-loading-indicator parse-progress";
+    indicator.setAttribute("role", "status");
+    indicator.innerHTML =
+      '<div class="parse-progress-label">Parsing XML... 0%</div>' +
+      '<div class="progress-bar"><div class="progress"></div></div>';
+
+    const cancelButton = document.createElement("button");
+    cancelButton.className = "btn btn-secondary parse-cancel-btn";
+    cancelButton.textContent = "Cancel";
+    cancelButton.addEventListener("click", () => this.cancelWorkerParse());
+    indicator.appendChild(cancelButton);
+
+    host.appendChild(indicator);
+    this.parseProgress = indicator;
+  }
+
+  updateParseProgress({ phase, loaded, total }) {
+    if (!this.parseProgress) return;
+
+    // Parsing is most of the work; building and layout share the rest
+    const percent =
+      phase === "parse"
+        ? Math.round((loaded / total) * 80)
+        : phase === "build"
+        ? 85
+        : 95;
+    const labels = {
+      parse: "Parsing XML...",
+      build: "Building tree...",
+      layout: "Laying out nodes...",
+    };
+
+    this.parseProgress.querySelector(
+      ".parse-progress-label"
+    ).textContent = `${labels[phase]} ${percent}%`;
+    this.parseProgress.querySelector(".progress").style.width = `${percent}%`;
+  }
+
+  finishWorkerParse() {
+    if (this.parseWorker) {
+      this.parseWorker.terminate();
+      this.parseWorker = null;
+    }
+    if (this.parseProgress) {
+      this.parseProgress.remove();
+      this.parseProgress = null;
+    }
+  }
+
+  // Aborta el parseo en curso; el árbol anterior sigue visible
+  cancelWorkerParse(notify = true) {
+    if (!this.parseWorker) return;
+
+    this.finishWorkerParse();
+    if (notify) {
+      this.showStatus("Parsing cancelled", "info");
+    }
+  }
+
+  processXmlDocument(xmlDoc, startTime, xmlText) {
+    // Parse tree with performance tracking
+    this.treeData = this.parseXMLToTree(xmlDoc, xmlText);
+    this.xmlDoc = xmlDoc;
+    this.xmlSource = xmlText;
+    this.treeFromWorker = false;
+    this.renderNamespaceLegend();
+
+    // Reset position and zoom for new visualization
+    this.panOffsetX = 0;
+    this.panOffsetY = 0;
+    this.currentZoom = 1;
+
+    const parseTime = performance.now() - startTime;
+    console.log(`XML parsing completed in ${parseTime.toFixed(2)}ms`);
+
+    // Auto-collapse tree to show only first and second level
+    this.autoCollapseDeepNodes(this.autoCollapseDepth);
+    const selectedId = this.applyPendingView();
+    this.validateDocument();
+    // Render the tree
+    this.renderTree();
+
+    // Node ids changed, so refresh the hits of an active search
+    if (this.searchInput && this.searchInput.value) {
+      this.runSearch(false);
+    }
+
+    const totalTime = performance.now() - startTime;
+    const message = `${
+      INPUT_FORMAT_LABELS[this.sourceFormat]
+    } visualized successfully in ${(totalTime / 1000).toFixed(2)}s with ${
+      this.totalNodeCount
+    } nodes`;
+
+    this.showStatus(message, "success");
+    if (selectedId) {
+      this.selectPendingNode(selectedId);
+    }
+  }
+
+  /**
+   * Reports a document that could not be visualized. When the problems can
+   * be placed in the text they are listed under the input, and the caret
+   * moves to the first one.
+   * @param {Error} error
+   * @param {string} [format] - one of INPUT_FORMATS
+   * @param {string} [text] - the text that was parsed
+   * @param {HTMLTextAreaElement} [input] - the textarea the text came from
+   */
+  handleXmlError(error, format = "xml", text = null, input = this.xmlInput) {
+    const label = INPUT_FORMAT_LABELS[format];
+    this.pendingView = null;
+    if (error.message.includes("Maximum call stack size exceeded")) {
       this.showStatus(
         "XML is too complex to process. Try a smaller file or simplify the structure.",
         "error"
       );
     } else {
-      this.showStatus(`Error parsing XML: ${error.message}`, "error");
+      const problems =
+        error.problems ||
+        (text ? findInputProblems(text, format, error.cause || error) : []);
+      this.showParseProblems(problems, text, input);
+
+      const first = this.parseProblems[0];
+      if (first) {
+        const more = this.parseProblems.length - 1;
+        this.showStatus(
+          `Error parsing ${label} at line ${first.line}, column ${
+            first.column
+          }: ${first.message}${
+            more > 0
+              ? ` (and ${more} more problem${more === 1 ? "" : "s"})`
+              : ""
+          }`,
+          "error"
+        );
+        this.goToParseProblem(0);
+      } else {
+        this.showStatus(`Error parsing ${label}: ${error.message}`, "error");
+      }
     }
     console.error("XML parsing error:", error);
   }
 
-  parseXMLToTree(xmlDoc) {
-    const rootElements = Array.from(xmlDoc.childNodes).filter(
-      (node) => node.nodeType === Node.ELEMENT_NODE
-    );
+  // Problem offsets are in the parsed text, which is the input trimmed;
+  // lines and columns are counted again in the input itself
+  showParseProblems(problems, text, input) {
+    this.clearParseProblems();
+    const base = input && text ? input.value.indexOf(text) : -1;
+    if (base === -1) return;
+
+    this.parseProblems = problems.map((problem) => {
+      const offset = base + problem.offset;
+      return {
+        message: problem.message,
+        offset,
+        ...getLineColumn(input.value, offset),
+        input,
+      };
+    });
+    if (!this.parseProblemList || this.parseProblems.length === 0) return;
+
+    this.parseProblems.forEach((problem, i) => {
+      const item = document.createElement("li");
+      item.className = "parse-problem-item";
+      item.title = "Show in the input";
+
+      const position = document.createElement("span");
+      position.className = "parse-problem-position";
+      position.textContent = `${
+        input === this.compareInput ? "Modified, line" : "Line"
+      } ${problem.line}:${problem.column}`;
+
+      const message = document.createElement("span");
+      message.textContent = problem.message;
+
+      item.appendChild(position);
+      item.appendChild(message);
+      item.addEventListener("click", () => this.goToParseProblem(i));
+      this.parseProblemList.appendChild(item);
+    });
+    this.parseProblemList.hidden = false;
+  }
 
-    if (rootElements.length === 0) {
-      throw new Error("No root element found in XML");
+  clearParseProblems() {
+    this.parseProblems = [];
+    if (this.parseProblemList) {
+      this.parseProblemList.hidden = true;
+      this.parseProblemList.innerHTML = "";
     }
+    this.clearInputHighlight();
+  }
 
-    // Track total nodes to help manage large XML
-    this.totalNodeCount = 0;
+  // Highlights the line of a problem and puts the caret where it starts
+  goToParseProblem(index) {
+    const problem = this.parseProblems[index];
+    if (!problem) return;
 
-    // Show processing message for large XML
-    const startTime = performance.now();
+    const { input, offset } = problem;
+    input.focus();
+    input.setSelectionRange(offset, offset);
+    this.highlightInputLines(input, offset);
+    this.scrollInputToHighlight();
+  }
 
-    // Use a non-recursive approach for large XML
-    const result = rootElements.map((element) => this.parseElement(element));
+  /**
+   * Highlights the lines from offset to endOffset in an input textarea,
+   * over the rows they wrap onto
+   * @param {HTMLTextAreaElement} input
+   * @param {number} offset
+   * @param {number} [endOffset]
+   * @param {string} [kind] - "error" for parse problems, "source" for the
+   *   source of the selected node
+   * @returns {Object} the lines box, see getTextareaLineBox
+   */
+  highlightInputLines(input, offset, endOffset = offset, kind = "error") {
+    const box = getTextareaLineBox(input, offset, endOffset);
+    this.inputHighlight = { input, offset, endOffset, kind, box };
+    this.positionInputHighlight();
+    return box;
+  }
 
-    const endTime = performance.now();
-    console.log(
-      `XML parsing completed in ${(endTime - startTime).toFixed(2)}ms with ${
-        this.totalNodeCount
-      } nodes`
+  // Scrolls the highlighted lines into the upper part of their textarea
+  scrollInputToHighlight() {
+    if (!this.inputHighlight) return;
+    const { input, box } = this.inputHighlight;
+    input.scrollTop = Math.max(0, box.top - input.clientHeight / 3);
+    this.positionInputHighlight();
+  }
+
+  positionInputHighlight() {
+    if (!this.inputHighlight) return;
+    const { input, box, kind } = this.inputHighlight;
+    const element = input.parentElement.querySelector(".input-line-highlight");
+    if (!element) return;
+    element.classList.toggle("input-source-highlight", kind === "source");
+
+    // Clipped to the textarea, and hidden while scrolled out of it
+    const top = Math.max(box.top - input.scrollTop, 0);
+    const bottom = Math.min(
+      box.top + box.height - input.scrollTop,
+      input.clientHeight
     );
+    element.hidden = bottom <= top;
+    element.style.top = `${input.offsetTop + input.clientTop + top}px`;
+    element.style.left = `${input.offsetLeft + input.clientLeft}px`;
+    element.style.width = `${input.clientWidth}px`;
+    element.style.height = `${bottom - top}px`;
+  }
 
-    if (this.totalNodeCount > 100000) {
+  clearInputHighlight() {
+    if (!this.inputHighlight) return;
+    const element = this.inputHighlight.input.parentElement.querySelector(
+      ".input-line-highlight"
+    );
+    if (element) element.hidden = true;
+    this.inputHighlight = null;
+  }
+
+  async loadSchemaFile(file) {
+    let text;
+    try {
+      text = await file.text();
+    } catch (error) {
+      this.showStatus(`Could not read ${file.name}: ${error.message}`, "error");
+      return;
+    }
+    this.loadSchema(text, file.name);
+  }
+
+  /**
+   * Compiles an XML Schema and validates the current document against it,
+   * and every document visualized after it
+   * @param {string} text - XSD source
+   * @param {string} [name] - shown in the validation summary
+   */
+  loadSchema(text, name = "schema.xsd") {
+    try {
+      this.schema = parseSchema(text);
+    } catch (error) {
+      this.showStatus(`Error loading schema: ${error.message}`, "error");
+      return;
+    }
+    this.schemaName = name;
+    this.validateDocument();
+    if (this.treeData) this.renderTree();
+
+    if (this.validationErrors) {
+      const count = this.validationErrors.length;
       this.showStatus(
-        `Large XML detected (${this.totalNodeCount} nodes). Applying performance optimizations.`,
-        "info"
+        count === 0
+          ? `The document is valid against ${name}`
+          : `${count} schema error${count === 1 ? "" : "s"} found`,
+        count === 0 ? "success" : "error"
       );
     }
+  }
 
-    return result;
+  clearSchema() {
+    this.schema = null;
+    this.schemaName = "";
+    this.validationErrors = null;
+    this.renderValidationList();
+    if (this.treeData) this.renderTree();
   }
 
-  parseElement(element, depth = 0, parentId = null) {
-    // Check for processing limitations
-    if (depth > 100) {
-      return {
-        id: this.generateId(),
-        name: "Depth limit exceeded",
-        type: "error",
-        depth: depth,
-        children: [],
-        attributes: {},
-        textContent: null,
-        parentId: parentId,
-      };
+  // Valida el documento actual contra el esquema cargado; solo XML, porque
+  // los errores se buscan en el DOM
+  validateDocument() {
+    this.validationErrors = null;
+    let problem = null;
+
+    if (
+      this.schema &&
+      this.treeData &&
+      this.sourceFormat === "xml" &&
+      !this.diffCounts
+    ) {
+      // Worker-parsed documents only get a DOM when validation needs one
+      if (!this.xmlDoc && this.xmlSource) {
+        this.attachXmlDocument();
+      }
+      if (this.xmlDoc) {
+        if (this.treeFromWorker) {
+          this.linkDomToTree(this.xmlDoc);
+        }
+        try {
+          this.validationErrors = this.schema.validate(this.xmlDoc);
+        } catch (error) {
+          problem = `schema error: ${error.message}`;
+          this.showStatus(`Schema error: ${error.message}`, "error");
+        }
+      }
     }
 
-    // Count nodes for performance tracking
-    this.totalNodeCount++;
+    this.renderValidationList(problem);
+  }
 
-    // Use local variables to reduce property lookups
-    const id = this.generateId();
-    const tagName = element.tagName;
+  // problem replaces the summary when the schema could not be applied
+  renderValidationList(problem = null) {
+    if (!this.validationPanel) return;
+
+    this.validationPanel.hidden = !this.schema;
+    this.validationList.innerHTML = "";
+    if (!this.schema) return;
+
+    const errors = this.validationErrors;
+    let summary;
+    if (problem) {
+      summary = problem;
+    } else if (!errors) {
+      summary = this.treeData
+        ? "only single XML documents can be validated"
+        : "visualize a document to validate it";
+    } else if (errors.length === 0) {
+      summary = "the document is valid";
+    } else {
+      summary = `${errors.length} error${errors.length === 1 ? "" : "s"}`;
+    }
+    this.validationSummary.textContent = `${this.schemaName}: ${summary}`;
+    this.validationSummary.className = `validation-summary ${
+      problem || (errors && errors.length > 0)
+        ? "invalid"
+        : errors
+        ? "valid"
+        : ""
+    }`.trim();
+
+    (errors || []).forEach((error, i) => {
+      const item = document.createElement("li");
+      item.className = "validation-item";
+      item.title = "Show in the tree";
+
+      const path = document.createElement("span");
+      path.className = "validation-path";
+      path.textContent = error.path;
+
+      const message = document.createElement("span");
+      message.textContent = error.message;
+
+      item.appendChild(path);
+      item.appendChild(message);
+      item.addEventListener("click", () => this.goToValidationError(i));
+      this.validationList.appendChild(item);
+    });
+  }
 
-    const node = {
-      id,
-      name: tagName,
-      type: "element",
-      depth: depth,
-      children: [],
-      attributes: {},
-      textContent: null,
-      parentId: parentId,
-    };
+  // Errors inside nodes that are not in the tree (hidden, or behind a
+  // placeholder) are shown on the nearest ancestor that is
+  findValidationNodeId(domNode) {
+    for (
+      let node = domNode;
+      node && node.nodeType === 1;
+      node = node.parentNode
+    ) {
+      const id = this.findNodeIdForDomNode(node);
+      if (id) return id;
+    }
+    return null;
+  }
 
-    // Parse attributes more efficiently
-    if (element.attributes && element.attributes.length > 0) {
-      const attrs = {};
-      for (let i = 0; i < element.attributes.length; i++) {
-        const attr = element.attributes[i];
-        attrs[attr.name] = attr.value;
+  indexValidationErrors() {
+    this.validationNodeErrors = new Map();
+    if (!this.validationErrors) return;
+
+    this.validationErrors.forEach((error) => {
+      const id = this.findValidationNodeId(error.node);
+      if (!id) return;
+
+      const message =
+        this.findNodeIdForDomNode(error.node) === id
+          ? error.message
+          : `${error.path}: ${error.message}`;
+      if (!this.validationNodeErrors.has(id)) {
+        this.validationNodeErrors.set(id, []);
       }
-      node.attributes = attrs;
+      this.validationNodeErrors.get(id).push(message);
+    });
+  }
+
+  /**
+   * Schema errors found on a tree node, read by the renderers
+   * @param {Object} node
+   * @returns {string[]|undefined}
+   */
+  getValidationErrors(node) {
+    return this.validationNodeErrors.get(node.id);
+  }
+
+  goToValidationError(index) {
+    const error = this.validationErrors && this.validationErrors[index];
+    const id = error ? this.findValidationNodeId(error.node) : null;
+    if (!id) return;
+
+    this.recordHistory("go to node");
+    this.expandAncestors(id);
+    this.renderTree();
+    this.focusNode(this.nodeIndex.get(id));
+    this.selectNode(id);
+  }
+
+  setCompareMode(enabled) {
+    this.compareMode = enabled;
+    if (this.comparePanel) {
+      this.comparePanel.hidden = !enabled;
     }
 
-    // Use for loop instead of map for better performance with large collections
-    const children = element.children;
-    const childCount = children.length;
+    const toggle = document.getElementById("compareToggleBtn");
+    if (toggle) {
+      toggle.classList.toggle("active", enabled);
+      toggle.setAttribute("aria-pressed", String(enabled));
+    }
+  }
 
-    // If there are too many children, limit them for initial rendering
-    const maxInitialChildren = 1000;
-    const tooManyChildren = childCount > maxInitialChildren;
+  // Comma or space separated attribute names, e.g. "id, name"
+  setCompareKeyAttributes(value) {
+    this.compareKeyAttributes = value.split(/[\s,]+/).filter(Boolean);
+    if (this.diffCounts) {
+      this.compareDocuments();
+    }
+  }
 
-    if (childCount > 0) {
-      // Has child elements - use optimized loop instead of map
-      const childNodes = [];
-      const processCount = tooManyChildren ? maxInitialChildren : childCount;
+  /**
+   * Compares the input (original) with the compare input (modified) and
+   * draws one merged tree. Both documents are built completely, without
+   * placeholders, so every node takes part in the match.
+   */
+  compareDocuments() {
+    const texts = [
+      this.xmlInput.value.trim(),
+      this.compareInput ? this.compareInput.value.trim() : "",
+    ];
+    if (!texts[0] || !texts[1]) {
+      this.showStatus("Enter both documents to compare them.", "error");
+      return;
+    }
 
-      for (let i = 0; i < processCount; i++) {
-        childNodes.push(this.parseElement(children[i], depth + 1, id));
-      }
+    this.cancelWorkerParse(false);
+    this.clearParseProblems();
+    const startTime = performance.now();
 
-      // Add a placeholder node if we limited the children
-      if (tooManyChildren) {
-        childNodes.push({
-          id: this.generateId(),
-          name: `... ${childCount - maxInitialChildren} more items`,
-          type: "placeholder",
-          depth: depth + 1,
-          children: [],
-          attributes: {},
-          textContent: null,
-          parentId: id,
+    const builder = new TreeBuilder({
+      childPageSize: Infinity,
+      nodeTypeVisibility: this.nodeTypeVisibility,
+    });
+    const documents = [];
+    const inputs = [this.xmlInput, this.compareInput];
+    for (let i = 0; i < texts.length; i++) {
+      const text = texts[i];
+      const format =
+        this.inputFormat === "auto"
+          ? detectInputFormat(text)
+          : this.inputFormat;
+      try {
+        const roots = builder.buildTree(this.parseDocument(text, format), text);
+        // The registry is cleared by the next build
+        documents.push({
+          roots,
+          format,
+          namespaces: new Map(builder.namespaceRegistry),
         });
+      } catch (error) {
+        this.handleXmlError(error, format, text, inputs[i]);
+        return;
       }
+    }
 
-      node.children = childNodes;
-    } else {
-      // Check for text content more efficiently
-      const textContent = element.textContent ? element.textContent.trim() : "";
-      if (textContent) {
-        const textNodeId = this.generateId();
-        node.children.push({
-          id: textNodeId,
-          name:
-            textContent.length > 50
-              ? textContent.substring(0, 47) + "..."
-              : textContent,
-          type: "text",
-          depth: depth + 1,
-          children: [],
-          attributes: {},
-          textContent: textContent,
-          parentId: id,
-        });
+    const { roots, counts } = diffTrees(
+      documents[0].roots,
+      documents[1].roots,
+      {
+        keyAttributes: this.compareKeyAttributes,
       }
+    );
+
+    this.resetDocumentState();
+    this.sourceFormat = documents[1].format;
+    this.diffCounts = counts;
+
+    // No source document behind the merged tree
+    this.treeData = roots;
+    this.xmlDoc = null;
+    this.xmlSource = "";
+    this.treeFromWorker = false;
+    this.treeBuilder.indexTree(roots);
+    this.totalNodeCount = this.nodeIndex.size;
+    documents.forEach(({ namespaces }) =>
+      namespaces.forEach((entry, uri) =>
+        entry.prefixes.forEach((prefix) =>
+          this.treeBuilder.registerNamespace(uri, prefix)
+        )
+      )
+    );
+    this.renderNamespaceLegend();
+
+    this.collapseUnchangedNodes(roots);
+    this.validateDocument();
+
+    this.panOffsetX = 0;
+    this.panOffsetY = 0;
+    this.currentZoom = 1;
+    this.renderTree();
+
+    if (this.searchInput && this.searchInput.value) {
+      this.runSearch(false);
     }
 
-    return node;
+    const totalTime = performance.now() - startTime;
+    this.showStatus(
+      `Documents compared in ${(totalTime / 1000).toFixed(2)}s: ${
+        counts.added
+      } added, ${counts.removed} removed, ${counts.changed} changed`,
+      "success"
+    );
   }
 
-  generateId() {
-    return "node_" + Math.random().toString(36).substr(2, 9);
+  // Colapsa los subárboles sin cambios; las ramas con cambios quedan abiertas
+  collapseUnchangedNodes(nodes) {
+    const stack = nodes.slice();
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node.children.length === 0) continue;
+
+      if (node.hasChanges) {
+        stack.push(...node.children);
+      } else {
+        this.collapsedNodes.add(node.id);
+      }
+    }
   }
 
-  renderTree() {
-    if (!this.treeData || this.treeData.length === 0) {
-      this.treeContainer.innerHTML =
-        '<div class="empty-state"><div class="empty-icon">🌳</div><p>No data to visualize</p></div>';
-      return;
+  parseXMLToTree(xmlDoc, xmlText = "") {
+    const startTime = performance.now();
+    const result = this.treeBuilder.buildTree(xmlDoc, xmlText);
+
+    const endTime = performance.now();
+    console.log(
+      `XML parsing completed in ${(endTime - startTime).toFixed(2)}ms with ${
+        this.totalNodeCount
+      } nodes`
+    );
+
+    if (this.totalNodeCount > 100000) {
+      this.showStatus(
+        `Large XML detected (${this.totalNodeCount} nodes). Applying performance optimizations.`,
+        "info"
+      );
     }
 
-    // Start performance tracking
-    const renderStart = performance.now();
+    return result;
+  }
 
-    // Clear node cache to ensure fresh event handlers on full re-renders
-    this.nodeCache.clear();
+  // Node count of the current document, kept by the tree builder
+  get totalNodeCount() {
+    return this.treeBuilder.totalNodeCount;
+  }
 
-    // Reset tracking for optimized rendering
-    this.renderedNodes = new Set();
+  set totalNodeCount(count) {
+    this.treeBuilder.totalNodeCount = count;
+  }
 
-    // Dimensiones adecuadas para el lienzo, manteniendo la capacidad infinita
-    const infiniteSize = 100000;
-    const { width, height } = this.calculateTreeDimensions();
-    const canvasWidth = Math.max(width, infiniteSize);
-    const canvasHeight = Math.max(height, infiniteSize);
+  loadPlaceholder(placeholderId, limit = this.childPageSize) {
+    const placeholder = this.nodeIndex.get(placeholderId);
+    const parent = placeholder && this.nodeIndex.get(placeholder.parentId);
+    if (!parent || !placeholder.source) return;
+
+    // Loading everything at once can be slow, so ask first like expandAll
+    if (
+      limit === Infinity &&
+      placeholder.hiddenCount > 5000 &&
+      !confirm(
+        `This will load ${placeholder.hiddenCount} nodes. Loading that many may cause performance issues. Continue?`
+      )
+    ) {
+      return;
+    }
+    if (!this.ensurePlaceholderSource(placeholder)) return;
+
+    const { element, domStart, domEnd } = placeholder.source;
+    const loaded = this.treeBuilder.parseChildRange(
+      element,
+      parent,
+      domStart,
+      domEnd,
+      limit,
+      placeholder.firstPosition
+    );
 
-    // Position nodes alrededor del origen (0,0)
-    this.positionNodes();
+    // concat instead of splice(...loaded): spreading huge arrays overflows the stack
+    const position = parent.children.indexOf(placeholder);
+    parent.children = parent.children
+      .slice(0, position)
+      .concat(loaded, parent.children.slice(position + 1));
+    this.nodeIndex.delete(placeholderId);
 
-    // Calcular los límites reales del diagrama antes de crear el SVG
-    const bounds = this.getDiagramBounds();
+    this.collapseDeepNodes(loaded);
+    this.renderTree();
 
-    // Create SVG
-    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-    svg.setAttribute("class", "tree-svg");
-    svg.setAttribute("data-node-count", this.totalNodeCount || 0);
+    const loadedCount = loaded.filter((n) => n.type !== "placeholder").length;
+    this.showStatus(`Loaded ${loadedCount} more items`, "success");
+  }
 
-    // Definir un viewBox que se centre perfectamente en el contenido actual
-    // con un margen para que se vea bien
-    const margin = 100;
-    const viewBoxX = bounds.minX - margin;
-    const viewBoxY = bounds.minY - margin;
-    const viewBoxWidth = bounds.width + 2 * margin;
-    const viewBoxHeight = bounds.height + 2 * margin;
-
-    svg.setAttribute(
-      "viewBox",
-      `${viewBoxX} ${viewBoxY} ${viewBoxWidth} ${viewBoxHeight}`
-    );
-    svg.style.transform = `translate(${this.panOffsetX}px, ${this.panOffsetY}px) scale(${this.currentZoom})`;
+  /**
+   * Loads the children that hide a node behind placeholders. Ids are paths,
+   * so the child on the way to it is found by its step, and a page of
+   * children starting at that child takes the place of its placeholder.
+   * @param {string} id - id of the node
+   * @returns {boolean} whether the node is in the tree now
+   */
+  loadNodePath(id) {
+    while (!this.nodeIndex.has(id)) {
+      // Nearest loaded ancestor. A "/" in a key value only gives a prefix
+      // that is not an id.
+      let parent = null;
+      for (
+        let end = id.lastIndexOf("/");
+        end > 0 && !parent;
+        end = id.lastIndexOf("/", end - 1)
+      ) {
+        parent = this.nodeIndex.get(id.slice(0, end));
+      }
 
-    // Configurar el SVG para que se comporte como un lienzo infinito
-    svg.style.width = "100%";
-    svg.style.height = "100%";
-    svg.style.position = "absolute";
+      const childId = parent && this.loadChildPageFor(parent, id);
+      // Hidden node types have a path but no node
+      if (!childId || !this.nodeIndex.has(childId)) return false;
+    }
+    return true;
+  }
 
-    // Optimization for large trees: use layer groups for better performance
-    const gridLayer = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "g"
+  // Loads the page of children of parent that starts at the child on the
+  // path to id, and returns the child's id; null when no placeholder has it
+  loadChildPageFor(parent, id) {
+    const placeholders = parent.children.filter(
+      (child) => child.type === "placeholder" && child.source
     );
-    gridLayer.setAttribute("class", "grid-layer");
+    for (const placeholder of placeholders) {
+      if (!this.ensurePlaceholderSource(placeholder)) return null;
+
+      const { element, domStart, domEnd } = placeholder.source;
+      const builder = this.treeBuilder;
+      const isMixed = element.childElementCount > 0;
+      const children = element.childNodes;
+      const nextPath = builder.createPathCounter(parent.id, children, domStart);
+      let position = placeholder.firstPosition;
+
+      for (let i = domStart; i < domEnd; i++) {
+        const path = nextPath(children[i]);
+        if (path && (id === path || id.startsWith(`${path}/`))) {
+          // The placeholder before the page keeps its id
+          this.nodeIndex.delete(placeholder.id);
+          const before = builder.createGapPlaceholder(
+            element,
+            parent,
+            domStart,
+            i,
+            placeholder.firstPosition
+          );
+          const page = builder.parseChildRange(
+            element,
+            parent,
+            i,
+            domEnd,
+            this.childPageSize,
+            position
+          );
 
-    const connectionsLayer = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "g"
-    );
-    connectionsLayer.setAttribute("class", "connections-layer");
+          const index = parent.children.indexOf(placeholder);
+          parent.children = parent.children
+            .slice(0, index)
+            .concat(before || [], page, parent.children.slice(index + 1));
+          this.collapseDeepNodes(page);
+          return path;
+        }
+        if (builder.isVisibleChildNode(children[i], isMixed)) position++;
+      }
+    }
+    return null;
+  }
 
-    const nodesLayer = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "g"
-    );
-    nodesLayer.setAttribute("class", "nodes-layer");
+  // Placeholders from the worker don't carry their document nodes, so a DOM
+  // is parsed and linked to the tree the first time one is loaded
+  ensurePlaceholderSource(placeholder) {
+    if (placeholder.source.element) return true;
 
-    // Agregar grid de fondo (efecto visual de lienzo infinito)
-    const defs = document.createElementNS("http://www.w3.org/2000/svg", "defs");
-    const pattern = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "pattern"
+    if (!this.xmlDoc && !this.attachXmlDocument()) {
+      this.showStatus("Could not load the hidden items", "error");
+      return false;
+    }
+    this.linkDomToTree(this.xmlDoc);
+    return Boolean(placeholder.source.element);
+  }
+
+  promptChildRange(placeholderId) {
+    const placeholder = this.nodeIndex.get(placeholderId);
+    const parent = placeholder && this.nodeIndex.get(placeholder.parentId);
+    if (!parent || !placeholder.source) return;
+    if (!this.ensurePlaceholderSource(placeholder)) return;
+
+    const total = getChildCount(parent);
+    const suggestedEnd = Math.min(
+      placeholder.firstPosition + this.childPageSize - 1,
+      total
+    );
+    const answer = prompt(
+      `Show children of <${parent.name}> in range (1-${total}):`,
+      `${placeholder.firstPosition}-${suggestedEnd}`
     );
-    pattern.setAttribute("id", "grid");
-    pattern.setAttribute("width", "40");
-    pattern.setAttribute("height", "40");
-    pattern.setAttribute("patternUnits", "userSpaceOnUse");
+    if (!answer) return;
 
-    const path = document.createElementNS("http://www.w3.org/2000/svg", "path");
-    path.setAttribute("d", "M 40 0 L 0 0 0 40");
-    path.setAttribute("fill", "none");
-    path.setAttribute("stroke", "rgba(255, 255, 255, 0.03)");
-    path.setAttribute("stroke-width", "1");
+    const match = /^\s*(\d+)\s*-\s*(\d+)\s*$/.exec(answer);
+    const from = match ? parseInt(match[1], 10) : NaN;
+    const to = match ? parseInt(match[2], 10) : NaN;
+    if (!match || from < 1 || to < from || to > total) {
+      this.showStatus(
+        `Invalid range "${answer}". Use FROM-TO between 1 and ${total}.`,
+        "error"
+      );
+      return;
+    }
 
-    pattern.appendChild(path);
-    defs.appendChild(pattern);
-    svg.appendChild(defs);
+    this.showChildRange(parent, placeholder.source.element, from, to);
+  }
 
-    const grid = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-    grid.setAttribute("width", "100%");
-    grid.setAttribute("height", "100%");
-    grid.setAttribute("fill", "url(#grid)");
-    gridLayer.appendChild(grid);
+  // Muestra solo los hijos en las posiciones [from, to] (base 1), con
+  // placeholders para los que quedan antes y después
+  showChildRange(parent, element, from, to) {
+    const isMixed = element.childElementCount > 0;
+    const children = element.childNodes;
+
+    // Map visible positions to childNodes indexes
+    let position = 0;
+    let domStart = children.length;
+    let domEnd = children.length;
+    for (let i = 0; i < children.length; i++) {
+      if (!this.treeBuilder.isVisibleChildNode(children[i], isMixed)) continue;
+      position++;
+      if (position === from) domStart = i;
+      if (position === to) {
+        domEnd = i + 1;
+        break;
+      }
+    }
 
-    svg.appendChild(gridLayer);
-    svg.appendChild(connectionsLayer);
-    svg.appendChild(nodesLayer);
+    parent.children.forEach((child) => this.unregisterSubtree(child));
 
-    this.renderConnections(connectionsLayer);
-    this.renderNodes(nodesLayer);
+    const builder = this.treeBuilder;
+    const before = builder.createGapPlaceholder(
+      element,
+      parent,
+      0,
+      domStart,
+      1
+    );
+    const range = builder.parseChildRange(
+      element,
+      parent,
+      domStart,
+      domEnd,
+      Infinity,
+      from
+    );
+    const after = builder.createGapPlaceholder(
+      element,
+      parent,
+      domEnd,
+      children.length,
+      to + 1
+    );
 
-    this.treeContainer.innerHTML = "";
-    this.treeContainer.appendChild(svg);
+    parent.children = [before, ...range, after].filter(Boolean);
+    this.collapsedNodes.delete(parent.id);
+    this.collapseDeepNodes(range);
+    this.renderTree();
 
-    // Adjust zoom after initial rendering only (preserve camera on node toggles)
-    if (this.isFirstRender) {
-      this.adjustInitialZoom();
-      this.isFirstRender = false;
+    if (range.length > 0) {
+      this.focusNode(range[0]);
     }
+    this.showStatus(`Showing items ${from}-${to} of <${parent.name}>`, "info");
+  }
 
-    // Log performance
-    const renderEnd = performance.now();
-    console.log(`Tree rendered in ${(renderEnd - renderStart).toFixed(2)}ms`);
+  unregisterSubtree(node) {
+    const stack = [node];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      this.nodeIndex.delete(current.id);
+      this.collapsedNodes.delete(current.id);
+      for (let i = 0; i < current.children.length; i++) {
+        stack.push(current.children[i]);
+      }
+    }
   }
 
-  progressiveRender(svg, connectionsLayer, nodesLayer, loadingIndicator) {
-    const startTime = performance.now();
-    let progress = 0;
-    const progressBar = loadingIndicator.querySelector(".progress");
+  // Colapsa los nodos recién cargados que quedan por debajo de autoCollapseDepth
+  collapseDeepNodes(nodes) {
+    const stack = nodes.slice();
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node.children.length > 0) {
+        if (node.depth >= this.autoCollapseDepth) {
+          this.collapsedNodes.add(node.id);
+        }
+        for (let i = 0; i < node.children.length; i++) {
+          stack.push(node.children[i]);
+        }
+      }
+    }
+  }
 
-    // First render connections - usually fewer and simpler elements
-    this.renderConnections(connectionsLayer);
-    progress = 30;
-    progressBar.style.width = `${progress}%`;
+  // Reconstruye el árbol desde el documento actual conservando el estado de la vista
+  rebuildTree() {
+    // A merged diff tree is rebuilt by comparing the documents again
+    if (this.diffCounts) {
+      this.compareDocuments();
+      return;
+    }
 
-    // Then render nodes in chunks
-    const chunkSize = 100; // Render 100 nodes per frame
-    let renderedNodeCount = 0;
-    const totalNodes = this.countVisibleNodes(this.treeData);
+    if (!this.xmlDoc) {
+      // Worker-parsed documents have no DOM to rebuild from: parse them again
+      if (this.xmlSource) {
+        this.cancelWorkerParse(false);
+        this.keepCurrentView();
+        this.parseInWorker(this.xmlSource, this.sourceFormat);
+      }
+      return;
+    }
 
-    const renderNextChunk = () => {
-      // Update progress
-      progress = 30 + Math.min(70 * (renderedNodeCount / totalNodes), 69);
-      progressBar.style.width = `${progress}%`;
+    this.treeData = this.parseXMLToTree(this.xmlDoc, this.xmlSource);
+    this.treeFromWorker = false;
+    this.remapNodeIds(this.treeBuilder.renamedIds);
+    this.renderNamespaceLegend();
 
-      // Render next chunk
-      this.renderNodesChunk(nodesLayer, chunkSize);
-      renderedNodeCount += chunkSize;
+    if (this.selectedNodeId && !this.nodeIndex.has(this.selectedNodeId)) {
+      this.closeInspector();
+    }
 
-      // Check if we need to continue
-      if (
-        renderedNodeCount < totalNodes &&
-        this.renderedNodes.size < this.visibleNodeLimit
-      ) {
-        // Use requestAnimationFrame to avoid blocking the UI
-        requestAnimationFrame(renderNextChunk);
-      } else {
-        // Rendering complete
-        progressBar.style.width = "100%";
+    this.renderTree();
 
-        // Wait a moment, then remove the loading indicator
-        setTimeout(() => {
-          if (loadingIndicator && loadingIndicator.parentNode) {
-            loadingIndicator.parentNode.removeChild(loadingIndicator);
-          }
+    if (this.searchInput && this.searchInput.value) {
+      this.runSearch(false);
+    }
+  }
 
-          // Adjust zoom after rendering is complete
-          this.adjustInitialZoom();
+  /**
+   * Moves the view state of nodes whose path changed in the last build to
+   * their new ids. A collapsed id that another node took, or that is gone,
+   * belonged to a node that was removed.
+   * @param {Map<string, string>} renamedIds - old id -> new id
+   */
+  remapNodeIds(renamedIds) {
+    const taken = new Set(renamedIds.values());
+    const collapsed = new Set();
+    this.collapsedNodes.forEach((id) => {
+      const newId = renamedIds.has(id) ? renamedIds.get(id) : id;
+      if (!renamedIds.has(id) && taken.has(id)) return;
+      if (this.nodeIndex.has(newId)) collapsed.add(newId);
+    });
+    this.collapsedNodes = collapsed;
 
-          // Log performance
-          const renderEnd = performance.now();
-          console.log(
-            `Progressive tree rendering completed in ${(
-              renderEnd - startTime
-            ).toFixed(2)}ms`
-          );
-          console.log(
-            `Rendered ${this.renderedNodes.size} of ${totalNodes} nodes`
-          );
+    if (renamedIds.has(this.selectedNodeId)) {
+      this.selectedNodeId = renamedIds.get(this.selectedNodeId);
+    }
+  }
 
-          // Show message if we limited the rendering
-          if (this.renderedNodes.size < totalNodes) {
-            this.showStatus(
-              `Large tree optimized: showing ${this.renderedNodes.size} of ${totalNodes} nodes. Zoom in to see more details.`,
-              "info"
-            );
-          }
-        }, 500);
-      }
-    };
+  // Comma or space separated attribute names, e.g. "id, name"; elements
+  // with one get ids like /catalogo[1]/producto[@id='p2']
+  setIdKeyAttributes(value, rebuild = true) {
+    const keys = value.split(/[\s,]+/).filter(Boolean);
+    // Shared with the tree builder, so updated in place
+    this.idKeyAttributes.splice(0, this.idKeyAttributes.length, ...keys);
+    if (rebuild && this.treeData && !this.diffCounts) {
+      this.rebuildTree();
+      this.scheduleSessionSave();
+    }
+  }
 
-    // Start the progressive rendering
-    requestAnimationFrame(renderNextChunk);
+  setNodeTypeVisibility(type, visible) {
+    this.nodeTypeVisibility[type] = visible;
+    this.rebuildTree();
   }
 
-  countVisibleNodes(nodeList) {
-    let count = 0;
+  getNamespaceColor(node) {
+    const entry = node.namespaceURI
+      ? this.namespaceRegistry.get(node.namespaceURI)
+      : null;
+    return entry ? entry.color : null;
+  }
 
-    const traverse = (nodes) => {
-      count += nodes.length;
+  renderNamespaceLegend() {
+    if (!this.namespaceLegend) return;
 
-      nodes.forEach((node) => {
-        if (
-          node.children &&
-          node.children.length > 0 &&
-          !this.collapsedNodes.has(node.id)
-        ) {
-          traverse(node.children);
-        }
-      });
-    };
+    this.namespaceLegend.innerHTML = "";
+    if (this.namespaceRegistry.size === 0) {
+      this.namespaceLegend.hidden = true;
+      return;
+    }
 
-    traverse(nodeList);
-    return count;
+    const title = document.createElement("h4");
+    title.textContent = "Namespaces";
+    this.namespaceLegend.appendChild(title);
+
+    this.namespaceRegistry.forEach((entry, uri) => {
+      const row = document.createElement("div");
+      row.className = "namespace-row";
+
+      const swatch = document.createElement("span");
+      swatch.className = "namespace-swatch";
+      swatch.style.background = entry.color;
+
+      const prefixes = document.createElement("span");
+      prefixes.className = "namespace-prefix";
+      prefixes.textContent = [...entry.prefixes]
+        .map((prefix) => prefix || "(default)")
+        .join(", ");
+
+      const uriEl = document.createElement("span");
+      uriEl.className = "namespace-uri";
+      uriEl.textContent = uri;
+      uriEl.title = uri;
+
+      row.appendChild(swatch);
+      row.appendChild(prefixes);
+      row.appendChild(uriEl);
+      this.namespaceLegend.appendChild(row);
+    });
+
+    this.namespaceLegend.hidden = false;
+  }
+
+  setLocalNamesOnly(localNamesOnly) {
+    this.localNamesOnly = localNamesOnly;
+    if (this.treeData) {
+      this.renderTree();
+    }
   }
 
-  renderNodesChunk(container, chunkSize) {
-    // If we've already reached our limit, don't render more
-    if (this.renderedNodes.size >= this.visibleNodeLimit) {
+  renderTree() {
+    if (!this.treeData || this.treeData.length === 0) {
+      this.layoutNodes = [];
+      this.layoutEdges = [];
+      this.viewBox = null;
+      if (this.renderer) {
+        this.renderer.destroy();
+        this.renderer = null;
+      }
+      this.treeContainer.innerHTML =
+        '<div class="empty-state"><div class="empty-icon">🌳</div><p>No data to visualize</p></div>';
       return;
     }
 
-    let nodesRendered = 0;
+    // Start performance tracking
+    const renderStart = performance.now();
 
-    const renderNodeChunk = (nodeList) => {
-      for (let i = 0; i < nodeList.length; i++) {
-        // Stop if we've reached our chunk size
-        if (nodesRendered >= chunkSize) {
-          return true;
-        }
+    // Position nodes alrededor del origen (0,0), unless the worker already did
+    if (this.hasFreshLayout) {
+      this.hasFreshLayout = false;
+    } else {
+      this.positionNodes();
+    }
+    this.collectLayoutNodes();
+    this.indexValidationErrors();
 
-        const node = nodeList[i];
+    // Calcular los límites reales del diagrama, con un margen para que se vea bien
+    const bounds = this.getDiagramBounds();
+    const margin = 100;
+    this.viewBox = {
+      x: bounds.minX - margin,
+      y: bounds.minY - margin,
+      width: bounds.width + 2 * margin,
+      height: bounds.height + 2 * margin,
+    };
 
-        // Skip if this node was already rendered
-        if (this.renderedNodes.has(node.id)) {
-          continue;
-        }
+    this.ensureRenderer();
 
-        // Render this node
-        this.renderSingleNode(container, node);
-        this.renderedNodes.add(node.id);
-        nodesRendered++;
+    // Adjust zoom after initial rendering only (preserve camera on node toggles)
+    if (this.isFirstRender) {
+      this.adjustInitialZoom();
+      this.isFirstRender = false;
+    }
+    this.renderer.render();
+    this.scheduleSessionSave();
 
-        // Check children if not collapsed
-        if (
-          node.children &&
-          node.children.length > 0 &&
-          !this.collapsedNodes.has(node.id)
-        ) {
-          const chunkComplete = renderNodeChunk(node.children);
-          if (chunkComplete) return true;
+    // Log performance
+    const renderEnd = performance.now();
+    console.log(
+      `Tree rendered in ${(renderEnd - renderStart).toFixed(2)}ms (${
+        this.layoutNodes.length
+      } nodes, ${this.renderer.constructor.name})`
+    );
+  }
+
+  // Usa canvas cuando hay demasiados nodos para el SVG, y lo monta si hace falta
+  ensureRenderer() {
+    const useCanvas =
+      this.rendererMode === "canvas" ||
+      (this.rendererMode === "auto" &&
+        this.layoutNodes.length > this.canvasRendererThreshold);
+    const RendererClass = useCanvas ? CanvasRenderer : SvgRenderer;
+
+    if (!(this.renderer instanceof RendererClass)) {
+      if (this.renderer) {
+        this.renderer.destroy();
+      }
+      this.renderer = new RendererClass(this);
+      console.log(
+        `Using ${RendererClass.name} for ${this.layoutNodes.length} nodes`
+      );
+    }
+
+    if (!this.renderer.isMounted()) {
+      this.treeContainer.innerHTML = "";
+      this.renderer.mount(this.treeContainer);
+    }
+  }
+
+  // Lista plana de los nodos posicionados fuera de ramas colapsadas, y las
+  // conexiones entre ellos
+  collectLayoutNodes() {
+    const nodes = [];
+    const edges = [];
+    const stack = [...this.treeData].reverse();
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      nodes.push(node);
+
+      if (node.children.length > 0 && !this.collapsedNodes.has(node.id)) {
+        for (let i = node.children.length - 1; i >= 0; i--) {
+          edges.push([node, node.children[i]]);
+          stack.push(node.children[i]);
         }
       }
+    }
 
-      return false;
+    this.layoutNodes = nodes;
+    this.layoutEdges = edges;
+  }
+
+  scheduleViewportUpdate() {
+    if (this.viewportFrame) return;
+
+    this.viewportFrame = requestAnimationFrame(() => {
+      this.viewportFrame = null;
+      if (this.renderer) {
+        this.renderer.updateViewport();
+      }
+    });
+  }
+
+  // Cómo se dibuja el viewBox dentro del contenedor (preserveAspectRatio="xMidYMid meet")
+  getViewBoxFit() {
+    const containerRect = this.treeContainer.getBoundingClientRect();
+    if (!containerRect.width || !containerRect.height || !this.viewBox) {
+      return null;
+    }
+
+    const {
+      x: viewX,
+      y: viewY,
+      width: viewWidth,
+      height: viewHeight,
+    } = this.viewBox;
+    const scale = Math.min(
+      containerRect.width / viewWidth,
+      containerRect.height / viewHeight
+    );
+
+    return {
+      containerRect,
+      viewX,
+      viewY,
+      scale,
+      offsetX: (containerRect.width - viewWidth * scale) / 2,
+      offsetY: (containerRect.height - viewHeight * scale) / 2,
     };
+  }
+
+  // Área del árbol visible con el pan y zoom actuales, en coordenadas de layout
+  getVisibleTreeBounds(margin = this.viewportMargin) {
+    const fit = this.getViewBoxFit();
+    if (!fit) return null;
+
+    const { containerRect, viewX, viewY, scale, offsetX, offsetY } = fit;
+    const centerX = containerRect.width / 2;
+    const centerY = containerRect.height / 2;
+
+    // Undo the CSS transform (origin at the center), then the viewBox fit
+    const toTree = (screenX, screenY) => ({
+      x:
+        viewX +
+        (centerX +
+          (screenX - centerX - this.panOffsetX) / this.currentZoom -
+          offsetX) /
+          scale,
+      y:
+        viewY +
+        (centerY +
+          (screenY - centerY - this.panOffsetY) / this.currentZoom -
+          offsetY) /
+          scale,
+    });
 
-    renderNodeChunk(this.treeData);
+    const topLeft = toTree(-margin, -margin);
+    const bottomRight = toTree(
+      containerRect.width + margin,
+      containerRect.height + margin
+    );
+    return {
+      minX: topLeft.x,
+      minY: topLeft.y,
+      maxX: bottomRight.x,
+      maxY: bottomRight.y,
+    };
   }
 
   adjustInitialZoom() {
@@ -771,21 +2530,6 @@ class XMLTreeVisualizer {
     this.adjustInitialZoom();
   }
 
-  calculateTreeDimensions() {
-    const maxDepth = this.getMaxDepth(this.treeData);
-    const maxWidth = this.getMaxWidthAtAnyLevel();
-
-    // Dimensiones mínimas necesarias para el contenido del árbol
-    const contentWidth = maxWidth * (this.nodeWidth + this.nodeSpacing) + 200;
-    const contentHeight = maxDepth * this.levelHeight + 300;
-
-    // Para un lienzo realmente "infinito" usamos dimensiones mucho mayores
-    const width = Math.max(contentWidth * 3, 100000);
-    const height = Math.max(contentHeight * 3, 100000);
-
-    return { width, height, contentWidth, contentHeight };
-  }
-
   // Obtener las dimensiones reales del diagrama para exportación
   getDiagramBounds() {
     if (!this.treeData || this.treeData.length === 0) {
@@ -803,9 +2547,9 @@ class XMLTreeVisualizer {
       nodeList.forEach((node) => {
         // Comprobar los límites del nodo actual
         const nodeLeft = node.x;
-        const nodeRight = node.x + this.nodeWidth;
+        const nodeRight = node.x + node.width;
         const nodeTop = node.y;
-        const nodeBottom = node.y + this.nodeHeight;
+        const nodeBottom = node.y + node.height;
 
         minX = Math.min(minX, nodeLeft);
         minY = Math.min(minY, nodeTop);
@@ -842,545 +2586,804 @@ class XMLTreeVisualizer {
     };
   }
 
-  getMaxDepth(nodes) {
-    let maxDepth = 0;
+  positionNodes() {
+    layoutTree(this.treeData, this.collapsedNodes, this.getLayoutSettings());
+  }
 
-    const traverse = (nodeList, currentDepth) => {
-      nodeList.forEach((node) => {
-        maxDepth = Math.max(maxDepth, currentDepth);
-        if (node.children.length > 0) {
-          traverse(node.children, currentDepth + 1);
-        }
-      });
+  // Settings read by the layout, also sent to the parse worker
+  getLayoutSettings() {
+    return {
+      nodeWidth: this.nodeWidth,
+      nodeHeight: this.nodeHeight,
+      levelHeight: this.levelHeight,
+      nodeSpacing: this.nodeSpacing,
+      fitNodesToLabel: this.fitNodesToLabel,
+      minNodeWidth: this.minNodeWidth,
+      maxNodeWidth: this.maxNodeWidth,
+      labelLineHeight: this.labelLineHeight,
+      labelFont: this.labelFont,
+      showAttributes: this.showAttributes,
+      maxAttributesPerNode: this.maxAttributesPerNode,
+      attributeRowHeight: this.attributeRowHeight,
+      attributeFont: this.attributeFont,
+      localNamesOnly: this.localNamesOnly,
+      layoutMode: this.layoutMode,
     };
-
-    traverse(nodes, 0);
-    return maxDepth + 1;
   }
 
-  getMaxWidthAtAnyLevel() {
-    const levelCounts = {};
-
-    const traverse = (nodeList) => {
-      nodeList.forEach((node) => {
-        levelCounts[node.depth] = (levelCounts[node.depth] || 0) + 1;
-        if (node.children.length > 0 && !this.collapsedNodes.has(node.id)) {
-          traverse(node.children);
-        }
-      });
-    };
+  setNodeSizing(fitNodesToLabel, maxNodeWidth) {
+    this.fitNodesToLabel = fitNodesToLabel;
+    this.maxNodeWidth = Number.isNaN(maxNodeWidth)
+      ? this.maxNodeWidth
+      : Math.max(0, maxNodeWidth);
 
-    traverse(this.treeData);
-    return Math.max(...Object.values(levelCounts), 1);
+    if (this.treeData) {
+      this.renderTree();
+    }
   }
 
-  positionNodes() {
-    const roots = this.treeData;
-    if (!roots || roots.length === 0) return;
+  setLayoutMode(mode) {
+    if (!LAYOUT_MODES.includes(mode)) return;
+    this.layoutMode = mode;
 
-    // ----- Paso 1: calcular el ancho de cada subárbol -----
-    const calculateWidth = (node) => {
-      if (
-        !node.children ||
-        node.children.length === 0 ||
-        this.collapsedNodes.has(node.id)
-      ) {
-        node.subtreeWidth = this.nodeWidth;
-        return node.subtreeWidth;
-      }
+    // Positions change completely, so fit the new diagram to the screen
+    if (this.treeData) {
+      this.isFirstRender = true;
+      this.renderTree();
+    }
+  }
 
-      let total = 0;
-      for (let i = 0; i < node.children.length; i++) {
-        total += calculateWidth(node.children[i]);
-        if (i < node.children.length - 1) {
-          total += this.nodeSpacing;
-        }
-      }
+  setAttributeDisplay(showAttributes, maxAttributes) {
+    this.showAttributes = showAttributes;
+    this.maxAttributesPerNode = Number.isNaN(maxAttributes)
+      ? this.maxAttributesPerNode
+      : Math.max(0, maxAttributes);
+
+    if (this.treeData) {
+      this.renderTree();
+    }
+  }
 
-      node.subtreeWidth = Math.max(this.nodeWidth, total);
-      return node.subtreeWidth;
+  // Selection, search and XPath state of a node, drawn by the renderers
+  getNodeState(node) {
+    return {
+      selected: node.id === this.selectedNodeId,
+      searchMatch: this.searchMatchSet.has(node.id),
+      searchActive: node.id === this.searchMatches[this.activeMatchIndex],
+      xpathMatch: this.xpathMatchSet.has(node.id),
+      dropTarget: node.id === this.dropTargetId,
     };
+  }
 
-    roots.forEach(calculateWidth);
+  // Clicks from the renderers; part is "indicator", "range" or "body"
+  handleNodeClick(node, part, e) {
+    if (this.suppressNodeClick) {
+      this.suppressNodeClick = false;
+      return;
+    }
 
-    // Calcular el ancho total de todas las raíces
-    let totalRootWidth = 0;
-    for (let i = 0; i < roots.length; i++) {
-      totalRootWidth += roots[i].subtreeWidth;
-      if (i < roots.length - 1) {
-        totalRootWidth += this.nodeSpacing;
+    if (node.type === "placeholder") {
+      if (part === "range") {
+        this.promptChildRange(node.id);
+      } else {
+        this.loadPlaceholder(
+          node.id,
+          e.shiftKey ? Infinity : this.childPageSize
+        );
       }
+      return;
     }
 
-    let startX = -totalRootWidth / 2;
+    // The indicator toggles, the rest of the node selects it
+    if (part === "indicator" && node.children.length > 0) {
+      this.toggleNode(node.id);
+    } else {
+      this.selectNode(node.id);
+      this.revealNodeSource(node);
+    }
+  }
 
-    // ----- Paso 2: asignar posiciones basadas en el ancho calculado -----
-    const setPositions = (node, depth, x) => {
-      node.x = x + (node.subtreeWidth - this.nodeWidth) / 2;
-      node.y = depth * this.levelHeight;
+  /**
+   * Source range of a tree node in xmlSource. Only XML documents have one;
+   * the source is mapped again when nodes were loaded since the last time.
+   * @param {Object} node
+   * @returns {{start: number, end: number}|null}
+   */
+  getSourceRange(node) {
+    let map = this.ensureSourceMap();
+    // Loaded ranges can replace as many nodes as they add
+    if (map && !map.ranges.has(node.id)) {
+      this.sourceMap = null;
+      map = this.ensureSourceMap();
+    }
+    return (map && map.ranges.get(node.id)) || null;
+  }
 
-      if (
-        node.children &&
-        node.children.length > 0 &&
-        !this.collapsedNodes.has(node.id)
-      ) {
-        let childX = x;
-        for (let i = 0; i < node.children.length; i++) {
-          const child = node.children[i];
-          setPositions(child, depth + 1, childX);
-          childX += child.subtreeWidth + this.nodeSpacing;
-        }
-      }
-    };
+  ensureSourceMap() {
+    if (
+      !this.treeData ||
+      !this.xmlSource ||
+      this.sourceFormat !== "xml" ||
+      this.diffCounts
+    ) {
+      return null;
+    }
 
-    for (let i = 0; i < roots.length; i++) {
-      const root = roots[i];
-      setPositions(root, 0, startX);
-      startX += root.subtreeWidth + this.nodeSpacing;
+    const map = this.sourceMap;
+    if (
+      map &&
+      map.text === this.xmlSource &&
+      map.treeData === this.treeData &&
+      map.nodeCount === this.nodeIndex.size
+    ) {
+      return map;
     }
-  }
 
-  renderNodes(svg) {
-    // Use a non-recursive approach to prevent stack overflows with deep trees
-    const nodeStack = [...this.treeData];
-    let nodeCount = 0;
-    const maxNodes = this.visibleNodeLimit;
+    try {
+      this.sourceMap = {
+        text: this.xmlSource,
+        treeData: this.treeData,
+        nodeCount: this.nodeIndex.size,
+        ranges: mapSourceRanges(
+          this.treeData,
+          this.xmlSource,
+          this.treeBuilder
+        ),
+      };
+    } catch (error) {
+      // DOMParser accepted something our parser doesn't
+      console.warn("Could not map the source of the tree", error);
+      this.sourceMap = null;
+    }
+    return this.sourceMap;
+  }
 
-    while (nodeStack.length > 0 && nodeCount < maxNodes) {
-      const node = nodeStack.pop();
+  // Where xmlSource starts in the input, or -1 once the input was edited.
+  // The source is the input trimmed.
+  getInputSourceOffset() {
+    const value = this.xmlInput.value;
+    const base = value.length - value.trimStart().length;
+    return this.xmlSource && value.trim() === this.xmlSource ? base : -1;
+  }
 
-      // Skip if already rendered
-      if (this.renderedNodes.has(node.id)) {
-        continue;
-      }
+  // Selecciona en el textarea el código fuente del nodo
+  revealNodeSource(node) {
+    const base = this.getInputSourceOffset();
+    const range = base === -1 ? null : this.getSourceRange(node);
+    if (!range) return;
+
+    // The selection shows once the input has focus, the highlight already
+    const start = base + range.start;
+    const end = base + range.end;
+    this.xmlInput.setSelectionRange(start, end);
+    this.highlightInputLines(this.xmlInput, start, end, "source");
+    this.scrollInputToHighlight();
+  }
 
-      this.renderSingleNode(svg, node);
-      this.renderedNodes.add(node.id);
-      nodeCount++;
+  // Selects the node written at the caret, opening its collapsed ancestors
+  // and panning the diagram to it
+  selectNodeAtCaret() {
+    const base = this.getInputSourceOffset();
+    const map = base === -1 ? null : this.ensureSourceMap();
+    if (!map) return;
+
+    const node = findNodeAtOffset(
+      this.treeData,
+      map.ranges,
+      this.xmlInput.selectionStart - base
+    );
+    if (!node || !this.nodeIndex.has(node.id)) return;
 
-      // Add children to stack if not collapsed
-      if (
-        node.children &&
-        node.children.length > 0 &&
-        !this.collapsedNodes.has(node.id)
-      ) {
-        // Add in reverse order to maintain expected visual hierarchy
-        for (let i = node.children.length - 1; i >= 0; i--) {
-          nodeStack.push(node.children[i]);
-        }
+    if (this.inputHighlight && this.inputHighlight.kind === "source") {
+      this.clearInputHighlight();
+    }
+    if (node.id === this.selectedNodeId) return;
+
+    // Following the caret is not an undo step, or moving through the
+    // source would push the edits out of the history
+    this.withoutHistory(() => {
+      const collapsedCount = this.collapsedNodes.size;
+      this.expandAncestors(node.id);
+      if (this.collapsedNodes.size !== collapsedCount) {
+        this.renderTree();
       }
+      this.focusNode(node);
+      this.selectNode(node.id);
+    });
+  }
+
+  // Double click anywhere on the node keeps the old quick toggle
+  handleNodeDoubleClick(node) {
+    if (node.type !== "placeholder" && node.children.length > 0) {
+      this.toggleNode(node.id);
     }
+  }
 
-    // If we hit the node limit, add a note to the UI
-    if (nodeCount >= maxNodes && nodeStack.length > 0) {
-      this.showStatus(
-        `Showing ${nodeCount} nodes. Zoom in or collapse nodes to improve performance.`,
-        "info"
-      );
+  selectNode(nodeId) {
+    const node = this.nodeIndex.get(nodeId);
+    if (!node) return;
+
+    this.selectedNodeId = nodeId;
+
+    // Update the highlight in place instead of re-rendering the whole tree
+    if (this.renderer) {
+      this.renderer.refreshNodeStates();
     }
+
+    this.renderInspector(node);
   }
 
-  renderSingleNode(svg, node) {
-    // Check if we can reuse a cached node
-    if (this.nodeCache.has(node.id)) {
-      const cachedNode = this.nodeCache.get(node.id);
-      // Update position if needed
-      cachedNode.setAttribute("transform", `translate(${node.x},${node.y})`);
+  renderInspector(node) {
+    if (!this.inspectorPanel || !this.inspectorContent) return;
 
-      // Re-attach event handlers for toggle functionality if this is a node with children
-      if (
-        node.children &&
-        node.children.length > 0 &&
-        cachedNode.getAttribute("data-has-toggle") === "true"
-      ) {
-        // Remove any previous listeners and add a fresh one
-        const newNode = cachedNode.cloneNode(true);
-        newNode.addEventListener("click", (e) => {
-          e.stopPropagation();
-          this.toggleNode(node.id);
-        });
-        svg.appendChild(newNode);
-      } else {
-        svg.appendChild(cachedNode);
+    const content = this.inspectorContent;
+    content.innerHTML = "";
+
+    // Helper to add a labelled value with its own copy button
+    const addRow = (parent, label, value, valueClass = "") => {
+      const row = document.createElement("div");
+      row.className = "inspector-row";
+
+      const labelEl = document.createElement("span");
+      labelEl.className = "inspector-label";
+      labelEl.textContent = label;
+
+      const valueEl = document.createElement("span");
+      valueEl.className = `inspector-value ${valueClass}`.trim();
+      valueEl.textContent = value;
+
+      const copyBtn = document.createElement("button");
+      copyBtn.className = "copy-btn";
+      copyBtn.title = `Copy ${label}`;
+      copyBtn.textContent = "📋";
+      copyBtn.addEventListener("click", () => this.copyValue(label, value));
+
+      row.appendChild(labelEl);
+      row.appendChild(valueEl);
+      row.appendChild(copyBtn);
+      parent.appendChild(row);
+      return row;
+    };
+
+    // Icon button after the copy button of a row
+    const addRowButton = (row, icon, title, handler) => {
+      const button = document.createElement("button");
+      button.className = "copy-btn";
+      button.title = title;
+      button.textContent = icon;
+      button.addEventListener("click", handler);
+      row.appendChild(button);
+    };
+
+    const addSection = (title) => {
+      const section = document.createElement("section");
+      section.className = "inspector-section";
+      const heading = document.createElement("h4");
+      heading.textContent = title;
+      section.appendChild(heading);
+      content.appendChild(section);
+      return section;
+    };
+
+    const general = addSection("Node");
+    if (node.type === "element") {
+      addRow(general, "Tag", node.name);
+    } else {
+      addRow(general, "Type", XMLTreeVisualizer.NODE_TYPE_LABELS[node.type]);
+      if (node.type === "pi") {
+        addRow(general, "Target", node.name);
       }
-      return;
+    }
+    addRow(general, "Depth", String(node.depth));
+    addRow(general, "Children", String(getChildCount(node)));
+    const xpath = getAbsoluteXPath(node);
+    if (xpath) {
+      addRow(general, "XPath", xpath, "mono");
     }
 
-    const group = document.createElementNS("http://www.w3.org/2000/svg", "g");
-    group.setAttribute(
-      "class",
-      `tree-node ${
-        node.type === "text"
-          ? "text-node"
-          : node.type === "placeholder"
-          ? "placeholder-node"
-          : ""
-      }`
-    );
-    group.setAttribute("data-node-id", node.id);
-
-    // Use transform for better performance instead of setting individual x,y attributes
-    group.setAttribute("transform", `translate(${node.x},${node.y})`);
-
-    // Node rectangle - optimize by using 0,0 coordinates and transform
-    const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-    rect.setAttribute("class", "node-rect");
-    rect.setAttribute("x", 0);
-    rect.setAttribute("y", 0);
-    rect.setAttribute("width", this.nodeWidth);
-    rect.setAttribute("height", this.nodeHeight);
-    rect.setAttribute("rx", "10"); // Bordes redondeados
-
-    // Node text - optimize by using relative coordinates
-    const text = document.createElementNS("http://www.w3.org/2000/svg", "text");
-    text.setAttribute("class", "node-text");
-    text.setAttribute("x", this.nodeWidth / 2);
-    text.setAttribute("y", this.nodeHeight / 2);
-    text.setAttribute("text-anchor", "middle");
-    text.setAttribute("dominant-baseline", "central");
-    text.setAttribute("font-size", "12px"); // Ensure text size is appropriate
-
-    // Better text truncation logic
-    let displayText = node.name || "";
-    const maxLength = node.type === "placeholder" ? 30 : 10; // Allow longer text for placeholders
-    if (displayText.length > maxLength) {
-      displayText = displayText.substring(0, maxLength) + "...";
-    }
-    text.textContent = displayText;
-
-    group.appendChild(rect);
-    group.appendChild(text);
-
-    // Add expand/collapse indicator for nodes with children
-    if (node.children && node.children.length > 0) {
-      const isCollapsed = this.collapsedNodes.has(node.id);
-      // Usamos un rectángulo pequeño en lugar de un círculo para el indicador
-      const indicator = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "rect"
-      );
-      indicator.setAttribute("class", "expand-indicator");
-      indicator.setAttribute("x", this.nodeWidth - 22);
-      indicator.setAttribute("y", 8);
-      indicator.setAttribute("width", "14");
-      indicator.setAttribute("height", "14");
-      indicator.setAttribute("rx", "3");
-      indicator.setAttribute("fill", "#818cf8");
-      indicator.setAttribute("stroke", "#ffffff");
-      indicator.setAttribute("stroke-width", "2");
-
-      const indicatorText = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "text"
+    if (node.namespaceURI) {
+      const namespace = addSection("Namespace");
+      addRow(namespace, "URI", node.namespaceURI, "mono");
+      addRow(namespace, "Prefix", node.prefix || "(default)");
+      addRow(namespace, "Local name", node.localName);
+    }
+
+    const bindings = Object.keys(node.namespaces || {});
+    if (bindings.length > 0) {
+      const declarations = addSection(
+        `Namespace declarations (${bindings.length})`
       );
-      indicatorText.setAttribute("class", "expand-text");
-      indicatorText.setAttribute("x", this.nodeWidth - 15);
-      indicatorText.setAttribute("y", 15);
-      indicatorText.setAttribute("text-anchor", "middle");
-      indicatorText.setAttribute("dominant-baseline", "central");
-      indicatorText.setAttribute("font-size", "12px");
-      indicatorText.setAttribute("fill", "#ffffff");
-      indicatorText.textContent = isCollapsed ? "+" : "−";
-
-      group.appendChild(indicator);
-      group.appendChild(indicatorText);
-
-      // Add click handler for expand/collapse
-      group.addEventListener("click", (e) => {
-        e.stopPropagation();
-        this.toggleNode(node.id);
+      bindings.forEach((prefix) => {
+        addRow(
+          declarations,
+          prefix ? `xmlns:${prefix}` : "xmlns",
+          node.namespaces[prefix],
+          "mono"
+        );
       });
-
-      // Mark the group as having a toggle handler
-      group.setAttribute("data-has-toggle", "true");
-    } else {
-      // Even nodes without children should be clickable to improve UX
-      group.style.cursor = "default";
     }
 
-    // Make the entire node element have a pointer cursor to indicate it's interactive
-    if (node.children && node.children.length > 0) {
-      group.style.cursor = "pointer";
-      rect.style.cursor = "pointer";
+    const editable = this.canEditNode(node);
+    const attributeNames = Object.keys(node.attributes || {});
+    if (attributeNames.length > 0) {
+      const attributes = addSection(`Attributes (${attributeNames.length})`);
+      attributeNames.forEach((name) => {
+        const row = addRow(attributes, name, node.attributes[name], "mono");
+        if (editable) {
+          row.classList.add("editable");
+          addRowButton(row, "✎", `Edit ${name}`, () =>
+            this.editAttribute(node, name)
+          );
+          addRowButton(row, "×", `Remove ${name}`, () =>
+            this.removeNodeAttribute(node, name)
+          );
+        }
+      });
     }
 
-    // Cache the node for reuse if not in a placeholder
-    if (node.type !== "placeholder" && this.totalNodeCount < 5000) {
-      const cachedNode = group.cloneNode(true);
-      this.nodeCache.set(node.id, cachedNode);
+    const text = getNodeText(node);
+    if (text) {
+      const textSection = addSection("Text");
+      addRow(textSection, "Text", text, "inspector-text");
     }
 
-    svg.appendChild(group);
-  }
+    const schemaErrors = this.getValidationErrors(node);
+    if (schemaErrors) {
+      const errorSection = addSection(`Schema errors (${schemaErrors.length})`);
+      schemaErrors.forEach((message, i) => {
+        addRow(errorSection, String(i + 1), message, "inspector-text");
+      });
+    }
 
-  renderConnections(svg) {
-    // Use path batching for connections to improve performance
-    // For large trees, we'll combine multiple paths into a single SVG element
-    const pathData = [];
-    const batchSize = 50; // Number of connections per path element
+    if (editable) {
+      const edit = addSection("Edit");
+      const actions = document.createElement("div");
+      actions.className = "inspector-actions";
+      const addAction = (label, title, handler) => {
+        const button = document.createElement("button");
+        button.className = "inspector-action";
+        button.title = title;
+        button.textContent = label;
+        button.addEventListener("click", handler);
+        actions.appendChild(button);
+      };
 
-    const collectConnectionPaths = (nodeList) => {
-      for (let i = 0; i < nodeList.length; i++) {
-        const node = nodeList[i];
+      if (node.type === "element") {
+        addAction("Rename", "Rename the tag (F2)", () => this.renameNode(node));
+        addAction("Add attribute", "Add an attribute", () =>
+          this.addNodeAttribute(node)
+        );
+        addAction("Add child", "Add a child element", () =>
+          this.addChildElement(node)
+        );
+      } else {
+        addAction("Edit text", "Edit the text (F2)", () =>
+          this.editNodeText(node)
+        );
+      }
+      // The root element has no siblings and can't be removed
+      if (node.parentId) {
+        addAction("Add sibling", "Add an element after this node", () =>
+          this.addSiblingElement(node)
+        );
+      }
+      if (node.parentId || node.type !== "element") {
+        addAction("Delete", "Delete the node and its subtree (Del)", () =>
+          this.deleteNode(node)
+        );
+      }
+      edit.appendChild(actions);
 
-        if (
-          node.children &&
-          node.children.length > 0 &&
-          !this.collapsedNodes.has(node.id)
-        ) {
-          for (let j = 0; j < node.children.length; j++) {
-            const child = node.children[j];
-
-            const startX = node.x + this.nodeWidth / 2;
-            const startY = node.y + this.nodeHeight;
-            const endX = child.x + this.nodeWidth / 2;
-            const endY = child.y;
-            const midY = startY + (endY - startY) / 2;
-
-            // Add path to current batch
-            pathData.push(
-              `M ${startX} ${startY} L ${startX} ${midY} L ${endX} ${midY} L ${endX} ${endY}`
-            );
-
-            // When we reach batch size, create the path element and reset
-            if (pathData.length >= batchSize) {
-              createPathElement(pathData.join(" "));
-              pathData.length = 0;
-            }
-          }
+      const hint = document.createElement("p");
+      hint.className = "inspector-hint";
+      hint.textContent =
+        "Drag a node onto an element to move it inside, or onto a sibling to reorder. Hold Shift to drop it before any node.";
+      edit.appendChild(hint);
+    }
 
-          // Continue with children
-          collectConnectionPaths(node.children);
-        }
+    // Compared documents: what changed, with the previous values
+    if (node.diff) {
+      const comparison = addSection("Comparison");
+      addRow(comparison, "Status", node.diff);
+      Object.keys(node.attributeChanges || {}).forEach((name) => {
+        // Changed attributes show their old value, the new one is above
+        const status = node.attributeChanges[name];
+        addRow(
+          comparison,
+          `${name} (${status === "changed" ? "before" : status})`,
+          status === "added"
+            ? node.attributes[name]
+            : node.previousAttributes[name],
+          "mono"
+        );
+      });
+      if (node.previousText !== undefined && node.previousText !== null) {
+        addRow(
+          comparison,
+          "Previous text",
+          node.previousText,
+          "inspector-text"
+        );
       }
-    };
+    }
 
-    const createPathElement = (data) => {
-      const path = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "path"
-      );
-      path.setAttribute("class", "connection-line");
-      path.setAttribute("d", data);
-      path.setAttribute("fill", "none");
-      svg.appendChild(path);
-    };
+    this.inspectorPanel.hidden = false;
+  }
+
+  copyValue(label, value) {
+    copyToClipboard(value)
+      .then(() => this.showStatus(`${label} copied to clipboard`, "success"))
+      .catch((error) => {
+        console.error("Error copying to clipboard:", error);
+        this.showStatus(`Could not copy ${label}: ${error.message}`, "error");
+      });
+  }
+
+  closeInspector() {
+    this.selectedNodeId = null;
 
-    // Start collecting paths
-    collectConnectionPaths(this.treeData);
+    if (this.renderer) {
+      this.renderer.refreshNodeStates();
+    }
 
-    // Create any remaining paths
-    if (pathData.length > 0) {
-      createPathElement(pathData.join(" "));
+    if (this.inspectorPanel) {
+      this.inspectorPanel.hidden = true;
+    }
+    if (this.inspectorContent) {
+      this.inspectorContent.innerHTML = "";
     }
   }
 
-  toggleNode(nodeId) {
-    // Use a more efficient approach for large trees
-    if (this.totalNodeCount > 1000) {
-      // First check if we're expanding or collapsing
-      const isExpanding = this.collapsedNodes.has(nodeId);
+  runSearch(navigate = true) {
+    const query = this.searchInput ? this.searchInput.value : "";
+    const mode = this.searchMode ? this.searchMode.value : "ignore-case";
 
-      if (isExpanding) {
-        this.collapsedNodes.delete(nodeId);
-      } else {
-        this.collapsedNodes.add(nodeId);
-      }
+    this.searchMatches = [];
+    this.searchMatchSet = new Set();
+    this.activeMatchIndex = -1;
+    if (this.searchInput) {
+      this.searchInput.classList.remove("invalid");
+    }
+
+    if (!query || !this.treeData) {
+      this.updateSearchCount();
+      if (this.treeData) this.renderTree();
+      return;
+    }
+
+    let matcher;
+    try {
+      matcher = createMatcher(query, mode);
+    } catch (error) {
+      this.searchInput.classList.add("invalid");
+      this.updateSearchCount();
+      this.showStatus(`Search error: ${error.message}`, "error");
+      return;
+    }
 
-      // For large trees, use a more efficient rendering approach
-      if (this.totalNodeCount > 100000) {
-        // Clear cached nodes to ensure fresh rendering
-        this.nodeCache.clear();
+    this.searchMatches = searchTree(this.treeData, matcher);
+    this.searchMatchSet = new Set(this.searchMatches);
 
-        // Complete re-render is costly, so show loading indicator
+    // Revealing the hits follows the query, also when a rebuild or undo runs
+    // the search again: it is not an undo step
+    this.withoutHistory(() => {
+      // Reveal every hit, unless there are so many that it would expand the whole tree
+      if (this.searchMatches.length <= this.searchExpandLimit) {
+        this.searchMatches.forEach((id) => this.expandAncestors(id));
+      } else {
         this.showStatus(
-          isExpanding ? "Expanding node..." : "Collapsing node...",
+          `${this.searchMatches.length} matches: only the current one is expanded`,
           "info"
         );
-
-        // Use requestAnimationFrame for smoother UI
-        requestAnimationFrame(() => {
-          this.renderTree();
-        });
-      } else {
-        // For moderately large trees, we can optimize by only updating affected parts
-        this.partialRenderForNodeToggle(nodeId, isExpanding);
       }
-    } else {
-      // For small trees, the original approach is fine
-      if (this.collapsedNodes.has(nodeId)) {
-        this.collapsedNodes.delete(nodeId);
+
+      if (this.searchMatches.length > 0 && navigate) {
+        this.goToMatch(1);
       } else {
-        this.collapsedNodes.add(nodeId);
+        this.updateSearchCount();
+        this.renderTree();
       }
+    });
+  }
 
-      this.renderTree();
+  goToMatch(direction) {
+    const total = this.searchMatches.length;
+    if (total === 0) return;
+
+    // Wrap around in both directions
+    this.activeMatchIndex = (this.activeMatchIndex + direction + total) % total;
+    const node = this.nodeIndex.get(this.searchMatches[this.activeMatchIndex]);
+
+    this.recordHistory("go to node");
+    this.expandAncestors(node.id);
+    this.renderTree();
+    this.updateSearchCount();
+    this.focusNode(node);
+  }
+
+  // Callers that navigate record the undo step first
+  expandAncestors(nodeId) {
+    let node = this.nodeIndex.get(nodeId);
+    while (node && node.parentId) {
+      this.collapsedNodes.delete(node.parentId);
+      node = this.nodeIndex.get(node.parentId);
     }
   }
 
-  partialRenderForNodeToggle(nodeId, isExpanding) {
-    const svg = this.treeContainer.querySelector(".tree-svg");
-    if (!svg) return;
+  updateSearchCount() {
+    if (!this.searchCount) return;
 
-    // Reset rendering tracking for the toggled node's branch
-    this.resetRenderingForNode(nodeId);
+    const total = this.searchMatches.length;
+    if (!this.searchInput || !this.searchInput.value) {
+      this.searchCount.textContent = "";
+    } else if (total === 0) {
+      this.searchCount.textContent = "No matches";
+    } else {
+      this.searchCount.textContent = `${this.activeMatchIndex + 1}/${total}`;
+    }
+  }
 
-    // Update node positions first
-    this.positionNodes();
+  runXPath() {
+    const expression = this.xpathInput ? this.xpathInput.value.trim() : "";
+    this.resetXPathState();
 
-    // Re-render connections
-    const connectionsLayer = svg.querySelector(".connections-layer");
-    if (connectionsLayer) {
-      connectionsLayer.innerHTML = "";
-      this.renderConnections(connectionsLayer);
+    if (!expression) {
+      if (this.treeData) this.renderTree();
+      return;
     }
 
-    // For expanding: render additional nodes
-    if (isExpanding) {
-      const nodesLayer = svg.querySelector(".nodes-layer");
-      if (nodesLayer) {
-        // Find the node that was expanded
-        this.findAndRenderChildrenOf(nodeId, nodesLayer);
-      }
+    if (this.treeData && this.diffCounts) {
+      this.showXPathResult(
+        "XPath is not available for compared documents.",
+        "error"
+      );
+      return;
     }
 
-    // Adjust the SVG viewBox if needed
-    this.updateViewBox(svg);
-  }
+    // JSON, YAML and HTML trees are not built on a DOM XPath can query
+    if (this.treeData && this.sourceFormat !== "xml") {
+      this.showXPathResult(
+        `XPath is only available for XML documents, not ${
+          INPUT_FORMAT_LABELS[this.sourceFormat]
+        }.`,
+        "error"
+      );
+      return;
+    }
 
-  resetRenderingForNode(nodeId) {
-    // Find the node and its children
-    const findNode = (nodeList, id) => {
-      for (let i = 0; i < nodeList.length; i++) {
-        if (nodeList[i].id === id) {
-          return nodeList[i];
-        }
+    // Worker-parsed documents only get a DOM when XPath needs one
+    if (!this.xmlDoc && this.xmlSource && !this.attachXmlDocument()) {
+      this.showXPathResult("XPath error: could not load the document", "error");
+      return;
+    }
 
-        if (nodeList[i].children && nodeList[i].children.length > 0) {
-          const found = findNode(nodeList[i].children, id);
-          if (found) return found;
-        }
-      }
-      return null;
-    };
+    if (!this.xmlDoc) {
+      this.showXPathResult(
+        "Visualize a document before running XPath.",
+        "error"
+      );
+      return;
+    }
 
-    const node = findNode(this.treeData, nodeId);
-    if (!node) return;
+    // Nodes loaded since the last run need their DOM counterparts too
+    if (this.treeFromWorker) {
+      this.linkDomToTree(this.xmlDoc);
+    }
 
-    // Remove the node's children from rendered nodes
-    const removeFromRendered = (n) => {
-      this.renderedNodes.delete(n.id);
-      if (n.children && n.children.length > 0) {
-        n.children.forEach(removeFromRendered);
-      }
-    };
+    let result;
+    try {
+      result = evaluateXPath(this.xmlDoc, expression);
+    } catch (error) {
+      this.showXPathResult(`XPath error: ${error.message}`, "error");
+      return;
+    }
+    this.lastXPathExpression = expression;
+
+    if (result.type !== "nodes") {
+      this.showXPathResult(`${result.type}: ${result.value}`, "scalar");
+      if (this.treeData) this.renderTree();
+      return;
+    }
 
-    node.children.forEach(removeFromRendered);
+    // Map DOM results back to tree nodes; some may not be in the tree
+    const ids = new Set();
+    result.nodes.forEach((domNode) => {
+      const id = this.findNodeIdForDomNode(domNode);
+      if (id) ids.add(id);
+    });
+    this.xpathMatches = [...ids];
+    this.xpathMatchSet = ids;
+
+    const unmapped = result.nodes.length - this.xpathMatches.length;
+    this.showXPathResult(
+      `${result.nodes.length} node${
+        result.nodes.length === 1 ? "" : "s"
+      } matched` + (unmapped > 0 ? ` (${unmapped} not shown in the tree)` : ""),
+      "nodes"
+    );
+
+    this.recordHistory("go to node");
+    this.xpathMatches.forEach((id) => this.expandAncestors(id));
+    if (this.xpathMatches.length > 0) {
+      this.goToXPathMatch(1);
+    } else {
+      this.renderTree();
+    }
   }
 
-  findAndRenderChildrenOf(nodeId, container) {
-    // Find the node in the tree
-    const findNodeAndRender = (nodeList) => {
-      for (let i = 0; i < nodeList.length; i++) {
-        const node = nodeList[i];
+  attachXmlDocument() {
+    try {
+      this.xmlDoc = this.parseDocument(this.xmlSource, this.sourceFormat);
+    } catch (error) {
+      return false;
+    }
+    return true;
+  }
 
-        if (node.id === nodeId) {
-          // Found the node, render its children
-          if (node.children && node.children.length > 0) {
-            for (let j = 0; j < node.children.length; j++) {
-              this.renderSingleNode(container, node.children[j]);
-              this.renderedNodes.add(node.children[j].id);
+  // Asocia cada nodo DOM con el nodo del árbol construido por el worker,
+  // recorriendo ambos en orden de documento. Placeholders get the DOM range
+  // of the children they stand for.
+  linkDomToTree(xmlDoc) {
+    const builder = this.treeBuilder;
+    const stack = [
+      [xmlDoc, this.treeData.filter((node) => node.type !== "declaration")],
+    ];
+
+    while (stack.length > 0) {
+      const [domParent, treeChildren] = stack.pop();
+      const isMixed = domParent.childElementCount > 0 && domParent !== xmlDoc;
+      const domChildren = domParent.childNodes;
+      let treeIndex = 0;
+
+      for (let i = 0; i < domChildren.length; i++) {
+        const domChild = domChildren[i];
+        if (!builder.isVisibleChildNode(domChild, isMixed)) continue;
+
+        const treeNode = treeChildren[treeIndex++];
+        if (!treeNode) break;
+
+        // Children behind a placeholder are not in the tree yet
+        if (treeNode.type === "placeholder") {
+          let end = i;
+          for (let remaining = treeNode.hiddenCount; remaining > 0; end++) {
+            if (builder.isVisibleChildNode(domChildren[end], isMixed)) {
+              remaining--;
             }
           }
-          return true;
+          treeNode.source = { element: domParent, domStart: i, domEnd: end };
+          i = end - 1;
+          continue;
         }
 
-        if (
-          node.children &&
-          node.children.length > 0 &&
-          !this.collapsedNodes.has(node.id)
-        ) {
-          if (findNodeAndRender(node.children)) {
-            return true;
-          }
+        builder.domNodeIds.set(domChild, treeNode.id);
+        if (treeNode.type === "element") {
+          stack.push([domChild, treeNode.children]);
         }
       }
-      return false;
-    };
+    }
+  }
+
+  findNodeIdForDomNode(domNode) {
+    switch (domNode.nodeType) {
+      case Node.ATTRIBUTE_NODE:
+        return this.findNodeIdForDomNode(domNode.ownerElement);
+      case Node.TEXT_NODE:
+      case Node.CDATA_SECTION_NODE:
+        // Hidden or whitespace-only text falls back to its element
+        return this.nodeIndex.has(this.treeBuilder.domNodeIds.get(domNode))
+          ? this.treeBuilder.domNodeIds.get(domNode)
+          : this.findNodeIdForDomNode(domNode.parentNode);
+      default: {
+        const id = this.treeBuilder.domNodeIds.get(domNode);
+        return id && this.nodeIndex.has(id) ? id : null;
+      }
+    }
+  }
+
+  goToXPathMatch(direction) {
+    const total = this.xpathMatches.length;
+    if (total === 0) return;
+
+    this.activeXPathIndex = (this.activeXPathIndex + direction + total) % total;
+    const node = this.nodeIndex.get(this.xpathMatches[this.activeXPathIndex]);
+
+    this.recordHistory("go to node");
+    this.expandAncestors(node.id);
+    this.renderTree();
+    this.focusNode(node);
+    this.selectNode(node.id);
+  }
+
+  showXPathResult(message, type) {
+    if (!this.xpathResult) return;
+    this.xpathResult.textContent = message;
+    this.xpathResult.className = `xpath-result xpath-result-${type}`;
+    this.xpathResult.hidden = false;
+  }
+
+  resetXPathState() {
+    this.xpathMatches = [];
+    this.xpathMatchSet = new Set();
+    this.activeXPathIndex = -1;
+    this.lastXPathExpression = null;
+    if (this.xpathResult) {
+      this.xpathResult.textContent = "";
+      this.xpathResult.hidden = true;
+    }
+  }
 
-    findNodeAndRender(this.treeData);
+  clearXPath() {
+    if (this.xpathInput) {
+      this.xpathInput.value = "";
+    }
+    this.resetXPathState();
+    if (this.treeData) this.renderTree();
   }
 
-  updateViewBox(svg) {
-    // Recalculate diagram bounds and update viewBox
-    const bounds = this.getDiagramBounds();
-    const margin = 100;
+  // Centra un nodo en la vista, acercando el zoom si se ve demasiado pequeño
+  focusNode(node) {
+    const fit = this.getViewBoxFit();
+    if (!fit) return;
+    this.recordHistory("go to node");
 
-    // Set the new viewBox
-    svg.setAttribute(
-      "viewBox",
-      `${bounds.minX - margin} ${bounds.minY - margin} ${
-        bounds.width + 2 * margin
-      } ${bounds.height + 2 * margin}`
-    );
-  }
+    const { containerRect, viewX, viewY, scale, offsetX, offsetY } = fit;
+    const localX = offsetX + (node.x + node.width / 2 - viewX) * scale;
+    const localY = offsetY + (node.y + node.height / 2 - viewY) * scale;
 
-  autoCollapseDeepNodes(maxVisibleDepth) {
-    // Colapsa automáticamente los nodos que están por debajo del nivel maxVisibleDepth
-    this.collapsedNodes.clear(); // Limpia cualquier estado anterior de colapso
+    // Show the node at least at its natural size
+    this.currentZoom = Math.min(
+      Math.max(this.currentZoom, 1 / scale),
+      this.maxZoom
+    );
 
-    const collapseNodesAtDepth = (nodeList, currentDepth) => {
-      for (let i = 0; i < nodeList.length; i++) {
-        const node = nodeList[i];
+    // The transform origin is the center of the container
+    this.panOffsetX = -this.currentZoom * (localX - containerRect.width / 2);
+    this.panOffsetY = -this.currentZoom * (localY - containerRect.height / 2);
+    this.updateZoom();
+  }
 
-        // Si estamos en el nivel de profundidad máximo y el nodo tiene hijos, colapsarlo
-        if (
-          currentDepth >= maxVisibleDepth &&
-          node.children &&
-          node.children.length > 0
-        ) {
-          this.collapsedNodes.add(node.id);
-        }
+  toggleNode(nodeId) {
+    this.recordHistory(
+      this.collapsedNodes.has(nodeId) ? "expand node" : "collapse node"
+    );
+    if (this.collapsedNodes.has(nodeId)) {
+      this.collapsedNodes.delete(nodeId);
+    } else {
+      this.collapsedNodes.add(nodeId);
+    }
 
-        // Continuar recursivamente con los hijos
-        if (node.children && node.children.length > 0) {
-          collapseNodesAtDepth(node.children, currentDepth + 1);
-        }
-      }
-    };
+    // The layout is still done for the whole tree, so on huge trees show a
+    // status first and run it on the next frame
+    if (this.totalNodeCount > 100000) {
+      this.showStatus("Updating layout...", "info");
+      requestAnimationFrame(() => {
+        this.renderTree();
+      });
+    } else {
+      this.renderTree();
+    }
+  }
 
-    // Comenzar el colapso desde los nodos raíz
-    collapseNodesAtDepth(this.treeData, 0);
+  autoCollapseDeepNodes(maxVisibleDepth) {
+    // Colapsa automáticamente los nodos que están por debajo del nivel maxVisibleDepth
+    this.collapsedNodes = getDeepNodeIds(this.treeData, maxVisibleDepth);
 
     console.log(`Auto-collapsed nodes deeper than level ${maxVisibleDepth}`);
   }
 
   expandAll() {
-    // For very large trees, warn the user
-    if (this.totalNodeCount > 5000) {
-      if (
-        !confirm(
-          `This tree contains ${this.totalNodeCount} nodes. Expanding all nodes may cause performance issues. Continue?`
-        )
-      ) {
-        return;
-      }
-    }
-
+    this.recordHistory("expand all");
     this.collapsedNodes.clear();
 
-    // Clear node cache to ensure fresh rendering
-    this.nodeCache.clear();
-    this.renderedNodes.clear();
-
-    // For large trees, use progressive rendering
+    // Only the nodes in view are drawn, but the layout still visits every
+    // node, so let the status show before it runs on large trees
     if (this.totalNodeCount > 1000) {
       this.showStatus("Expanding all nodes, please wait...", "info");
 
-      // Use setTimeout to avoid freezing the UI
       setTimeout(() => {
         this.renderTree();
-      }, 100);
+        this.showStatus(`All ${this.totalNodeCount} nodes expanded`, "info");
+      }, 50);
     } else {
       this.renderTree();
       this.showStatus("All nodes expanded", "info");
@@ -1388,6 +3391,7 @@ class XMLTreeVisualizer {
   }
 
   collapseAll() {
+    this.recordHistory("collapse all");
     // Collect all nodes with children more efficiently
     this.collapsedNodes.clear();
 
@@ -1403,16 +3407,137 @@ class XMLTreeVisualizer {
 
     addCollapsibleNodes(this.treeData);
 
-    // Clear cache to ensure fresh rendering
-    this.nodeCache.clear();
-    this.renderedNodes.clear();
-
     this.renderTree();
     this.showStatus("All nodes collapsed", "info");
   }
 
+  /**
+   * State restored by undo and redo. Edits keep the document text, which is
+   * parsed again on undo: the text is already in memory, a copy of the DOM
+   * of a large document is not.
+   * @param {boolean} [withDocument] - also keep the document, for edits
+   * @returns {Object} { collapsedNodes, panOffsetX, panOffsetY, currentZoom,
+   *   selectedNodeId, source }
+   */
+  captureHistoryState(withDocument = false) {
+    return {
+      collapsedNodes: new Set(this.collapsedNodes),
+      panOffsetX: this.panOffsetX,
+      panOffsetY: this.panOffsetY,
+      currentZoom: this.currentZoom,
+      selectedNodeId: this.selectedNodeId,
+      source: withDocument ? this.xmlSource : null,
+    };
+  }
+
+  // Copia del documento cuyos nodos conservan los ids del árbol
+  /**
+   * Adds an undo step, called before the view or the document changes.
+   * Methods called together for one action (goToMatch then focusNode)
+   * make a single step: only the first call of a task is recorded. Nothing
+   * is recorded inside withoutHistory.
+   * @param {string} label - what the step does, for the status
+   * @param {Object} [state] - state from before the change
+   */
+  recordHistory(label, state = null) {
+    if (!this.treeData || this.historyBatched || this.historySuppressed) {
+      return;
+    }
+
+    this.historyBatched = true;
+    queueMicrotask(() => {
+      this.historyBatched = false;
+    });
+
+    this.undoStack.push({ label, state: state || this.captureHistoryState() });
+    if (this.undoStack.length > XMLTreeVisualizer.HISTORY_LIMIT) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.updateHistoryButtons();
+  }
+
+  // Runs changes that are not undo steps of their own
+  withoutHistory(callback) {
+    const suppressed = this.historySuppressed;
+    this.historySuppressed = true;
+    try {
+      callback();
+    } finally {
+      this.historySuppressed = suppressed;
+    }
+  }
+
+  undo() {
+    this.stepHistory(this.undoStack, this.redoStack, "Undone");
+  }
+
+  redo() {
+    this.stepHistory(this.redoStack, this.undoStack, "Redone");
+  }
+
+  // Restores the last state of from, saving the current one in to
+  stepHistory(from, to, verb) {
+    const entry = from[from.length - 1];
+    if (!entry || (entry.state.source && !this.confirmInputReplace())) {
+      return;
+    }
+    from.pop();
+
+    to.push({
+      label: entry.label,
+      state: this.captureHistoryState(Boolean(entry.state.source)),
+    });
+    this.restoreHistoryState(entry.state);
+    this.updateHistoryButtons();
+    this.showStatus(`${verb}: ${entry.label}`, "info");
+  }
+
+  restoreHistoryState(state) {
+    this.withoutHistory(() => this.applyHistoryState(state));
+  }
+
+  applyHistoryState(state) {
+    this.collapsedNodes = new Set(state.collapsedNodes);
+    this.panOffsetX = state.panOffsetX;
+    this.panOffsetY = state.panOffsetY;
+    this.currentZoom = state.currentZoom;
+
+    if (state.source) {
+      // Text written by this page, or that it parsed before
+      this.xmlDoc = this.parseDocument(state.source, "xml");
+      this.replaceSource(state.source);
+      this.rebuildTree();
+    } else {
+      this.renderTree();
+    }
+
+    if (state.selectedNodeId && this.nodeIndex.has(state.selectedNodeId)) {
+      this.selectNode(state.selectedNodeId);
+    } else if (this.selectedNodeId) {
+      this.closeInspector();
+    }
+  }
+
+  clearHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.updateHistoryButtons();
+  }
+
+  updateHistoryButtons() {
+    if (this.undoBtn) this.undoBtn.disabled = this.undoStack.length === 0;
+    if (this.redoBtn) this.redoBtn.disabled = this.redoStack.length === 0;
+  }
+
   clearInput() {
     this.xmlInput.value = "";
+    this.documentName = null;
+    this.renderSavedDocuments();
+    this.scheduleSessionSave();
+    if (this.compareInput) {
+      this.compareInput.value = "";
+    }
     this.treeContainer.innerHTML =
       '<div class="empty-state"><div class="empty-icon">🌳</div><p>Enter XML code and click "Visualize Tree" to see the hierarchical structure</p></div>';
     this.statusMessage.textContent = "";
@@ -1426,9 +3551,31 @@ class XMLTreeVisualizer {
     // Clear all data structures to free memory
     this.treeData = null;
     this.collapsedNodes.clear();
-    this.renderedNodes.clear();
-    this.nodeCache.clear();
-    this.totalNodeCount = 0;
+    this.clearHistory();
+    this.layoutNodes = [];
+    this.layoutEdges = [];
+    this.viewBox = null;
+    if (this.renderer) {
+      this.renderer.destroy();
+      this.renderer = null;
+    }
+    this.treeBuilder.reset();
+    this.xmlDoc = null;
+    this.xmlSource = "";
+    this.diffCounts = null;
+    this.validationErrors = null;
+    this.validationNodeErrors = new Map();
+    this.renderValidationList();
+    this.clearParseProblems();
+    this.sourceMap = null;
+    this.renderNamespaceLegend();
+    this.cancelWorkerParse(false);
+    this.closeInspector();
+    this.resetXPathState();
+    this.searchMatches = [];
+    this.searchMatchSet = new Set();
+    this.activeMatchIndex = -1;
+    this.updateSearchCount();
 
     // Cancel any pending operations
     if (this.renderTimeout) {
@@ -1441,16 +3588,16 @@ class XMLTreeVisualizer {
       this.detailLevelTimeout = null;
     }
 
-    if (this.zoomTimeout) {
-      clearTimeout(this.zoomTimeout);
-      this.zoomTimeout = null;
-    }
-
     if (this.dragAnimationFrame) {
       cancelAnimationFrame(this.dragAnimationFrame);
       this.dragAnimationFrame = null;
     }
 
+    if (this.viewportFrame) {
+      cancelAnimationFrame(this.viewportFrame);
+      this.viewportFrame = null;
+    }
+
     // Force garbage collection hint (not guaranteed but can help)
     setTimeout(() => {
       console.log("Memory cleanup complete");
@@ -1458,6 +3605,7 @@ class XMLTreeVisualizer {
   }
 
   zoomIn() {
+    this.recordHistory("zoom in");
     // Aumentar el efecto de zoom (botones)
     const baseStep = this.currentZoom >= 2 ? 0.2 : 0.1;
     const adaptiveStep = baseStep * 5;
@@ -1468,6 +3616,7 @@ class XMLTreeVisualizer {
   }
 
   zoomOut() {
+    this.recordHistory("zoom out");
     // Disminuir el zoom (botones)
     const baseStep = this.currentZoom <= 0.5 ? 0.05 : 0.1;
     const adaptiveStep = baseStep * 5;
@@ -1497,8 +3646,7 @@ class XMLTreeVisualizer {
     // El punto de vista debe mantenerse fijo en las coordenadas del cursor
     // Necesitamos encontrar el punto real del SVG bajo el cursor
     // Obtener el punto en coordenadas de SVG
-    const svg = this.treeContainer.querySelector(".tree-svg");
-    if (!svg) return;
+    if (!this.renderer) return;
 
     // Obtener el punto en coordenadas del SVG utilizando la transformación actual
     const svgPoint = this.getRelativeMousePosition(pointX, pointY, oldZoom);
@@ -1518,6 +3666,7 @@ class XMLTreeVisualizer {
   }
 
   resetZoom() {
+    this.recordHistory("reset zoom");
     this.currentZoom = 1;
     // En lugar de resetear a 0, centrar el diagrama
     this.centerDiagram();
@@ -1531,71 +3680,36 @@ class XMLTreeVisualizer {
         return;
       }
 
-      const svg = this.treeContainer.querySelector(".tree-svg");
-      if (!svg) {
-        // No SVG element found, which is normal if no diagram is rendered yet
+      if (!this.renderer) {
+        // No renderer yet, which is normal if no diagram is rendered yet
         return;
       }
 
-      // Cancel any pending zoom operations
-      if (this.zoomTimeout) {
-        clearTimeout(this.zoomTimeout);
-      }
-
-      // Apply the transform with high quality rendering
-      const highQualityTransform = `translate3d(${this.panOffsetX}px, ${this.panOffsetY}px, 0) scale(${this.currentZoom})`;
-      svg.style.transform = highQualityTransform;
+      // Smooth transition only for explicit zoom actions, not for dragging
+      this.renderer.applyTransform(!this.isDragging);
+      this.scheduleSessionSave();
 
-      // Maintain sharp rendering at different zoom levels
-      const nodes = svg.querySelectorAll(".tree-node rect");
-
-      // Add smooth transition only for explicit zoom actions, not for dragging
-      if (!this.isDragging) {
-        svg.classList.add("smooth-transform");
-
-        this.zoomTimeout = setTimeout(() => {
-          // Check if the element still exists before trying to modify it
-          if (svg && svg.classList) {
-            svg.classList.remove("smooth-transform");
-          }
-          this.zoomTimeout = null;
-        }, 300);
-      }
+      // Bring in the nodes that the new view reveals
+      this.scheduleViewportUpdate();
     } catch (error) {
       console.error("Error updating zoom:", error);
     }
   }
 
-  // Add more nodes to the visualization when zooming in
-  renderAdditionalNodes() {
-    const svg = this.treeContainer.querySelector(".tree-svg");
-    if (!svg) return;
-
-    const nodesLayer = svg.querySelector(".nodes-layer");
-    const connectionsLayer = svg.querySelector(".connections-layer");
-
-    if (nodesLayer && connectionsLayer) {
-      // Clear existing connections and rebuild them
-      connectionsLayer.innerHTML = "";
-
-      // Render additional nodes up to the current limit
-      this.renderNodesChunk(
-        nodesLayer,
-        this.visibleNodeLimit - this.renderedNodes.size
-      );
-
-      // Re-render all connections
-      this.renderConnections(connectionsLayer);
-
-      console.log(
-        `Detail level updated: now showing ${this.renderedNodes.size} nodes`
-      );
-    }
-  }
-
   startDrag(e) {
-    if (e.target.closest(".tree-node")) {
-      // Si hizo clic en un nodo, no inicie el arrastre
+    this.suppressNodeClick = false;
+    const node = this.renderer && this.renderer.nodeAtEvent(e);
+    if (node) {
+      // Si hizo clic en un nodo, no inicie el arrastre; puede moverse el nodo
+      if (this.canMoveNode(node)) {
+        this.nodeDrag = {
+          node,
+          startX: e.clientX,
+          startY: e.clientY,
+          moved: false,
+          shiftKey: false,
+        };
+      }
       return;
     }
 
@@ -1604,15 +3718,16 @@ class XMLTreeVisualizer {
     this.dragStartY = e.clientY - this.panOffsetY;
     this.treeContainer.classList.add("is-dragging");
 
-    // Disable transitions during drag for better performance
-    const svg = this.treeContainer.querySelector(".tree-svg");
-    if (svg) {
-      svg.classList.remove("smooth-transform");
-      svg.style.willChange = "transform"; // Hint for browser optimization
+    if (this.renderer) {
+      this.renderer.beginDrag();
     }
   }
 
   drag(e) {
+    if (this.nodeDrag) {
+      this.dragNode(e);
+      return;
+    }
     if (!this.isDragging) return;
 
     // Use requestAnimationFrame for smoother dragging with less jank
@@ -1624,21 +3739,26 @@ class XMLTreeVisualizer {
       this.panOffsetX = e.clientX - this.dragStartX;
       this.panOffsetY = e.clientY - this.dragStartY;
 
-      // Update transform with high quality rendering
-      const svg = this.treeContainer.querySelector(".tree-svg");
-      if (svg) {
-        svg.style.transform = `translate3d(${this.panOffsetX}px, ${this.panOffsetY}px, 0) scale(${this.currentZoom})`;
+      if (this.renderer) {
+        this.renderer.applyTransform(false);
+        this.renderer.updateViewport();
       }
 
       this.dragAnimationFrame = null;
     });
   }
 
-  endDrag() {
+  endDrag(e) {
+    // Leaving the container cancels a node drag, releasing drops it
+    if (this.nodeDrag) {
+      this.finishNodeDrag(e ? this.dropTargetId : null);
+      return;
+    }
     if (!this.isDragging) return;
 
     this.isDragging = false;
     this.treeContainer.classList.remove("is-dragging");
+    this.scheduleSessionSave();
 
     // Cancel any pending animation frame
     if (this.dragAnimationFrame) {
@@ -1646,15 +3766,373 @@ class XMLTreeVisualizer {
       this.dragAnimationFrame = null;
     }
 
-    // Reset willChange to free up resources
-    const svg = this.treeContainer.querySelector(".tree-svg");
-    if (svg) {
-      svg.style.willChange = "auto";
+    if (this.renderer) {
+      this.renderer.endDrag();
     }
 
     // No additional actions needed after dragging
   }
 
+  // Only single XML documents can be edited: other formats are converted,
+  // and a compared tree merges two documents
+  canEditDocument() {
+    return Boolean(
+      this.treeData &&
+        this.xmlSource &&
+        this.sourceFormat === "xml" &&
+        !this.diffCounts
+    );
+  }
+
+  canEditNode(node) {
+    return (
+      this.canEditDocument() &&
+      XMLTreeVisualizer.EDITABLE_TYPES.includes(node.type)
+    );
+  }
+
+  // Everything editable moves except the root element
+  canMoveNode(node) {
+    return this.canEditNode(node) && (node.type !== "element" || node.parentId);
+  }
+
+  // Busca el nodo DOM de un nodo del árbol bajando por sus ancestros
+  findDomNode(node) {
+    if (!this.xmlDoc) {
+      if (!this.attachXmlDocument()) return null;
+      if (this.treeFromWorker) this.linkDomToTree(this.xmlDoc);
+    }
+
+    const path = [];
+    for (let n = node; n; n = this.nodeIndex.get(n.parentId)) {
+      path.unshift(n.id);
+    }
+
+    let domNode = this.xmlDoc;
+    for (const id of path) {
+      domNode = Array.from(domNode.childNodes).find(
+        (child) => this.treeBuilder.domNodeIds.get(child) === id
+      );
+      if (!domNode) return null;
+    }
+    return domNode;
+  }
+
+  /**
+   * Runs an edit on the document node of a tree node, then writes the
+   * document back to the input and rebuilds the tree in place
+   * @param {Object} node - tree node to edit
+   * @param {Function} edit - receives the DOM node, returns the DOM node to
+   *   select afterwards; throws XmlEditError when the edit is not allowed
+   * @param {string} message - status shown once done
+   * @returns {boolean} whether the document changed
+   */
+  applyEdit(node, edit, message) {
+    if (!this.confirmInputReplace()) return false;
+
+    const domNode = this.findDomNode(node);
+    if (!domNode) {
+      this.showStatus("Could not find the node in the document", "error");
+      return false;
+    }
+
+    let selected;
+    try {
+      selected = edit(domNode);
+    } catch (error) {
+      this.showStatus(`Cannot edit the document: ${error.message}`, "error");
+      return false;
+    }
+    // Edits only change the DOM: the view and xmlSource are still as before
+    this.recordHistory(message, this.captureHistoryState(true));
+
+    // The edited node stays visible, its parent open
+    const { domNodeIds } = this.treeBuilder;
+    const parentId = domNodeIds.get(selected.parentNode);
+    if (parentId) {
+      this.collapsedNodes.delete(parentId);
+      this.expandAncestors(parentId);
+    }
+
+    this.writeBackDocument();
+    this.rebuildTree();
+    // Ids of the edited node and its parent may have changed, or a new
+    // node got its first one
+    const selectedId =
+      domNodeIds.get(selected) || domNodeIds.get(selected.parentNode);
+    if (this.nodeIndex.has(selectedId)) {
+      this.selectNode(selectedId);
+    }
+    this.showStatus(message, "success");
+    return true;
+  }
+
+  // Changes typed in the input since it was visualized would be lost
+  confirmInputReplace() {
+    return (
+      this.getInputSourceOffset() !== -1 ||
+      confirm(
+        "The input was changed after visualizing it. Replace it with the edited document?"
+      )
+    );
+  }
+
+  // Vuelve a escribir el documento editado en el textarea
+  writeBackDocument() {
+    // The DOM doesn't keep the XML declaration
+    const declaration = /^\s*(<\?xml\s[^?]*\?>)/.exec(this.xmlSource);
+    this.replaceSource(
+      serializeXml(this.xmlDoc, declaration ? declaration[1] : "")
+    );
+  }
+
+  // Shows text, the source of xmlDoc, in the input
+  replaceSource(text) {
+    this.xmlSource = text;
+    this.xmlInput.value = text;
+    this.sourceMap = null;
+    this.clearParseProblems();
+    this.clearInputHighlight();
+    this.resetXPathState();
+    if (this.schema) {
+      this.validateDocument();
+    }
+  }
+
+  renameNode(node) {
+    if (!this.canEditNode(node) || node.type !== "element") return;
+
+    const input = prompt(`Rename <${node.name}> to:`, node.name);
+    const name = input === null ? "" : input.trim();
+    if (!name || name === node.name) return;
+
+    this.applyEdit(
+      node,
+      (element) => {
+        const renamed = renameElement(element, name);
+        // Same node for the tree: its collapse state and selection move to
+        // its new path
+        this.treeBuilder.domNodeIds.set(renamed, node.id);
+        return renamed;
+      },
+      `Renamed <${node.name}> to <${name}>`
+    );
+  }
+
+  addNodeAttribute(node) {
+    if (!this.canEditNode(node) || node.type !== "element") return;
+
+    const input = prompt(`New attribute of <${node.name}>:`, "");
+    const name = input === null ? "" : input.trim();
+    if (!name) return;
+    const value = prompt(`Value of ${name}:`, node.attributes[name] || "");
+    if (value === null) return;
+
+    this.applyEdit(
+      node,
+      (element) => {
+        setAttribute(element, name, value);
+        return element;
+      },
+      `Set ${name} on <${node.name}>`
+    );
+  }
+
+  editAttribute(node, name) {
+    if (!this.canEditNode(node)) return;
+
+    const value = prompt(`Value of ${name}:`, node.attributes[name]);
+    if (value === null || value === node.attributes[name]) return;
+
+    this.applyEdit(
+      node,
+      (element) => {
+        setAttribute(element, name, value);
+        return element;
+      },
+      `Changed ${name} on <${node.name}>`
+    );
+  }
+
+  removeNodeAttribute(node, name) {
+    if (!this.canEditNode(node)) return;
+
+    this.applyEdit(
+      node,
+      (element) => {
+        removeAttribute(element, name);
+        return element;
+      },
+      `Removed ${name} from <${node.name}>`
+    );
+  }
+
+  editNodeText(node) {
+    if (!this.canEditNode(node) || node.type === "element") return;
+
+    const label = XMLTreeVisualizer.NODE_TYPE_LABELS[node.type];
+    const text = prompt(`${label} text:`, node.textContent);
+    if (text === null || text === node.textContent) return;
+
+    this.applyEdit(
+      node,
+      (domNode) => {
+        setNodeText(domNode, text);
+        return domNode;
+      },
+      `${label} changed`
+    );
+  }
+
+  addChildElement(node) {
+    if (!this.canEditNode(node) || node.type !== "element") return;
+
+    const input = prompt(`New child element of <${node.name}>:`, "");
+    const name = input === null ? "" : input.trim();
+    if (!name) return;
+
+    this.applyEdit(
+      node,
+      (element) => insertNode(element, createElement(element, name)),
+      `Added <${name}> to <${node.name}>`
+    );
+  }
+
+  addSiblingElement(node) {
+    if (!this.canEditNode(node) || !node.parentId) return;
+
+    const input = prompt("New element after this node:", "");
+    const name = input === null ? "" : input.trim();
+    if (!name) return;
+
+    this.applyEdit(
+      node,
+      (domNode) =>
+        insertNode(
+          domNode.parentNode,
+          createElement(domNode.parentNode, name),
+          domNode.nextSibling
+        ),
+      `Added <${name}>`
+    );
+  }
+
+  deleteNode(node) {
+    if (!this.canEditNode(node)) return;
+    if (node.type === "element" && !node.parentId) {
+      this.showStatus("The root element cannot be deleted", "error");
+      return;
+    }
+    if (
+      node.children.length > 0 &&
+      !confirm(`Delete <${node.name}> and everything inside it?`)
+    ) {
+      return;
+    }
+
+    const label =
+      node.type === "element"
+        ? `<${node.name}>`
+        : XMLTreeVisualizer.NODE_TYPE_LABELS[node.type];
+    this.applyEdit(
+      node,
+      (domNode) => {
+        const parent = domNode.parentNode;
+        removeNode(domNode);
+        return parent;
+      },
+      `Deleted ${label}`
+    );
+  }
+
+  /**
+   * Moves a node next to or into a target node. Dropped on an element of
+   * another parent, the node becomes its last child; dropped on a sibling,
+   * or with before set, it takes the target's place.
+   * @param {Object} node - tree node to move
+   * @param {Object} target - tree node it was dropped on
+   * @param {boolean} [before] - always move before the target
+   */
+  moveTreeNode(node, target, before = false) {
+    if (!this.canMoveNode(node) || target.type === "placeholder") return;
+
+    const targetDom = this.findDomNode(target);
+    if (!targetDom) return;
+
+    const inside =
+      !before && target.type === "element" && target.parentId !== node.parentId;
+    if (!inside && !target.parentId && target.type === "element") {
+      this.showStatus("Only one root element is allowed", "error");
+      return;
+    }
+
+    this.applyEdit(
+      node,
+      (domNode) => {
+        if (inside) {
+          moveNode(domNode, targetDom);
+        } else {
+          // Moving down, the node takes the place of the target
+          const isLater =
+            domNode.compareDocumentPosition(targetDom) &
+            Node.DOCUMENT_POSITION_FOLLOWING;
+          moveNode(
+            domNode,
+            targetDom.parentNode,
+            isLater && target.parentId === node.parentId
+              ? targetDom.nextSibling
+              : targetDom
+          );
+        }
+        return domNode;
+      },
+      inside ? `Moved into <${target.name}>` : "Moved"
+    );
+  }
+
+  // Sigue al nodo arrastrado y marca el nodo donde se soltaría
+  dragNode(e) {
+    const drag = this.nodeDrag;
+    drag.shiftKey = e.shiftKey;
+    if (
+      !drag.moved &&
+      Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < 5
+    ) {
+      return;
+    }
+    if (!drag.moved) {
+      drag.moved = true;
+      this.treeContainer.classList.add("is-moving-node");
+    }
+
+    const target = this.renderer && this.renderer.nodeAtEvent(e);
+    const targetId =
+      target && target !== drag.node && target.type !== "placeholder"
+        ? target.id
+        : null;
+    if (targetId !== this.dropTargetId) {
+      this.dropTargetId = targetId;
+      if (this.renderer) this.renderer.refreshNodeStates();
+    }
+  }
+
+  finishNodeDrag(targetId) {
+    const { node, moved, shiftKey } = this.nodeDrag;
+    this.nodeDrag = null;
+    if (!moved) return;
+
+    // The mouseup is followed by a click that would select the drop target
+    this.suppressNodeClick = true;
+    this.treeContainer.classList.remove("is-moving-node");
+    this.dropTargetId = null;
+    if (this.renderer) this.renderer.refreshNodeStates();
+
+    const target = targetId && this.nodeIndex.get(targetId);
+    if (target) {
+      this.moveTreeNode(node, target, shiftKey);
+    }
+  }
+
   toggleFullscreen() {
     if (!document.fullscreenElement) {
       this.treeContainer.requestFullscreen().catch((err) => {
@@ -1668,148 +4146,153 @@ class XMLTreeVisualizer {
     }
   }
 
-  downloadDiagram() {
+  openExportDialog() {
     if (!this.treeData || this.treeData.length === 0) {
       this.showStatus("No hay un diagrama para descargar", "error");
       return;
     }
 
-    try {
-      const svg = this.treeContainer.querySelector(".tree-svg");
-      if (!svg) {
-        this.showStatus("No se encontró el diagrama SVG", "error");
-        return;
-      }
+    const dialog = getElement("exportDialog");
+    if (!dialog) return;
+    this.updateExportOptions();
+    if (typeof dialog.showModal === "function") {
+      dialog.showModal();
+    } else {
+      dialog.setAttribute("open", "");
+    }
+  }
 
-      // Calcular los límites exactos del diagrama para recortar solo esa área
-      const bounds = this.getDiagramBounds();
+  closeExportDialog() {
+    const dialog = getElement("exportDialog");
+    if (!dialog) return;
+    if (typeof dialog.close === "function") {
+      dialog.close();
+    } else {
+      dialog.removeAttribute("open");
+    }
+  }
 
-      // Añadir un margen adicional para asegurar que todo el contenido sea visible
-      const margin = 50;
-      const exportBounds = {
-        minX: bounds.minX - margin,
-        minY: bounds.minY - margin,
-        width: bounds.width + margin * 2,
-        height: bounds.height + margin * 2,
-      };
+  // Resolution only applies to PNG, the color only to opaque backgrounds,
+  // the JSON style only to JSON and YAML
+  updateExportOptions() {
+    const format = this.getExportOptions().format;
+    const isData = XMLTreeVisualizer.DATA_EXPORT_FORMATS[format] !== undefined;
+    const setDisabled = (id, disabled) => {
+      const element = getElement(id);
+      if (element) element.disabled = disabled;
+    };
+    const transparent = getElement("exportTransparent");
+
+    setDisabled("exportDpi", format !== "png");
+    setDisabled("exportScope", isData);
+    setDisabled("exportTransparent", isData);
+    setDisabled(
+      "exportBackground",
+      isData || Boolean(transparent && transparent.checked)
+    );
+    setDisabled("exportConvention", format !== "json" && format !== "yaml");
+  }
 
-      // Crear un nuevo SVG que solo contendrá la parte visible del diagrama
-      const exportSvg = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "svg"
-      );
+  // Options chosen in the export dialog
+  getExportOptions() {
+    const value = (id, fallback) => {
+      const element = getElement(id);
+      return element ? element.value : fallback;
+    };
+    const transparent = getElement("exportTransparent");
 
-      // Configurar el SVG de exportación con el tamaño exacto del diagrama
-      exportSvg.setAttribute("width", exportBounds.width);
-      exportSvg.setAttribute("height", exportBounds.height);
-      exportSvg.setAttribute(
-        "viewBox",
-        `${exportBounds.minX} ${exportBounds.minY} ${exportBounds.width} ${exportBounds.height}`
-      );
+    return {
+      format: value("exportFormat", "png"),
+      scope: value("exportScope", "diagram"),
+      convention: value("exportConvention", "tree"),
+      dpi: parseInt(value("exportDpi", "192"), 10),
+      background:
+        transparent && transparent.checked
+          ? null
+          : value("exportBackground", "#0f172a"),
+    };
+  }
 
-      // Añadir el fondo transparente al SVG de exportación
-      const background = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "rect"
-      );
-      background.setAttribute("width", "100%");
-      background.setAttribute("height", "100%");
-      background.setAttribute("fill", "rgba(0,0,0,0)");
-      exportSvg.appendChild(background);
-
-      // Clonar los nodos y conexiones relevantes
-      const contentGroup = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "g"
-      );
+  /**
+   * Exports the document as JSON, YAML or Graphviz DOT and downloads it
+   * @param {Object} options - { format, convention }, convention being one
+   *   of JSON_CONVENTIONS
+   */
+  exportData(options) {
+    if (!this.treeData || this.treeData.length === 0) {
+      this.showStatus("No hay datos para exportar", "error");
+      return;
+    }
 
-      // Primero añadir las conexiones
-      const connections = svg.querySelectorAll(".connection-line");
-      connections.forEach((conn) => {
-        const clonedConn = conn.cloneNode(true);
-        clonedConn.setAttribute("stroke", "#ffffff");
-        clonedConn.setAttribute("stroke-width", "2");
-        contentGroup.appendChild(clonedConn);
-      });
+    try {
+      const roots = this.getCompleteTree();
+      let content;
+      switch (options.format) {
+        case "json":
+          content = toJson(roots, options.convention);
+          break;
+        case "yaml":
+          content = toYaml(roots, options.convention);
+          break;
+        default:
+          content = toDot(roots, {
+            rankdir: this.layoutMode === "horizontal" ? "LR" : "TB",
+          });
+      }
 
-      // Luego añadir los nodos
-      const nodes = svg.querySelectorAll(".tree-node");
-      nodes.forEach((node) => {
-        const clonedNode = node.cloneNode(true);
-
-        // Aplicar estilos a los rectángulos de los nodos
-        const nodeRects = clonedNode.querySelectorAll("rect");
-        nodeRects.forEach((rect) => {
-          // Distinguir entre el rectángulo del nodo y el indicador de expansión
-          if (rect.classList.contains("expand-indicator")) {
-            rect.setAttribute("fill", "#4f46e5");
-            rect.setAttribute("stroke", "#ffffff");
-          } else {
-            rect.setAttribute("fill", "#4f46e5");
-            rect.setAttribute("stroke", "#ffffff");
-            rect.setAttribute("stroke-width", "2");
-            rect.setAttribute("rx", "10");
-          }
-        });
+      downloadBlob(
+        new Blob([content], {
+          type: XMLTreeVisualizer.DATA_EXPORT_FORMATS[options.format],
+        }),
+        `tree-data.${options.format}`
+      );
+      this.showStatus("Datos exportados correctamente", "success");
+    } catch (error) {
+      console.error("Error al exportar los datos:", error);
+      this.showStatus(`Error al exportar los datos: ${error.message}`, "error");
+    }
+  }
 
-        // Aplicar estilos a los textos
-        const nodeTexts = clonedNode.querySelectorAll("text");
-        nodeTexts.forEach((text) => {
-          text.setAttribute("fill", "#ffffff");
-          text.setAttribute(
-            "font-size",
-            text.classList.contains("expand-text") ? "12px" : "14px"
-          );
-          text.setAttribute("font-weight", "bold");
-        });
+  // treeData leaves children behind placeholders until they are loaded, so
+  // data exports build a complete tree from the document instead
+  getCompleteTree() {
+    if (!this.xmlDoc && this.xmlSource) {
+      this.attachXmlDocument();
+    }
+    if (!this.xmlDoc) {
+      return this.treeData;
+    }
 
-        contentGroup.appendChild(clonedNode);
-      });
+    const builder = new TreeBuilder({
+      childPageSize: Infinity,
+      nodeTypeVisibility: this.nodeTypeVisibility,
+      idKeyAttributes: this.idKeyAttributes,
+    });
+    return builder.buildTree(this.xmlDoc, this.xmlSource);
+  }
 
-      // Añadir el grupo de contenido al SVG de exportación
-      exportSvg.appendChild(contentGroup);
+  /**
+   * Exports the diagram as SVG, PDF or PNG and downloads it
+   * @param {Object} options - { format, scope, dpi, background }, see
+   *   DiagramExporter.export
+   */
+  async exportDiagram(options) {
+    if (!this.treeData || this.treeData.length === 0) {
+      this.showStatus("No hay un diagrama para descargar", "error");
+      return;
+    }
 
-      // Convertir el SVG a una cadena
-      const svgData = new XMLSerializer().serializeToString(exportSvg);
-      const svgBlob = new Blob([svgData], {
-        type: "image/svg+xml;charset=utf-8",
-      });
-      const svgUrl = URL.createObjectURL(svgBlob);
-
-      // Crear una imagen desde el SVG
-      const img = new Image();
-      img.onload = () => {
-        // Crear un canvas para convertir SVG a PNG
-        const canvas = document.createElement("canvas");
-        const scale = 2; // Mayor escala para mejor calidad
-        canvas.width = exportBounds.width * scale;
-        canvas.height = exportBounds.height * scale;
-
-        const ctx = canvas.getContext("2d");
-        ctx.scale(scale, scale);
-
-        // Dibujar fondo transparente
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        ctx.save();
-        ctx.globalAlpha = 1.0; // Asegura opacidad total para el dibujo
-
-        // Dibujar el SVG sobre el fondo
-        ctx.drawImage(img, 0, 0);
-        ctx.restore();
-
-        // Descargar la imagen como PNG
-        const imgUrl = canvas.toDataURL("image/png");
-        const downloadLink = document.createElement("a");
-        downloadLink.download = "tree-diagram.png";
-        downloadLink.href = imgUrl;
-        downloadLink.click();
-
-        // Liberar recursos
-        URL.revokeObjectURL(svgUrl);
-        this.showStatus("Diagrama descargado correctamente", "success");
-      };
+    this.showStatus(
+      `Exportando el diagrama como ${options.format.toUpperCase()}...`,
+      "info"
+    );
 
-      img.src = svgUrl;
+    try {
+      const { blob, filename } = await new DiagramExporter(this).export(
+        options
+      );
+      downloadBlob(blob, filename);
+      this.showStatus("Diagrama descargado correctamente", "success");
     } catch (error) {
       console.error("Error al descargar el diagrama:", error);
       this.showStatus(
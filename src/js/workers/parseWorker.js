@@ -0,0 +1,90 @@
+// Web Worker that parses, builds and lays out large documents off the main
+// thread, posting progress messages while it works.
+//
+// Request:  { text, format, childPageSize, nodeTypeVisibility,
+//             idKeyAttributes, autoCollapseDepth, layoutSettings }
+// Messages: { type: 'progress', phase, loaded, total }
+//           { type: 'result', roots, collapsed, namespaces, totalNodeCount }
+//           { type: 'error', message, line, column, problems }
+
+import { parseXml } from '../modules/xmlParser.js';
+import {
+  parseInputDocument,
+  findInputProblems,
+} from '../modules/inputFormats.js';
+import { TreeBuilder } from '../modules/treeBuilder.js';
+import { layoutTree } from '../modules/layout.js';
+import { getDeepNodeIds } from '../modules/treeUtils.js';
+
+self.addEventListener('message', (event) => {
+  const {
+    text,
+    format = 'xml',
+    childPageSize,
+    nodeTypeVisibility,
+    idKeyAttributes,
+    autoCollapseDepth,
+    layoutSettings,
+  } = event.data;
+
+  const progress = (phase, loaded, total) =>
+    self.postMessage({ type: 'progress', phase, loaded, total });
+
+  try {
+    // Only the XML parser reports progress
+    const xmlDoc =
+      format === 'xml'
+        ? parseXml(text, {
+            onProgress: (loaded, total) => progress('parse', loaded, total),
+          })
+        : parseInputDocument(text, format);
+
+    progress('build', 0, 1);
+    const builder = new TreeBuilder({
+      childPageSize,
+      nodeTypeVisibility,
+      idKeyAttributes,
+    });
+    const roots = builder.buildTree(xmlDoc, text);
+
+    detachPlaceholderSources(roots);
+
+    progress('layout', 0, 1);
+    const collapsed = getDeepNodeIds(roots, autoCollapseDepth);
+    layoutTree(roots, collapsed, layoutSettings);
+
+    // Maps and Sets survive structured cloning, so send them as they are
+    self.postMessage({
+      type: 'result',
+      roots,
+      collapsed,
+      namespaces: builder.namespaceRegistry,
+      totalNodeCount: builder.totalNodeCount,
+    });
+  } catch (error) {
+    self.postMessage({
+      type: 'error',
+      message: error.message,
+      line: error.line || null,
+      column: error.column || null,
+      // Every problem that can be found, not only the one parsing stopped at
+      problems: findInputProblems(text, format, error),
+    });
+  }
+});
+
+// Placeholders keep the parsed element they load from, which would clone the
+// whole document back to the main thread. The main thread links them to a
+// DOM instead when one is first needed.
+function detachPlaceholderSources(roots) {
+  const stack = roots.slice();
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.type === 'placeholder') {
+      node.source = { element: null, domStart: 0, domEnd: 0 };
+    }
+    for (let i = 0; i < node.children.length; i++) {
+      stack.push(node.children[i]);
+    }
+  }
+}